@@ -0,0 +1,56 @@
+const fs = require("fs");
+
+// Bot admins and the audit log of privileged commands.
+// ADMIN_IDS holds Telegram user ids separated by commas or spaces; without
+// it nobody can run privileged commands.
+const AUDIT_FILE = process.env.AUDIT_FILE || "audit.log";
+
+function parseAdminIds(value = "") {
+    return new Set(
+        value
+            .split(/[\s,]+/)
+            .filter((id) => /^-?\d+$/.test(id))
+            .map(Number)
+    );
+}
+
+const adminIds = parseAdminIds(process.env.ADMIN_IDS);
+
+function isAdmin(userId) {
+    return adminIds.has(userId);
+}
+
+function hasAdmins() {
+    return adminIds.size > 0;
+}
+
+// One JSON line per entry: { timestamp, userId, username, action, ...details }
+function appendAudit(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    return fs.promises.appendFile(AUDIT_FILE, `${line}\n`);
+}
+
+// The latest `limit` entries, newest first; broken lines are skipped
+async function readAuditLog(limit = 10) {
+    if (!fs.existsSync(AUDIT_FILE)) return [];
+    const lines = (await fs.promises.readFile(AUDIT_FILE, "utf8")).split("\n").filter(Boolean);
+    return lines
+        .slice(-limit)
+        .reverse()
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    isAdmin,
+    hasAdmins,
+    appendAudit,
+    readAuditLog,
+    AUDIT_FILE,
+};
@@ -4,8 +4,9 @@ const path = require("path");
 const BACKUP_DIR = "backups";
 const BACKUP_INTERVAL = 24 * 60 * 60 * 1000; // 24 часа
 
-// Функция создания резервной копии
-async function createBackup(userSessions, userStates, userSettings, logger) {
+// Функция создания резервной копии; возвращает путь к файлу или undefined.
+// keep — имена копий, которые нельзя удалять при очистке (их ждёт /restore confirm)
+async function createBackup(userSessions, userStates, userSettings, logger, teams = new Map(), keep = []) {
     try {
         if (!fs.existsSync(BACKUP_DIR)) {
             logger && logger.warn(`Backup directory ${BACKUP_DIR} does not exist, skipping backup`);
@@ -17,6 +18,7 @@ async function createBackup(userSessions, userStates, userSettings, logger) {
             userSessions: Array.from(userSessions.entries()),
             userStates: Array.from(userStates.entries()),
             userSettings: Array.from(userSettings.entries()),
+            teams: Array.from(teams.entries()),
         };
         const backupFile = `${BACKUP_DIR}/backup_${timestamp}.json`;
         await fs.promises.writeFile(
@@ -28,6 +30,7 @@ async function createBackup(userSessions, userStates, userSettings, logger) {
         try {
             const files = await fs.promises.readdir(BACKUP_DIR);
             const oldFiles = files.filter((file) => {
+                if (keep.includes(file)) return false;
                 const filePath = `${BACKUP_DIR}/${file}`;
                 const stats = fs.statSync(filePath);
                 const fileAge = Date.now() - stats.mtime.getTime();
@@ -40,17 +43,78 @@ async function createBackup(userSessions, userStates, userSettings, logger) {
         } catch (cleanupError) {
             logger && logger.warn(`Could not cleanup old backups: ${cleanupError.message}`);
         }
+        return backupFile;
     } catch (error) {
         logger && logger.warn(`Could not create backup: ${error.message}`);
     }
 }
 
+// Резервные копии от новых к старым: [{ file, date, size }]
+async function listBackups() {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+    const files = (await fs.promises.readdir(BACKUP_DIR)).filter((file) => file.endsWith(".json"));
+    const backups = await Promise.all(
+        files.map(async (file) => {
+            const stats = await fs.promises.stat(path.join(BACKUP_DIR, file));
+            return { file, date: stats.mtime, size: stats.size };
+        })
+    );
+    return backups.sort((a, b) => b.date - a.date || b.file.localeCompare(a.file));
+}
+
+async function readBackup(backupFile) {
+    return JSON.parse(await fs.promises.readFile(backupFile, "utf8"));
+}
+
+// Ключи, которые восстановление добавит, удалит и изменит в одной коллекции
+function diffCollection(current, entries = []) {
+    const restored = new Map(entries);
+    const diff = { added: [], removed: [], changed: [] };
+    restored.forEach((value, key) => {
+        if (!current.has(key)) diff.added.push(key);
+        else if (JSON.stringify(Map.prototype.get.call(current, key)) !== JSON.stringify(value)) diff.changed.push(key);
+    });
+    current.forEach((_, key) => {
+        if (!restored.has(key)) diff.removed.push(key);
+    });
+    return diff;
+}
+
+const countResults = (session) => (session && session.results ? session.results.length : 0);
+
+// Пробное восстановление: что изменится, без записи.
+// users — чаты с разным числом результатов: [{ chatId, username, before, after }]
+function diffBackup(backupData, userSessions, userStates, userSettings, teams = new Map()) {
+    const sessions = diffCollection(userSessions, backupData.userSessions);
+    const restoredSessions = new Map(backupData.userSessions);
+    const users = [...new Set([...userSessions.keys(), ...restoredSessions.keys()])]
+        .map((chatId) => {
+            const current = Map.prototype.get.call(userSessions, chatId);
+            const restored = restoredSessions.get(chatId);
+            return {
+                chatId,
+                username: (restored || current).username,
+                before: countResults(current),
+                after: countResults(restored),
+            };
+        })
+        .filter((user) => user.before !== user.after);
+    const sum = (map) => [...map.values()].reduce((total, session) => total + countResults(session), 0);
+    return {
+        sessions,
+        states: diffCollection(userStates, backupData.userStates),
+        settings: diffCollection(userSettings, backupData.userSettings),
+        // В копиях до появления команд этого поля нет — команды не трогаем
+        teams: backupData.teams ? diffCollection(teams, backupData.teams) : null,
+        results: { before: sum(userSessions), after: sum(restoredSessions) },
+        users,
+    };
+}
+
 // Функция восстановления из резервной копии
-async function restoreFromBackup(backupFile, userSessions, userStates, userSettings, logger) {
+async function restoreFromBackup(backupFile, userSessions, userStates, userSettings, logger, teams = new Map()) {
     try {
-        const backupData = JSON.parse(
-            await fs.promises.readFile(backupFile, "utf8")
-        );
+        const backupData = await readBackup(backupFile);
         userSessions.clear();
         userStates.clear();
         userSettings.clear();
@@ -63,6 +127,11 @@ async function restoreFromBackup(backupFile, userSessions, userStates, userSetti
         backupData.userSettings.forEach(([key, value]) =>
             userSettings.set(key, value)
         );
+        // В копиях до появления команд этого поля нет — команды не трогаем
+        if (backupData.teams) {
+            teams.clear();
+            backupData.teams.forEach(([key, value]) => teams.set(key, value));
+        }
         logger && logger.info(`Data restored from backup: ${backupFile}`);
         return true;
     } catch (error) {
@@ -73,6 +142,9 @@ async function restoreFromBackup(backupFile, userSessions, userStates, userSetti
 
 module.exports = {
     createBackup,
+    listBackups,
+    readBackup,
+    diffBackup,
     restoreFromBackup,
     BACKUP_DIR,
     BACKUP_INTERVAL,
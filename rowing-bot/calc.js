@@ -0,0 +1,77 @@
+const { parseResultLine, findPhrase } = require("../../shared/resultLines");
+const { parseRosterLine } = require("../../shared/roster");
+const { modelFamilies, getFamilyBoatClasses } = require("./modelRegistry");
+
+// Parsing of the one-line "/calc world 1х Мужчина 2000 6:45.3 [name]":
+// the model word is picked here, the rest is a shared result line.
+
+const DEFAULT_CALC_MODEL = "worldModel";
+
+const modelAliases = {
+    worldModel: ["world", "wr", "мир", "мировая"],
+    russiaModel: ["russia", "rus", "ru", "рф", "рос", "россия", "российская"],
+    ergModel: ["erg", "c2", "concept2", "эрг", "эрго", "эргометр"],
+};
+
+function findModel(words, label) {
+    const index = words.findIndex((word) =>
+        Object.values(modelAliases).some((aliases) => aliases.includes(word.toLowerCase()))
+    );
+    if (index !== -1) {
+        const value = Object.keys(modelAliases).find((key) =>
+            modelAliases[key].includes(words[index].toLowerCase())
+        );
+        return { value, index, length: 1 };
+    }
+    return findPhrase(words, Object.keys(modelFamilies), label);
+}
+
+// label(key) gives the key's text in the user's language; defaults
+// ({ modelType, ageCategory, mastersAge, boatClass, distance }) fill the
+// parts the line leaves out.
+// Returns { parsed } or { error, missing, timeError, parsed }, where parsed
+// holds every part recognised so far.
+function parseCalcCommand(text, label, defaults = {}) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    const model = findModel(words, label);
+    if (model) words.splice(model.index, model.length);
+    const modelType = model ? model.value : defaults.modelType || DEFAULT_CALC_MODEL;
+
+    const family = modelFamilies[modelType];
+    const calc = parseResultLine(
+        words.join(" "),
+        {
+            categories: family.ageCategories,
+            boats: family.boatClasses,
+            getBoats: (category) => getFamilyBoatClasses(family, category),
+            isErg: family.isErg,
+        },
+        label,
+        defaults
+    );
+    return { ...calc, parsed: { modelType, ...calc.parsed } };
+}
+
+// Roster athletes keep a water category and boat valid in any built-in
+// model; an erg session picks the erg class from the boat later.
+const rosterFamilies = ["worldModel", "russiaModel"];
+
+function parseRosterCommand(text, label) {
+    const families = rosterFamilies.map((key) => modelFamilies[key]);
+    const getBoats = (category) => [
+        ...new Set(families.flatMap((family) => getFamilyBoatClasses(family, category))),
+    ];
+    const categories = [...new Set(families.flatMap((family) => family.ageCategories))];
+    return parseRosterLine(
+        text,
+        {
+            categories,
+            boats: [...new Set(categories.flatMap(getBoats))],
+            getBoats,
+            isErg: false,
+        },
+        label
+    );
+}
+
+module.exports = { parseCalcCommand, parseRosterCommand };
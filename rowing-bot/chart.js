@@ -0,0 +1,23 @@
+const fs = require("fs");
+const { renderProgressChart } = require("../../shared/progress");
+
+// Server-side PNG of the progress chart. The SVG comes from shared/progress,
+// the same one the web page shows. Text needs a font with Cyrillic: system
+// fonts are used, CHART_FONT may point to a .ttf/.otf file on hosts without them.
+const CHART_FONT = process.env.CHART_FONT;
+
+function renderProgressPng(points, options) {
+    // Loaded here, so the bot starts even where the native module is missing
+    const { Resvg } = require("@resvg/resvg-js");
+    const svg = renderProgressChart(points, options);
+    const resvg = new Resvg(svg, {
+        font: {
+            loadSystemFonts: true,
+            fontFiles: CHART_FONT && fs.existsSync(CHART_FONT) ? [CHART_FONT] : [],
+            defaultFontFamily: "DejaVu Sans",
+        },
+    });
+    return resvg.render().asPng();
+}
+
+module.exports = { renderProgressPng };
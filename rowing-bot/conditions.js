@@ -0,0 +1,158 @@
+// Поправка времени на условия: ветер, течение, температура воды
+//
+// Скорректированное время — оценка времени в штиль, без течения и при
+// температуре воды REFERENCE_WATER_TEMP. Расчёт идёт в два шага:
+// 1. Течение убирается точно: скорость относительно воды = d / t - течение.
+// 2. Ветер и температура дают относительную поправку ко времени:
+//    t' = t / (1 + k_ветра * скорость * направление + k_воды * (20 - t_воды)).
+// Коэффициенты ветра заданы по классам лодок и могут подбираться по своим
+// данным: крупные лодки меньше теряют на встречном ветре.
+
+export const WIND_HEAD = "head"
+export const WIND_TAIL = "tail"
+export const WIND_CROSS = "cross"
+
+export const windDirections = {
+    [WIND_HEAD]: "Встречный",
+    [WIND_TAIL]: "Попутный",
+    [WIND_CROSS]: "Боковой",
+}
+
+// Доля от эффекта встречного ветра той же силы
+export const windDirectionFactors = {
+    [WIND_HEAD]: 1,
+    [WIND_TAIL]: -0.8,
+    [WIND_CROSS]: 0.3,
+}
+
+export const REFERENCE_WATER_TEMP = 20
+
+// Изменение времени на 1°C холоднее опорной температуры
+export const WATER_TEMP_FACTOR = 0.0017
+
+// Изменение времени на 1 м/с встречного ветра
+export const windFactors = {
+    "1х": 0.02,
+    "1х л/в": 0.021,
+    "2-": 0.017,
+    "2- л/в": 0.018,
+    "2+": 0.018,
+    "2х": 0.017,
+    "2х л/в": 0.018,
+    "4-": 0.014,
+    "4х": 0.014,
+    "4х л/в": 0.015,
+    "4+": 0.015,
+    "8+": 0.012,
+    "8+ л/в": 0.013,
+}
+
+const DEFAULT_WIND_FACTOR = 0.017
+
+export function getWindFactor(boatClass) {
+    return windFactors[boatClass] || DEFAULT_WIND_FACTOR
+}
+
+export function hasConditions(conditions) {
+    return Boolean(
+        conditions &&
+            (conditions.windSpeed ||
+                conditions.streamSpeed ||
+                (conditions.waterTemp != null &&
+                    conditions.waterTemp !== REFERENCE_WATER_TEMP))
+    )
+}
+
+// conditions: { windSpeed, windDirection, streamSpeed, waterTemp }
+// streamSpeed в м/с, положительное — попутное течение
+export function correctTimeForConditions(seconds, distance, boatClass, conditions) {
+    if (!seconds || !distance || !hasConditions(conditions)) return seconds
+
+    let time = seconds
+    if (conditions.streamSpeed) {
+        const waterSpeed = distance / seconds - conditions.streamSpeed
+        if (waterSpeed <= 0) return seconds
+        time = distance / waterSpeed
+    }
+
+    const windEffect = conditions.windSpeed
+        ? getWindFactor(boatClass) *
+          conditions.windSpeed *
+          (windDirectionFactors[conditions.windDirection] || 0)
+        : 0
+    const tempEffect =
+        conditions.waterTemp != null
+            ? WATER_TEMP_FACTOR * (REFERENCE_WATER_TEMP - conditions.waterTemp)
+            : 0
+
+    return time / (1 + windEffect + tempEffect)
+}
+
+// Начала слов направления ветра: русские, украинские и английские
+const windDirectionWords = {
+    встречн: WIND_HEAD,
+    зустрічн: WIND_HEAD,
+    head: WIND_HEAD,
+    попутн: WIND_TAIL,
+    tail: WIND_TAIL,
+    боков: WIND_CROSS,
+    бічн: WIND_CROSS,
+    cross: WIND_CROSS,
+}
+
+// Разбор строки вида "встречный 3, течение 0.5, вода 16"
+// (или "headwind 3, stream 0.5, water 16")
+export function parseConditions(text) {
+    const number = "(-?\\d+(?:[.,]\\d+)?)"
+    const toNumber = (value) => parseFloat(value.replace(",", "."))
+    const conditions = {}
+
+    const direction = `(${Object.keys(windDirectionWords).join("|")})`
+    const windWord = "(?:ветер|вітер|wind)"
+    const wind =
+        text.match(new RegExp(`${direction}\\S*\\s+(?:${windWord}\\s+)?${number}`, "i")) ||
+        text.match(new RegExp(`${windWord}\\s+${direction}\\S*\\s+${number}`, "i"))
+    if (wind) {
+        conditions.windDirection = windDirectionWords[wind[1].toLowerCase()]
+        conditions.windSpeed = toNumber(wind[2])
+    }
+
+    const stream = text.match(new RegExp(`(?:течени|течі|stream|current)\\S*\\s+${number}`, "i"))
+    if (stream) {
+        conditions.streamSpeed = toNumber(stream[1])
+    }
+
+    const water = text.match(new RegExp(`(?:вод|water)\\S*\\s+${number}`, "i"))
+    if (water) {
+        conditions.waterTemp = toNumber(water[1])
+    }
+
+    return Object.keys(conditions).length > 0 ? conditions : null
+}
+
+// Подписи для описания условий; бот передаёт переведённые
+export const conditionLabels = {
+    wind: "ветер",
+    stream: "течение",
+    water: "вода",
+    speedUnit: "м/с",
+    directions: windDirections,
+}
+
+// Краткое описание условий для сообщений и таблиц
+export function describeConditions(conditions, labels = conditionLabels) {
+    if (!hasConditions(conditions)) return ""
+    const parts = []
+    if (conditions.windSpeed) {
+        parts.push(
+            `${labels.wind} ${labels.directions[conditions.windDirection].toLowerCase()} ${conditions.windSpeed} ${labels.speedUnit}`
+        )
+    }
+    if (conditions.streamSpeed) {
+        parts.push(`${labels.stream} ${conditions.streamSpeed} ${labels.speedUnit}`)
+    }
+    if (conditions.waterTemp != null) {
+        parts.push(`${labels.water} ${conditions.waterTemp}°C`)
+    }
+    return parts.join(", ")
+}
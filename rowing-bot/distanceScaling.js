@@ -0,0 +1,53 @@
+// Пересчёт модельного времени 2000м на другие дистанции
+
+export const SCALING_LINEAR = "linear"
+export const SCALING_POWER = "power"
+
+export const scalingModes = {
+    [SCALING_LINEAR]: "Линейная (скорость 2000м)",
+    [SCALING_POWER]: "Степенная (закон Пола)",
+}
+
+// Показатель k в формуле T(d) = T2000 * (d / 2000)^k.
+// k > 1: на коротких отрезках модельная скорость выше, на длинных ниже.
+// Крупные лодки меньше теряют скорость, поэтому k у них ближе к 1.
+export const fatigueExponents = {
+    "1х": 1.075,
+    "1х л/в": 1.075,
+    "2-": 1.07,
+    "2- л/в": 1.07,
+    "2+": 1.07,
+    "2х": 1.07,
+    "2х л/в": 1.07,
+    "4-": 1.065,
+    "4х": 1.065,
+    "4х л/в": 1.065,
+    "4+": 1.065,
+    "8+": 1.06,
+    "8+ л/в": 1.06,
+    "Эргометр": 1.07,
+    "Эргометр л/в": 1.07,
+}
+
+const DEFAULT_EXPONENT = 1.07
+
+export function getFatigueExponent(boatClass) {
+    return fatigueExponents[boatClass] || DEFAULT_EXPONENT
+}
+
+export function scaleModelTime(
+    baseModelTime,
+    distance,
+    boatClass,
+    scaling = SCALING_LINEAR
+) {
+    if (!baseModelTime || !distance) return 0
+    if (scaling === SCALING_POWER) {
+        return (
+            baseModelTime *
+            Math.pow(distance / 2000, getFatigueExponent(boatClass))
+        )
+    }
+    // Линейно: модельная скорость 2000м держится на любой дистанции
+    return (baseModelTime / 2000) * distance
+}
@@ -1,8 +1,35 @@
 const ExcelJS = require("exceljs");
 const path = require("path");
-const { parseTimeToSeconds, formatTime, avg, calculateModelPercentage } = require("../../shared/utils");
-const { modelTimesWORLD } = require("../../shared/modelTableWORLD");
-const { modelTimesRUSSIA } = require("../../shared/modelTableRUSSIA");
+const {
+    parseTimeToSeconds,
+    formatTime,
+    avg,
+    calculateModelPercentage,
+    calculateSplit,
+    calculateSpeed,
+    calculateModelSplit,
+    splitToWatts,
+    formatDelta,
+} = require("../../shared/utils");
+const { analyzeSegments } = require("../../shared/analytics");
+const { buildLeaderboard } = require("../../shared/leaderboard");
+const { lookupBaseModelTime, isMastersCategory, getMastersLetter } = require("../../shared/masters");
+const { getModelFamily, getModelVersion } = require("./modelRegistry");
+const { correctTimeForConditions, describeConditions, hasConditions } = require("../../shared/conditions");
+const { getConditionLabels } = require("./languages");
+
+// Символы, недопустимые в именах файлов и листов Excel, заменяются на "_"
+function toSafeName(name) {
+    return String(name).replace(/[\\/:*?"<>|[\]]/g, "_").trim() || "_";
+}
+
+// Имя файла выгрузки. У команды в имени её id, чтобы выгрузка команды и
+// личная выгрузка тренера не писали в один и тот же файл
+function getExcelFileName(session) {
+    return session.teamId != null
+        ? `team_${toSafeName(session.username)}_${session.teamId}.xlsx`
+        : `results_${toSafeName(session.username)}_${session.chatId}.xlsx`;
+}
 
 // Функция создания Excel-файла
 async function createExcelFile(chatId, session, getMessage) {
@@ -11,97 +38,240 @@ async function createExcelFile(chatId, session, getMessage) {
             return null;
         }
 
+        // Headers and labels in the user's language
+        const t = (key) => getMessage(chatId, key);
+        const formatCategory = (category, age) => {
+            const letter = isMastersCategory(category) ? getMastersLetter(age) : null;
+            return letter ? `${t(category)} ${letter} (${age})` : t(category);
+        };
+        const conditionLabels = getConditionLabels(t);
+
         const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet("Результаты");
-        const statsWorksheet = workbook.addWorksheet("Статистика");
+        const worksheet = workbook.addWorksheet(t("excelSheetResults"));
+        const statsWorksheet = workbook.addWorksheet(t("excelSheetStats"));
+        const rankingWorksheet = workbook.addWorksheet(t("excelSheetRanking"));
 
-        // Group results by name
+        // Group results by name and by everything the percentage depends on:
+        // one athlete's results from other distances, boats or categories
+        // get rows of their own
         const groupedResults = {};
         session.results.forEach((result) => {
-            if (!groupedResults[result.name]) {
-                groupedResults[result.name] = {
+            const key = [
+                result.name,
+                result.distance,
+                result.boatClass,
+                result.ageCategory,
+                result.mastersAge,
+                result.modelType,
+                result.modelVersion,
+                result.scaling,
+            ].join("|");
+            if (!groupedResults[key]) {
+                groupedResults[key] = {
                     name: result.name,
                     distance: result.distance,
                     boatClass: result.boatClass,
                     ageCategory: result.ageCategory,
+                    mastersAge: result.mastersAge,
                     modelType: result.modelType,
+                    modelVersion: result.modelVersion,
+                    timestamp: result.timestamp,
+                    scaling: result.scaling,
                     times: [],
+                    conditions: [],
                 };
             }
-            groupedResults[result.name].times.push(result.time);
+            groupedResults[key].times.push(result.time);
+            groupedResults[key].conditions.push(result.conditions);
         });
 
         // Add headers to main worksheet
-        const headers = ["Имя", "Дистанция", "Класс", "Возраст"];
+        const headers = [
+            t("excelName"),
+            t("excelDistance"),
+            t("excelBoat"),
+            t("excelAge"),
+            t("excelModelVersion"),
+        ];
         const maxResults = Math.max(
             ...Object.values(groupedResults).map((g) => g.times.length)
         );
+        const withConditions = session.results.some((r) => hasConditions(r.conditions));
         for (let i = 0; i < maxResults; i++) {
-            headers.push(`Время ${i + 1}`, `Модель ${i + 1}`);
+            const numbered = (key) => t(key).replace("{n}", i + 1);
+            headers.push(
+                numbered("excelTime"),
+                numbered("excelModel"),
+                numbered("excelSplit"),
+                numbered("excelSpeed"),
+                numbered("excelPower")
+            );
+            if (withConditions) {
+                headers.push(numbered("excelConditions"), numbered("excelCorrectedModel"));
+            }
         }
-        headers.push("Среднее время", "Средняя модель");
+        headers.push(
+            t("excelAverageTime"),
+            t("excelAverageModel"),
+            t("excelAverageSplit"),
+            t("excelModelSplit")
+        );
         worksheet.addRow(headers);
         worksheet.getRow(1).font = { bold: true };
 
         // Add data rows
+        const athleteStats = [];
         Object.values(groupedResults).forEach((group) => {
+            // Percentages use the model version the results were computed with
+            const family = getModelFamily(chatId, group.modelType, getMessage);
+            const { version, times: table } = getModelVersion(family, group.modelVersion, group.timestamp);
+            const baseModelTime = lookupBaseModelTime(table, group.ageCategory, group.boatClass, group.mastersAge);
             const rowData = [
                 group.name,
                 group.distance,
-                group.boatClass,
-                group.ageCategory,
+                t(group.boatClass),
+                formatCategory(group.ageCategory, group.mastersAge),
+                version,
             ];
             for (let i = 0; i < maxResults; i++) {
                 if (i < group.times.length) {
-                    const modelTable = group.modelType === getMessage(chatId, "worldModel") ? modelTimesWORLD : modelTimesRUSSIA;
-                    const baseModelTime = modelTable[group.ageCategory]?.[group.boatClass];
                     const userTime = parseTimeToSeconds(group.times[i]);
-                    const modelPercent = baseModelTime ? calculateModelPercentage(baseModelTime, group.distance, userTime).toFixed(2) : "";
-                    rowData.push(group.times[i], `${modelPercent}%`);
+                    const split = calculateSplit(userTime, group.distance);
+                    const modelPercent = baseModelTime ? calculateModelPercentage(baseModelTime, group.distance, userTime, group.boatClass, group.scaling).toFixed(2) : "";
+                    rowData.push(
+                        group.times[i],
+                        `${modelPercent}%`,
+                        formatTime(split),
+                        calculateSpeed(userTime, group.distance).toFixed(2),
+                        family.isErg ? Math.round(splitToWatts(split)) : ""
+                    );
+                    if (withConditions) {
+                        const conditions = group.conditions[i];
+                        const correctedPercent = baseModelTime && hasConditions(conditions)
+                            ? `${calculateModelPercentage(
+                                baseModelTime,
+                                group.distance,
+                                correctTimeForConditions(userTime, group.distance, group.boatClass, conditions),
+                                group.boatClass,
+                                group.scaling
+                            ).toFixed(2)}%`
+                            : "";
+                        rowData.push(describeConditions(conditions, conditionLabels), correctedPercent);
+                    }
                 } else {
-                    rowData.push("", "");
+                    rowData.push("", "", "", "", "");
+                    if (withConditions) {
+                        rowData.push("", "");
+                    }
                 }
             }
             const times = group.times.map((t) => parseTimeToSeconds(t));
-            const modelTable = group.modelType === getMessage(chatId, "worldModel") ? modelTimesWORLD : modelTimesRUSSIA;
-            const baseModelTime = modelTable[group.ageCategory]?.[group.boatClass];
-            const models = times.map((userTime) => baseModelTime ? calculateModelPercentage(baseModelTime, group.distance, userTime) : 0);
+            const models = times.map((userTime) => baseModelTime ? calculateModelPercentage(baseModelTime, group.distance, userTime, group.boatClass, group.scaling) : 0);
             const avgSeconds = avg(times);
             const avgTime = formatTime(avgSeconds);
             const avgModel = avg(models).toFixed(2);
-            rowData.push(avgTime, `${avgModel}%`);
+            const avgSplit = formatTime(calculateSplit(avgSeconds, group.distance));
+            const modelSplit = baseModelTime
+                ? formatTime(calculateModelSplit(baseModelTime, group.distance, group.boatClass, group.scaling))
+                : "";
+            rowData.push(avgTime, `${avgModel}%`, avgSplit, modelSplit);
             worksheet.addRow(rowData);
+            athleteStats.push({ name: group.name, stats: baseModelTime ? analyzeSegments(models) : null });
         });
 
         // Add statistics to stats worksheet
-        statsWorksheet.addRow(["Общая статистика"]);
+        statsWorksheet.addRow([t("excelSummary")]);
         statsWorksheet.addRow([
-            "Количество спортсменов",
-            Object.keys(groupedResults).length,
+            t("excelAthleteCount"),
+            new Set(session.results.map((r) => r.name)).size,
         ]);
         statsWorksheet.addRow([
-            "Общее количество результатов",
+            t("excelResultCount"),
             session.results.length,
         ]);
         const allModels = session.results.map((r) => parseFloat(r.modelPercentage));
         const teamAvgModel = avg(allModels).toFixed(2);
         statsWorksheet.addRow([
-            "Средний процент от модели по команде",
+            t("excelTeamAverage"),
             `${teamAvgModel}%`,
         ]);
+
+        // Consistency of athletes with a series of pieces
+        const seriesStats = athleteStats.filter(({ stats }) => stats && stats.count > 1);
+        if (seriesStats.length > 0) {
+            statsWorksheet.addRow([]);
+            statsWorksheet.addRow([
+                t("excelName"),
+                t("excelPieces"),
+                t("excelBestPiece"),
+                t("excelBestModel"),
+                t("excelWorstPiece"),
+                t("excelWorstModel"),
+                t("excelStdDev"),
+                t("excelFade"),
+                t("excelTrend"),
+            ]).font = { bold: true };
+            seriesStats.forEach(({ name, stats }) => {
+                statsWorksheet.addRow([
+                    name,
+                    stats.count,
+                    stats.best.piece,
+                    `${stats.best.percentage.toFixed(2)}%`,
+                    stats.worst.piece,
+                    `${stats.worst.percentage.toFixed(2)}%`,
+                    stats.stdDev.toFixed(2),
+                    formatDelta(stats.fadeIndex),
+                    `${t(stats.trend)} (${formatDelta(stats.slope)})`,
+                ]);
+            });
+        }
+        // Ranking across categories by model percentage, ties by best result
+        rankingWorksheet.addRow([
+            t("excelRank"),
+            t("excelName"),
+            t("excelCategory"),
+            t("excelBoat"),
+            t("excelAverageModel"),
+            t("excelBestResult"),
+            t("excelResults"),
+        ]);
+        rankingWorksheet.getRow(1).font = { bold: true };
+        buildLeaderboard(
+            session.results.map((r) => ({
+                name: r.name,
+                category: formatCategory(r.ageCategory, r.mastersAge),
+                boat: t(r.boatClass),
+                distance: r.distance,
+                percentage: parseFloat(r.modelPercentage),
+            }))
+        ).forEach((row) => {
+            rankingWorksheet.addRow([
+                row.rank,
+                row.name,
+                row.categories.join(", "),
+                row.boats.join(", "),
+                `${row.average.toFixed(2)}%`,
+                `${row.best.toFixed(2)}%`,
+                row.count,
+            ]);
+        });
+
         worksheet.columns.forEach((column) => {
             column.width = 15;
         });
         statsWorksheet.columns.forEach((column) => {
             column.width = 30;
         });
-        const filename = `results_${session.username}_${session.chatId}.xlsx`;
-        const filePath = path.resolve(filename);
+        rankingWorksheet.columns.forEach((column) => {
+            column.width = 20;
+        });
+        const fileName = getExcelFileName(session);
+        const filePath = path.resolve(fileName);
         await workbook.xlsx.writeFile(filePath);
-        return { excelFile: filePath };
+        return { excelFile: filePath, fileName };
     } catch (error) {
         throw error;
     }
 }
 
-module.exports = { createExcelFile }; 
\ No newline at end of file
+module.exports = { createExcelFile, getExcelFileName }; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { parseTimeToSeconds, calculateModelPercentage, formatDelta } = require("../../shared/utils");
+const { findVersion, getLatestVersion } = require("../../shared/modelVersions");
+const { lookupBaseModelTime } = require("../../shared/masters");
+const { getAthleteResults } = require("../../shared/progress");
+const { getModelVersion } = require("./modelRegistry");
+
+// All results of a chat: archived sessions plus the current session
+async function loadChatResults(chatId, userSessions, repository) {
+    const results = [];
+    const archived = await repository.loadArchivedSessions(chatId);
+    archived.forEach((session) => results.push(...(session.results || [])));
+    const current = userSessions.get(chatId);
+    if (current) {
+        results.push(...current.results);
+    }
+
+    // The current session is also archived, so drop duplicates
+    const seen = new Set();
+    return results
+        .filter((r) => {
+            const key = `${r.timestamp}|${r.name}|${r.time}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+}
+
+// Every result of one athlete over time, oldest first
+async function loadAthleteResults(chatId, name, userSessions, repository) {
+    return getAthleteResults(await loadChatResults(chatId, userSessions, repository), name);
+}
+
+// Compare stored percentages with the ones under another model version.
+// Without `version` the latest version of each result's model is used.
+function recalculateResults(results, { version, resolveFamily }) {
+    return results.map((result) => {
+        const family = resolveFamily(result.modelType);
+        const oldVersion = getModelVersion(family, result.modelVersion, result.timestamp);
+        const newVersion = version
+            ? findVersion(family.versions, version)
+            : getLatestVersion(family.versions);
+        const seconds = parseTimeToSeconds(result.time);
+        const percentageFor = (modelVersion) =>
+            calculateModelPercentage(
+                lookupBaseModelTime(modelVersion.times, result.ageCategory, result.boatClass, result.mastersAge),
+                result.distance,
+                seconds,
+                result.boatClass,
+                result.scaling
+            );
+
+        const oldPercentage =
+            result.modelPercentage != null
+                ? parseFloat(result.modelPercentage)
+                : percentageFor(oldVersion);
+        const row = {
+            date: (result.timestamp || "").slice(0, 10),
+            name: result.name,
+            distance: result.distance,
+            boatClass: result.boatClass,
+            time: result.time,
+            oldVersion: oldVersion.version,
+            oldPercentage: oldPercentage.toFixed(2),
+            newVersion: null,
+            newPercentage: null,
+            delta: null,
+        };
+        if (newVersion) {
+            const newPercentage = percentageFor(newVersion);
+            row.newVersion = newVersion.version;
+            row.newPercentage = newPercentage.toFixed(2);
+            row.delta = `${formatDelta(newPercentage - oldPercentage)}%`;
+        }
+        return row;
+    });
+}
+
+module.exports = {
+    loadChatResults,
+    loadAthleteResults,
+    recalculateResults,
+};
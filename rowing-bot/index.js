@@ -1,16 +1,150 @@
 require("dotenv").config()
 const TelegramBot = require("node-telegram-bot-api")
 const express = require("express")
-const { getModelTime, modelTimesWORLD } = require("../../shared/modelTableWORLD")
-const { getModelTime: getModelTimeRU, modelTimesRUSSIA } = require("../../shared/modelTableRUSSIA")
-const { distances, getDistance } = require("../../shared/distanceTable")
+const {
+    modelFamilies,
+    getModelFamily,
+    getBaseModelTime,
+    getModelVersion,
+    getFamilyBoatClasses,
+    loadCustomModels,
+    worldAgeCategories,
+    russiaAgeCategories,
+} = require("./modelRegistry")
+const {
+    distances,
+    getDistance,
+    parseDistance,
+    MIN_DISTANCE,
+    MAX_DISTANCE,
+} = require("../../shared/distanceTable")
+const {
+    SCALING_LINEAR,
+    scalingModes,
+    scaleModelTime,
+} = require("../../shared/distanceScaling")
+const {
+    correctTimeForConditions,
+    parseConditions,
+    describeConditions,
+    hasConditions,
+} = require("../../shared/conditions")
+const {
+    isMastersCategory,
+    getMastersLetter,
+    lookupBaseModelTime,
+    MIN_MASTERS_AGE,
+    MAX_MASTERS_AGE,
+} = require("../../shared/masters")
 const winston = require("winston")
 const fs = require("fs")
 const ExcelJS = require("exceljs")
 const path = require("path")
-const { parseTimeToSeconds, formatTime, avg, calculateModelPercentage } = require("../../shared/utils")
+const {
+    parseTime,
+    TIME_ERROR_FORMAT,
+    TIME_ERROR_SECONDS,
+    TIME_ERROR_MINUTES,
+    TIME_ERROR_RANGE,
+    MIN_TIME,
+    MAX_TIME,
+    formatTime,
+    avg,
+    calculateModelPercentage,
+    calculateTargetTime,
+    calculateSplit,
+    calculateSpeed,
+    buildTargetTable,
+    splitToWatts,
+    calculateWeightAdjustedTime,
+    formatDelta,
+    parseTimeToSeconds,
+} = require("../../shared/utils")
+const {
+    isCrewBoat,
+    getCrewSize,
+    predictCrew,
+    compareCrewResult,
+} = require("../../shared/crew")
+const {
+    predict2000,
+    PREDICTION_RIEGEL,
+    PREDICTION_PAUL,
+    PREDICTION_DISTANCE,
+    getDefaultPredictionParameter,
+} = require("../../shared/prediction")
+const { analyzeSegments } = require("../../shared/analytics")
+const {
+    buildLeaderboard,
+    getLeaderboardFilters,
+} = require("../../shared/leaderboard")
 const { createExcelFile } = require("./excel")
-const { createBackup, restoreFromBackup, BACKUP_DIR, BACKUP_INTERVAL } = require("./backup")
+const { loadAthleteResults, recalculateResults } = require("./history")
+const { renderProgressPng } = require("./chart")
+const {
+    getWebhookConfig,
+    createWebhookHandler,
+    MODE_WEBHOOK,
+    SECRET_PATTERN,
+} = require("./webhook")
+const {
+    createBackup,
+    listBackups,
+    readBackup,
+    diffBackup,
+    restoreFromBackup,
+    BACKUP_DIR,
+    BACKUP_INTERVAL,
+} = require("./backup")
+const { isAdmin, hasAdmins, appendAudit, readAuditLog } = require("./admin")
+const { createStorage, FLUSH_INTERVAL } = require("./storage")
+const { createSession, getResultConditions } = require("./session")
+const { parseCalcCommand, parseRosterCommand } = require("./calc")
+const {
+    createTeam,
+    findChatTeam,
+    joinTeam: joinTeamByInvite,
+    getMember,
+    isCoach,
+    removeMember,
+    addTeamResult,
+    updateTeamResult,
+    canAccessResult,
+    getVisibleResults,
+    getInviteLink,
+    getTeamSession,
+    ROLE_COACH,
+    INVITE_PREFIX,
+    JOIN_INVALID,
+    JOIN_JOINED,
+    JOIN_ALREADY_MEMBER,
+} = require("./teams")
+const {
+    getProgressPoints,
+    getProgressFilters,
+    summarizeProgress,
+} = require("../../shared/progress")
+const {
+    parseBulkLines,
+    findPhrase,
+    LINE_ERROR_MISSING,
+    LINE_ERROR_TIME,
+    LINE_ERROR_BOAT,
+    LINE_ERROR_MASTERS_AGE,
+} = require("../../shared/resultLines")
+const {
+    getRosterAge,
+    findRosterAthlete,
+    addRosterAthlete,
+    GENDER_FEMALE,
+} = require("../../shared/roster")
+const {
+    languageNames,
+    translate,
+    findLanguage,
+    getConditionLabels,
+    DEFAULT_LANGUAGE,
+} = require("./languages")
 
 console.log("Starting bot initialization...")
 
@@ -47,8 +181,11 @@ app.listen(port, () => {
     logger.info(`Web server is running on port ${port}`)
 })
 
+// Persistent storage: sessions, states and settings survive restarts
+const storage = createStorage(logger)
+
 // User sessions storage
-const userSessions = new Map()
+const userSessions = storage.sessions
 logger.info("User sessions storage initialized")
 
 // Create a bot instance
@@ -57,7 +194,16 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
     process.exit(1)
 }
 
-logger.info("Creating bot instance...")
+// Updates come by webhook on the Express app or by long polling
+const webhook = getWebhookConfig()
+if (webhook.mode === MODE_WEBHOOK && !SECRET_PATTERN.test(webhook.secret)) {
+    logger.error(
+        "WEBHOOK_SECRET must be set to 1-256 characters A-Z, a-z, 0-9, _ or - in webhook mode"
+    )
+    process.exit(1)
+}
+
+logger.info(`Creating bot instance in ${webhook.mode} mode...`)
 
 // Polling configuration
 let isPolling = false
@@ -113,7 +259,7 @@ async function restartPolling() {
 }
 
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, {
-    polling: {
+    polling: webhook.mode !== MODE_WEBHOOK && {
         interval: 300,
         autoStart: false, // We'll start polling manually
         params: {
@@ -167,13 +313,41 @@ bot.on("polling_success", () => {
     }
 })
 
+// Receive updates on the webhook route. Without WEBHOOK_URL the webhook is
+// not registered with Telegram and updates can only be POSTed locally.
+async function startWebhook() {
+    app.post(
+        webhook.path,
+        express.json(),
+        createWebhookHandler(bot, webhook.secret, logger)
+    )
+    if (!webhook.url) {
+        logger.warn(
+            `WEBHOOK_URL is not set, POST updates to http://localhost:${port}${webhook.path}`
+        )
+        return
+    }
+    await bot.setWebHook(`${webhook.url}${webhook.path}`, {
+        secret_token: webhook.secret,
+    })
+    logger.info(`Webhook registered: ${webhook.url}${webhook.path}`)
+}
+
 // Initialize bot
 async function initializeBot() {
     try {
-        // Ensure polling is stopped before starting
-        await stopPolling()
-        // Start polling
-        await startPolling()
+        if (webhook.mode === MODE_WEBHOOK) {
+            await startWebhook()
+        } else {
+            // A webhook left from webhook mode blocks getUpdates
+            await bot.deleteWebHook().catch((error) =>
+                logger.warn(`Could not delete webhook: ${error.message}`)
+            )
+            // Ensure polling is stopped before starting
+            await stopPolling()
+            // Start polling
+            await startPolling()
+        }
         logger.info("Bot initialized successfully")
     } catch (error) {
         logger.error(`Failed to initialize bot: ${error.message}`)
@@ -187,7 +361,7 @@ initializeBot()
 logger.info("Bot instance created")
 
 // User states storage
-const userStates = new Map()
+const userStates = storage.states
 logger.info("User states storage initialized")
 
 // Create necessary directories (optional for Railway)
@@ -205,43 +379,8 @@ dirs.forEach((dir) => {
     }
 })
 
-// Age categories for different models
-const worldAgeCategories = [
-    "Юноши до 19",
-    "Девушки до 19",
-    "Юниоры до 23",
-    "Юниорки до 23",
-    "Мужчина",
-    "Женщины",
-]
-
-const russiaAgeCategories = [
-    "Юноши до 15",
-    "Девушки до 15",
-    "Юноши до 17",
-    "Девушки до 17",
-    "Юноши до 19",
-    "Девушки до 19",
-    "Юниоры до 23",
-    "Юниорки до 23",
-    "Мужчина",
-    "Женщины",
-]
-
-// Boat classes
-const boatClasses = [
-    "1х",
-    "1х л/в",
-    "2-",
-    "2- л/в",
-    "2х",
-    "2х л/в",
-    "4-",
-    "4х",
-    "4х л/в",
-    "4+",
-    "8+",
-]
+// Custom model tables from the models directory
+loadCustomModels(logger)
 
 // Conversation states
 const STATES = {
@@ -250,81 +389,68 @@ const STATES = {
     WAITING_MODE: "WAITING_MODE",
     WAITING_NAME: "WAITING_NAME",
     WAITING_AGE: "WAITING_AGE",
+    WAITING_MASTERS_AGE: "WAITING_MASTERS_AGE",
     WAITING_DISTANCE: "WAITING_DISTANCE",
     WAITING_BOAT: "WAITING_BOAT",
+    WAITING_WEIGHT: "WAITING_WEIGHT",
+    WAITING_PREDICTION_PIECES: "WAITING_PREDICTION_PIECES",
+    WAITING_CREW_BOAT: "WAITING_CREW_BOAT",
+    WAITING_CREW_MEMBERS: "WAITING_CREW_MEMBERS",
+    WAITING_CREW_TIME: "WAITING_CREW_TIME",
     WAITING_TIME: "WAITING_TIME",
+    WAITING_PERCENTAGE: "WAITING_PERCENTAGE",
     WAITING_NEXT_ACTION: "WAITING_NEXT_ACTION",
     EDITING_LAST_TIME: "EDITING_LAST_TIME",
+    WAITING_SETTINGS: "WAITING_SETTINGS",
+    WAITING_LANGUAGE: "WAITING_LANGUAGE",
+    WAITING_CONDITIONS: "WAITING_CONDITIONS",
+    VIEWING_HISTORY: "VIEWING_HISTORY",
+    WAITING_HISTORY_INDEX: "WAITING_HISTORY_INDEX",
+    WAITING_HISTORY_FIELD: "WAITING_HISTORY_FIELD",
+    WAITING_HISTORY_VALUE: "WAITING_HISTORY_VALUE",
+}
+
+const HISTORY_STATES = [
+    STATES.VIEWING_HISTORY,
+    STATES.WAITING_HISTORY_INDEX,
+    STATES.WAITING_HISTORY_FIELD,
+    STATES.WAITING_HISTORY_VALUE,
+]
+
+// States where a multi-line message is a paste of results: idle, the menus
+// and the name prompt. Other states take free text of their own, e.g.
+// prediction pieces one per line.
+const BULK_PASTE_STATES = [
+    STATES.IDLE,
+    STATES.WAITING_MODEL_TYPE,
+    STATES.WAITING_MODE,
+    STATES.WAITING_NAME,
+    STATES.WAITING_NEXT_ACTION,
+]
+
+// Editable fields of a history entry by the keys of their buttons
+const historyFields = {
+    fieldTime: "time",
+    fieldDistance: "distance",
+    fieldBoat: "boatClass",
+    fieldCategory: "ageCategory",
 }
 
 // Cache configuration
 const cache = new Map()
 const CACHE_TTL = 5 * 60 * 1000 // 5 minutes in milliseconds
 
-// Language settings
-const languages = {
-    ru: {
-        selectModel: "Выберите тип модели:",
-        selectMode: "Выберите режим работы:",
-        enterName: "Введите имя или фамилию:",
-        selectAge: "Выберите возрастную категорию:",
-        selectDistance: "Выберите дистанцию",
-        selectBoat: "Выберите класс лодки",
-        enterTime:
-            "Введите время в формате СС.сс или ММ:СС.сс (например, 45.55 или 7:45.55)",
-        cancel: "Отмена",
-        settings: "Настройки:",
-        changeLanguage: "Изменить язык",
-        selectLanguage: "Выберите язык:",
-        languageChanged: "Язык изменен",
-        back: "Назад",
-        invalidModel:
-            "Пожалуйста, выберите тип модели из предложенных вариантов",
-        invalidMode: "Пожалуйста, выберите режим из предложенных вариантов",
-        invalidAge: "Пожалуйста, выберите категорию из предложенных вариантов",
-        invalidDistance:
-            "Пожалуйста, выберите дистанцию из предложенных вариантов",
-        invalidBoat:
-            "Пожалуйста, выберите класс лодки из предложенных вариантов",
-        invalidTime:
-            "Пожалуйста, введите время в формате СС.сс или ММ:СС.сс (например, 45.55 или 7:45.55). Также можно использовать формат ММ.СС.сс (например, 7.45.55).",
-        invalidSeconds:
-            "Пожалуйста, введите время в формате СС.сс или ММ:СС.сс (например, 45.5 или 7:45.5). Секунды не могут быть больше 59.",
-        calculationError:
-            "Произошла ошибка при расчете модельного времени. Пожалуйста, попробуйте снова.",
-        useStart: "Используйте /start для нового расчета",
-        selectAction: "Выберите действие:",
-        enterMoreTime: "Ввести еще время",
-        newName: "Новое имя",
-        finishAndGetExcel: "Завершить и получить Excel",
-        editLastTime: "Редактировать последнее время",
-        viewHistory: "Просмотреть историю",
-        noResults: "Нет результатов для редактирования",
-        historyEmpty: "История пуста",
-        timeUpdated: "Время успешно обновлено",
-        invalidAction:
-            "Пожалуйста, выберите действие из предложенных вариантов",
-        excelError:
-            "Произошла ошибка при создании Excel файла. Пожалуйста, попробуйте снова.",
-        noDataForExcel:
-            "Нет данных для создания Excel файла. Используйте /start для начала.",
-        worldModel: "Мировая модель",
-        russiaModel: "Российская модель (Н.Н.)",
-        singleTime: "Ввести одно время",
-        createFile: "Создать файл с результатами",
-        mainMenu: "Главное меню",
-        modelError: "Ошибка при расчете модели. Пожалуйста, попробуйте снова.",
-        timeResult: "ваше время: {time}\nваша модель: {percentage}%",
-    },
-}
-
 // User settings storage
-const userSettings = new Map()
+const userSettings = storage.settings
+
+// Coach teams, keyed by the coach's chat id
+const teams = storage.teams
 
 // Initialize user settings
 function initUserSettings(chatId) {
     userSettings.set(chatId, {
-        language: "ru", // default language
+        language: DEFAULT_LANGUAGE,
+        scaling: SCALING_LINEAR, // distance scaling for model time
     })
 }
 
@@ -336,9 +462,53 @@ function getUserSettings(chatId) {
     return userSettings.get(chatId)
 }
 
-// Get translated message
-function getMessage(chatId, key) {
-    return languages.ru[key] || key
+// Get translated message, or the label of a category, boat or distance
+function getMessage(chatId, key, language = getUserSettings(chatId).language) {
+    return translate(language, key)
+}
+
+// Masters age (crew average) typed by the user, or null if out of range
+function parseMastersAge(text) {
+    const age = parseFloat(text.trim().replace(",", "."))
+    return isNaN(age) ||
+        age < MIN_MASTERS_AGE ||
+        age > MAX_MASTERS_AGE ||
+        !getMastersLetter(age)
+        ? null
+        : age
+}
+
+// Category label with the masters letter and age: "Masters men C (45)"
+function formatCategory(chatId, category, mastersAge) {
+    const label = getMessage(chatId, category)
+    const letter = isMastersCategory(category) ? getMastersLetter(mastersAge) : null
+    return letter ? `${label} ${letter} (${mastersAge})` : label
+}
+
+// "2000м", "2000m"
+function formatDistance(chatId, distance) {
+    return getMessage(chatId, "distanceLabel").replace("{distance}", distance)
+}
+
+function describeConditionsFor(chatId, conditions) {
+    return describeConditions(
+        conditions,
+        getConditionLabels((key) => getMessage(chatId, key))
+    )
+}
+
+// Specific reason why the entered time was rejected
+const timeErrorKeys = {
+    [TIME_ERROR_FORMAT]: "invalidTime",
+    [TIME_ERROR_SECONDS]: "invalidSeconds",
+    [TIME_ERROR_MINUTES]: "invalidMinutes",
+    [TIME_ERROR_RANGE]: "timeOutOfRange",
+}
+
+function getTimeErrorMessage(chatId, error) {
+    return getMessage(chatId, timeErrorKeys[error] || "invalidTime")
+        .replace("{min}", MIN_TIME)
+        .replace("{max}", MAX_TIME / 3600)
 }
 
 // Cache functions
@@ -367,19 +537,15 @@ function initUserState(chatId) {
         ageCategory: null,
         distance: null,
         boatClass: null,
+        mastersAge: null,
+        weight: null,
         time: null,
     })
 }
 
 // Initialize user session
 function initUserSession(chatId, username) {
-    userSessions.set(chatId, {
-        username,
-        chatId,
-        startTime: new Date().toISOString(),
-        actions: [],
-        results: [],
-    })
+    userSessions.set(chatId, createSession(chatId, username, userSessions.get(chatId)))
 }
 
 // Log user action
@@ -394,16 +560,14 @@ function logUserAction(chatId, action, details = {}) {
     }
 }
 
-// Save session to file
+// Archive session and write pending changes to storage
 function saveSession(chatId) {
     try {
         const session = userSessions.get(chatId)
         if (session) {
-            const filename = `sessions/${session.username}_${
-                session.chatId
-            }_${session.startTime.replace(/[:.]/g, "-")}.json`
-            fs.writeFileSync(filename, JSON.stringify(session, null, 2))
+            storage.repository.archiveSession(session)
         }
+        storage.flush()
     } catch (error) {
         logger.warn(
             `Could not save session for chatId ${chatId}: ${error.message}`
@@ -430,17 +594,28 @@ async function saveResult(chatId, result) {
         const formattedTime = formatTime(result.time)
 
         // Add result to session, ensuring modelType is saved
-        session.results.push({
+        const entry = {
             name: result.name,
             distance: result.distance,
             boatClass: result.boatClass,
             ageCategory: result.ageCategory,
+            mastersAge: result.mastersAge,
             time: formattedTime,
             modelTime: result.modelTime,
             modelPercentage: result.percentage,
             modelType: result.modelType, // Explicitly save modelType
+            modelVersion: result.modelVersion,
+            scaling: result.scaling,
+            watts: result.watts,
+            weight: result.weight,
+            conditions: result.conditions,
+            correctedPercentage: result.correctedPercentage,
+            crew: result.crew,
+            predictedPercentage: result.predictedPercentage,
             timestamp: new Date().toISOString(),
-        })
+        }
+        session.results.push(entry)
+        submitTeamResult(chatId, entry)
 
         logger.info(`Result saved for user ${session.username}:`, {
             name: result.name,
@@ -458,130 +633,1472 @@ async function saveResult(chatId, result) {
     }
 }
 
+// Team of the chat, or null if it is in none
+function getChatTeam(chatId) {
+    return findChatTeam(teams, getUserSettings(chatId).teamId, chatId)
+}
+
+// Copy a saved result to the chat's team and tell the coach about it
+function submitTeamResult(chatId, entry, { notify = true } = {}) {
+    const team = getChatTeam(chatId)
+    if (!team) return
+    addTeamResult(team, chatId, entry)
+    if (!notify || isCoach(team, chatId)) return
+    bot.sendMessage(
+        team.coachId,
+        getMessage(team.coachId, "teamNewResult")
+            .replace("{member}", getMember(team, chatId).name)
+            .replace("{team}", team.name)
+            .replace("{name}", entry.name)
+            .replace("{time}", entry.time)
+            .replace("{percentage}", entry.modelPercentage)
+    ).catch((error) =>
+        logger.warn(`Could not notify coach ${team.coachId}: ${error.message}`)
+    )
+}
+
+// Keep the team copy of a session result in step with history edits;
+// `result` null removes it
+function syncTeamResult(chatId, timestamp, result) {
+    const team = getChatTeam(chatId)
+    if (!team) return
+    updateTeamResult(team, chatId, timestamp, result)
+}
+
+// Bot username for invite links, asked from Telegram once
+let botUsername = null
+async function getBotUsername() {
+    if (!botUsername) {
+        botUsername = (await bot.getMe()).username
+    }
+    return botUsername
+}
+
+async function joinTeam(msg, inviteCode) {
+    const chatId = msg.chat.id
+    const settings = getUserSettings(chatId)
+    const { status, team, member } = joinTeamByInvite(
+        teams,
+        inviteCode,
+        chatId,
+        msg.from.username || msg.from.first_name,
+        settings.teamId
+    )
+    if (status === JOIN_INVALID) {
+        bot.sendMessage(chatId, getMessage(chatId, "teamInvalidInvite"))
+        return
+    }
+    if (status !== JOIN_JOINED) {
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, status === JOIN_ALREADY_MEMBER ? "teamJoined" : "teamAlreadyMember")
+                .replace("{team}", team.name)
+        )
+        return
+    }
+
+    settings.teamId = team.id
+    logUserAction(chatId, "join_team", { team: team.id })
+    bot.sendMessage(
+        chatId,
+        getMessage(chatId, "teamJoined").replace("{team}", team.name)
+    )
+    bot.sendMessage(
+        team.coachId,
+        getMessage(team.coachId, "teamMemberJoined")
+            .replace("{member}", member.name)
+            .replace("{team}", team.name)
+    ).catch((error) =>
+        logger.warn(`Could not notify coach ${team.coachId}: ${error.message}`)
+    )
+}
+
+function describeTeamResult(chatId, team, index, result) {
+    const member = getMember(team, result.submittedBy)
+    return getMessage(chatId, "teamResultLine")
+        .replace("{index}", index + 1)
+        .replace("{name}", result.name)
+        .replace("{time}", result.time)
+        .replace("{percentage}", result.modelPercentage)
+        .replace("{category}", formatCategory(chatId, result.ageCategory, result.mastersAge))
+        .replace("{boat}", getMessage(chatId, result.boatClass))
+        .replace("{distance}", formatDistance(chatId, result.distance))
+        .replace("{member}", member ? member.name : result.submittedBy)
+}
+
+// Invite deep link: t.me/<bot>?start=team_<code>
+bot.onText(/\/start(?:@\w+)?\s+team_(\w+)/, (msg, match) => joinTeam(msg, match[1]))
+
+// Team workspace: /team create [name] | join <code> | results | excel |
+// delete <number> | leave; without arguments shows the members
+bot.onText(/\/team(?:@\w+)?(?:\s+(\S+))?(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id
+    const action = (match[1] || "").toLowerCase()
+    const argument = (match[2] || "").trim()
+    const username = msg.from.username || msg.from.first_name
+    const team = getChatTeam(chatId)
+
+    if (action === "create") {
+        if (team) {
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "teamAlreadyMember").replace("{team}", team.name)
+            )
+            return
+        }
+        const created = createTeam(teams, chatId, username, argument)
+        getUserSettings(chatId).teamId = created.id
+        logUserAction(chatId, "create_team", { team: created.id })
+        try {
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "teamCreated")
+                    .replace("{team}", created.name)
+                    .replace("{link}", getInviteLink(await getBotUsername(), created))
+                    .replace("{code}", created.inviteCode)
+            )
+        } catch (error) {
+            logger.error(`Could not build invite link: ${error.message}`)
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "teamCreated")
+                    .replace("{team}", created.name)
+                    .replace("{link}", `/team join ${created.inviteCode}`)
+                    .replace("{code}", created.inviteCode)
+            )
+        }
+        return
+    }
+    if (action === "join") {
+        if (!argument) {
+            bot.sendMessage(chatId, getMessage(chatId, "teamUsage"))
+            return
+        }
+        await joinTeam(msg, argument.replace(INVITE_PREFIX, ""))
+        return
+    }
+    if (!team) {
+        bot.sendMessage(chatId, getMessage(chatId, action ? "teamNotMember" : "teamUsage"))
+        return
+    }
+
+    const coach = isCoach(team, chatId)
+    switch (action) {
+        case "": {
+            const members = team.members.map(
+                (member) =>
+                    `${member.name} — ${getMessage(
+                        chatId,
+                        member.role === ROLE_COACH ? "roleCoach" : "roleAthlete"
+                    )}`
+            )
+            let info = getMessage(chatId, "teamInfo")
+                .replace("{team}", team.name)
+                .replace("{role}", getMessage(chatId, coach ? "roleCoach" : "roleAthlete"))
+                .replace("{count}", team.members.length)
+                .replace("{members}", members.join("\n"))
+            if (coach) {
+                const link = await getBotUsername()
+                    .then((name) => getInviteLink(name, team))
+                    .catch(() => `/team join ${team.inviteCode}`)
+                info += getMessage(chatId, "teamInvite").replace("{link}", link)
+            }
+            bot.sendMessage(chatId, info)
+            break
+        }
+
+        case "results": {
+            const visible = getVisibleResults(team, chatId)
+            if (visible.length === 0) {
+                bot.sendMessage(chatId, getMessage(chatId, "teamNoResults"))
+                break
+            }
+            logUserAction(chatId, "view_team_results", { team: team.id })
+            bot.sendMessage(
+                chatId,
+                `${getMessage(chatId, "teamResultsHeader").replace(
+                    "{team}",
+                    team.name
+                )}\n${visible
+                    .map(({ index, result }) =>
+                        describeTeamResult(chatId, team, index, result)
+                    )
+                    .join("\n")}`
+            )
+            break
+        }
+
+        case "excel": {
+            if (!coach) {
+                bot.sendMessage(chatId, getMessage(chatId, "teamCoachOnly"))
+                break
+            }
+            try {
+                const files = await createExcelFile(chatId, getTeamSession(team), getMessage)
+                if (!files) {
+                    bot.sendMessage(chatId, getMessage(chatId, "teamNoResults"))
+                    break
+                }
+                await bot.sendDocument(chatId, files.excelFile, {
+                    filename: files.fileName,
+                    contentType:
+                        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+                })
+                logUserAction(chatId, "team_excel", { team: team.id })
+                try {
+                    fs.unlinkSync(files.excelFile)
+                } catch (error) {
+                    logger.error(`Error deleting file: ${error.message}`)
+                }
+            } catch (error) {
+                logger.error(`Error creating team Excel: ${error.message}`, error)
+                bot.sendMessage(chatId, getMessage(chatId, "excelError"))
+            }
+            break
+        }
+
+        case "delete": {
+            const index = parseInt(argument) - 1
+            const result = team.results[index]
+            if (!result || !canAccessResult(team, chatId, result)) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "teamInvalidResult").replace(
+                        "{index}",
+                        argument
+                    )
+                )
+                break
+            }
+            team.results.splice(index, 1)
+            logUserAction(chatId, "delete_team_result", { team: team.id, index })
+            storage.flush()
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "teamResultDeleted")
+                    .replace("{index}", index + 1)
+                    .replace("{name}", result.name)
+            )
+            break
+        }
+
+        case "leave":
+            if (coach) {
+                bot.sendMessage(chatId, getMessage(chatId, "teamCoachCannotLeave"))
+                break
+            }
+            removeMember(team, chatId)
+            delete getUserSettings(chatId).teamId
+            logUserAction(chatId, "leave_team", { team: team.id })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "teamLeft").replace("{team}", team.name)
+            )
+            break
+
+        default:
+            bot.sendMessage(chatId, getMessage(chatId, "teamUsage"))
+    }
+})
+
+// Athletes of the session with their average model percentage,
+// in order of their first result; crew results are not athletes
+function getSessionAthletes(session) {
+    const athletes = new Map()
+    const results = session ? session.results : []
+    results
+        .filter((r) => r.name && !r.crew && r.modelPercentage != null)
+        .forEach((r) => {
+            if (!athletes.has(r.name)) athletes.set(r.name, [])
+            athletes.get(r.name).push(parseFloat(r.modelPercentage))
+        })
+    return [...athletes].map(([name, percentages]) => ({
+        name,
+        percentage: avg(percentages),
+    }))
+}
+
+// Best/worst piece, spread, fade and trend for athletes with several results
+function buildSegmentSummary(chatId, results) {
+    const percentagesByName = new Map()
+    results.forEach((r) => {
+        if (!percentagesByName.has(r.name)) percentagesByName.set(r.name, [])
+        percentagesByName.get(r.name).push(parseFloat(r.modelPercentage))
+    })
+    const lines = [...percentagesByName]
+        .map(([name, percentages]) => ({ name, stats: analyzeSegments(percentages) }))
+        .filter(({ stats }) => stats && stats.count > 1)
+        .map(({ name, stats }) =>
+            getMessage(chatId, "segmentSummaryLine")
+                .replace("{name}", name)
+                .replace("{best}", stats.best.piece)
+                .replace("{bestPercentage}", stats.best.percentage.toFixed(2))
+                .replace("{worst}", stats.worst.piece)
+                .replace("{worstPercentage}", stats.worst.percentage.toFixed(2))
+                .replace("{stdDev}", stats.stdDev.toFixed(2))
+                .replace("{fade}", formatDelta(stats.fadeIndex))
+                .replace("{trend}", getMessage(chatId, stats.trend))
+                .replace("{slope}", formatDelta(stats.slope))
+        )
+    return lines.length > 0
+        ? `${getMessage(chatId, "segmentSummaryHeader")}\n${lines.join("\n")}`
+        : null
+}
+
 // Schedule regular backups
-setInterval(createBackup, BACKUP_INTERVAL)
+setInterval(
+    () => createBackup(userSessions, userStates, userSettings, logger, teams, getPendingRestoreFiles()),
+    BACKUP_INTERVAL
+)
+
+// Write changed chats to storage regularly and before shutdown
+setInterval(storage.flush, FLUSH_INTERVAL)
+function shutdown(signal) {
+    logger.info(`${signal} received, saving data`)
+    storage.flush()
+    storage.repository.close()
+    process.exit(0)
+}
+process.on("SIGINT", shutdown)
+process.on("SIGTERM", shutdown)
+
+if (!hasAdmins()) {
+    logger.warn("ADMIN_IDS is not set, /backup, /restore and /audit are disabled")
+}
+
+// Record a privileged action in the audit log
+function audit(msg, action, details = {}) {
+    appendAudit({
+        userId: msg.from.id,
+        username: msg.from.username || msg.from.first_name,
+        chatId: msg.chat.id,
+        action,
+        ...details,
+    }).catch((error) => logger.error(`Could not write audit log: ${error.message}`))
+}
+
+// Privileged commands are for users from ADMIN_IDS; refusals are audited too
+function requireAdmin(msg, command) {
+    if (isAdmin(msg.from.id)) {
+        return true
+    }
+    logger.warn(`User ${msg.from.id} tried to run ${command} without admin rights`)
+    audit(msg, "denied", { command })
+    bot.sendMessage(msg.chat.id, getMessage(msg.chat.id, "adminOnly"))
+    return false
+}
+
+// "2026-10-19 08:30 UTC"
+function formatBackupDate(date) {
+    return `${new Date(date).toISOString().slice(0, 16).replace("T", " ")} UTC`
+}
+
+function formatBackupSize(chatId, size) {
+    return getMessage(chatId, "backupSize").replace("{size}", (size / 1024).toFixed(1))
+}
 
 // Add backup command
-bot.onText(/\/backup/, async (msg) => {
+bot.onText(/^\/backup(?:@\w+)?$/, async (msg) => {
     const chatId = msg.chat.id
+    if (!requireAdmin(msg, "/backup")) return
     try {
-        await createBackup()
-        bot.sendMessage(chatId, "Резервная копия данных создана")
+        const backupFile = await createBackup(
+            userSessions,
+            userStates,
+            userSettings,
+            logger,
+            teams,
+            getPendingRestoreFiles()
+        )
+        if (!backupFile) {
+            bot.sendMessage(chatId, getMessage(chatId, "backupFailed"))
+            return
+        }
+        audit(msg, "backup", { file: path.basename(backupFile) })
+        bot.sendMessage(chatId, getMessage(chatId, "backupCreated"))
     } catch (error) {
         logger.warn(`Could not create backup: ${error.message}`)
         bot.sendMessage(
             chatId,
-            "Резервная копия не создана (функция недоступна)"
+            getMessage(chatId, "backupFailed")
         )
     }
 })
 
-// Add restore command
-bot.onText(/\/restore/, async (msg) => {
+// Restore previews waiting for "/restore confirm", by chat:
+// { file, userId, diff, expires }
+const pendingRestores = new Map()
+const RESTORE_CONFIRM_TTL = 5 * 60 * 1000 // 5 minutes
+
+// Backups that previews point to, kept out of the old backups cleanup
+function getPendingRestoreFiles() {
+    return [...pendingRestores.values()].map((pending) => pending.file)
+}
+
+const MAX_RESTORE_USERS = 10
+
+// Dry run of a restore: what each collection and each user's results become
+function describeRestoreDiff(chatId, backup, diff) {
+    const collections = [
+        ["restoreSessions", diff.sessions],
+        ["restoreStates", diff.states],
+        ["restoreSettings", diff.settings],
+        ["restoreTeams", diff.teams],
+    ]
+    const lines = [
+        getMessage(chatId, "restorePreview")
+            .replace("{file}", backup.file)
+            .replace("{date}", formatBackupDate(backup.date))
+            .replace("{size}", formatBackupSize(chatId, backup.size)),
+        ...collections
+            .filter(([, collection]) => collection)
+            .map(([key, collection]) =>
+                getMessage(chatId, "restoreDiffLine")
+                    .replace("{collection}", getMessage(chatId, key))
+                    .replace("{added}", collection.added.length)
+                    .replace("{removed}", collection.removed.length)
+                    .replace("{changed}", collection.changed.length)
+            ),
+        getMessage(chatId, "restoreResults")
+            .replace("{before}", diff.results.before)
+            .replace("{after}", diff.results.after),
+    ]
+    if (diff.users.length > 0) {
+        lines.push(getMessage(chatId, "restoreUsersHeader"))
+        diff.users.slice(0, MAX_RESTORE_USERS).forEach((user) => {
+            lines.push(`${user.username || user.chatId} (${user.chatId}): ${user.before} → ${user.after}`)
+        })
+        if (diff.users.length > MAX_RESTORE_USERS) {
+            lines.push(
+                getMessage(chatId, "restoreUsersMore").replace(
+                    "{count}",
+                    diff.users.length - MAX_RESTORE_USERS
+                )
+            )
+        }
+    }
+    lines.push("", getMessage(chatId, "restoreConfirmPrompt"))
+    return lines.join("\n")
+}
+
+// Apply the previewed backup. The current data is backed up first, so a
+// wrong restore can be undone with another /restore.
+async function confirmRestore(msg) {
+    const chatId = msg.chat.id
+    const pending = pendingRestores.get(chatId)
+    pendingRestores.delete(chatId)
+    if (!pending || pending.userId !== msg.from.id || pending.expires < Date.now()) {
+        bot.sendMessage(chatId, getMessage(chatId, "restoreNothingToConfirm"))
+        return
+    }
+    const backupFile = path.join(BACKUP_DIR, pending.file)
+    if (!fs.existsSync(backupFile)) {
+        audit(msg, "restore", { file: pending.file, success: false, missing: true })
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, "restoreBackupMissing").replace("{file}", pending.file)
+        )
+        return
+    }
+
+    const safetyBackup = await createBackup(userSessions, userStates, userSettings, logger, teams, [
+        pending.file,
+        ...getPendingRestoreFiles(),
+    ])
+    const success = await restoreFromBackup(
+        backupFile,
+        userSessions,
+        userStates,
+        userSettings,
+        logger,
+        teams
+    )
+    storage.flush()
+    audit(msg, "restore", {
+        file: pending.file,
+        success,
+        safetyBackup: safetyBackup ? path.basename(safetyBackup) : null,
+        users: pending.diff.users.length,
+        results: pending.diff.results,
+    })
+    if (!success) {
+        bot.sendMessage(chatId, getMessage(chatId, "restoreError"))
+        return
+    }
+    bot.sendMessage(
+        chatId,
+        getMessage(chatId, "restoreDone").replace("{file}", pending.file) +
+            (safetyBackup
+                ? getMessage(chatId, "restoreSafetyBackup").replace(
+                      "{file}",
+                      path.basename(safetyBackup)
+                  )
+                : "")
+    )
+}
+
+// /restore lists backups, /restore <number> shows what would change,
+// /restore confirm applies it and /restore cancel drops it
+bot.onText(/^\/restore(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
     const chatId = msg.chat.id
+    if (!requireAdmin(msg, "/restore")) return
+    const argument = (match[1] || "").toLowerCase()
     try {
-        if (!fs.existsSync(BACKUP_DIR)) {
-            bot.sendMessage(chatId, "Резервные копии недоступны")
+        if (argument === "confirm") {
+            await confirmRestore(msg)
+            return
+        }
+        if (argument === "cancel") {
+            pendingRestores.delete(chatId)
+            bot.sendMessage(chatId, getMessage(chatId, "restoreCancelled"))
             return
         }
 
-        const files = await fs.promises.readdir(BACKUP_DIR)
-        if (files.length === 0) {
-            bot.sendMessage(chatId, "Нет доступных резервных копий")
+        if (!fs.existsSync(BACKUP_DIR)) {
+            bot.sendMessage(chatId, getMessage(chatId, "backupsUnavailable"))
+            return
+        }
+        const backups = await listBackups()
+        if (backups.length === 0) {
+            bot.sendMessage(chatId, getMessage(chatId, "noBackups"))
             return
         }
 
-        // Sort backups by date (newest first)
-        const sortedFiles = files.sort().reverse()
-        const latestBackup = sortedFiles[0]
+        if (!argument) {
+            const lines = backups.map(
+                (backup, i) =>
+                    `${i + 1}. ${formatBackupDate(backup.date)} — ${formatBackupSize(chatId, backup.size)}`
+            )
+            bot.sendMessage(
+                chatId,
+                `${getMessage(chatId, "restoreList")}\n${lines.join("\n")}\n\n${getMessage(chatId, "restoreChoose")}`
+            )
+            return
+        }
 
-        const success = await restoreFromBackup(`${BACKUP_DIR}/${latestBackup}`)
-        if (success) {
+        const backup = backups[parseInt(argument) - 1]
+        if (!backup) {
             bot.sendMessage(
                 chatId,
-                "Данные восстановлены из последней резервной копии"
+                getMessage(chatId, "restoreInvalidNumber").replace("{count}", backups.length)
             )
-        } else {
-            bot.sendMessage(chatId, "Ошибка при восстановлении данных")
+            return
         }
+        const diff = diffBackup(
+            await readBackup(path.join(BACKUP_DIR, backup.file)),
+            userSessions,
+            userStates,
+            userSettings,
+            teams
+        )
+        pendingRestores.set(chatId, {
+            file: backup.file,
+            userId: msg.from.id,
+            diff,
+            expires: Date.now() + RESTORE_CONFIRM_TTL,
+        })
+        audit(msg, "restore_preview", { file: backup.file })
+        bot.sendMessage(chatId, describeRestoreDiff(chatId, backup, diff), {
+            reply_markup: {
+                keyboard: [["/restore confirm"], ["/restore cancel"]],
+                one_time_keyboard: true,
+            },
+        })
     } catch (error) {
         logger.warn(`Could not restore from backup: ${error.message}`)
-        bot.sendMessage(chatId, "Восстановление недоступно")
+        bot.sendMessage(chatId, getMessage(chatId, "restoreUnavailable"))
+    }
+})
+
+// Latest entries of the audit log: /audit [count]
+const MAX_AUDIT_ENTRIES = 50
+
+bot.onText(/^\/audit(?:@\w+)?(?:\s+(\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id
+    if (!requireAdmin(msg, "/audit")) return
+    try {
+        const entries = await readAuditLog(
+            match[1] ? Math.min(parseInt(match[1]), MAX_AUDIT_ENTRIES) : undefined
+        )
+        if (entries.length === 0) {
+            bot.sendMessage(chatId, getMessage(chatId, "auditEmpty"))
+            return
+        }
+        const lines = entries.map((entry) =>
+            [
+                formatBackupDate(entry.timestamp),
+                `${entry.username || ""} (${entry.userId})`,
+                entry.action,
+                entry.file || entry.command || "",
+            ]
+                .filter(Boolean)
+                .join(" ")
+        )
+        bot.sendMessage(chatId, `${getMessage(chatId, "auditHeader")}\n${lines.join("\n")}`)
+    } catch (error) {
+        logger.error(`Could not read audit log: ${error.message}`)
+        bot.sendMessage(chatId, getMessage(chatId, "auditUnavailable"))
     }
 })
 
 // Start command handler
-bot.onText(/\/start/, (msg) => {
+bot.onText(/^\/start(?:@\w+)?$/, (msg) => {
     const chatId = msg.chat.id
     const username = msg.from.username || msg.from.first_name
     logger.info(`User ${username} (${chatId}) started the bot`)
 
     initUserState(chatId)
     initUserSession(chatId, username)
-    initUserSettings(chatId)
+    getUserSettings(chatId)
     logUserAction(chatId, "start_bot")
 
-    const keyboard = {
-        reply_markup: {
-            keyboard: [
-                [getMessage(chatId, "worldModel")],
-                [getMessage(chatId, "russiaModel")],
-            ],
-            one_time_keyboard: true,
-        },
+    const keyboard = getModelTypeKeyboard(chatId)
+
+    // Conditions carry over to the new session, so remind about them
+    const { conditions } = userSessions.get(chatId)
+    let message = getMessage(chatId, "selectModel")
+    if (hasConditions(conditions)) {
+        message =
+            getMessage(chatId, "currentConditions").replace(
+                "{conditions}",
+                describeConditionsFor(chatId, conditions)
+            ) +
+            "\n" +
+            message
     }
-
-    bot.sendMessage(chatId, getMessage(chatId, "selectModel"), keyboard)
+    bot.sendMessage(chatId, message, keyboard)
 })
 
+// Keyboard with all model families
+function getModelTypeKeyboard(chatId) {
+    return getTranslatedKeyboard(chatId, Object.keys(modelFamilies))
+}
+
 // Add cancel button to keyboard
-function addCancelButton(keyboard) {
-    keyboard.reply_markup.keyboard.push(["Отмена"])
+function addCancelButton(chatId, keyboard) {
+    keyboard.reply_markup.keyboard.push([getMessage(chatId, "cancel")])
     return keyboard
 }
 
-// Handle cancel action
-function handleCancel(chatId) {
-    const userState = userStates.get(chatId)
-    if (userState) {
-        if (userState.state === STATES.WAITING_NEXT_ACTION) {
-            // If in next action state, go back to time input
-            userState.state = STATES.WAITING_TIME
-            bot.sendMessage(
-                chatId,
-                "Введите время в формате СС.сс или ММ:СС.сс (например, 45.55 или 7:45.55)"
-            )
-        } else {
-            // For other states, reset to start
-            initUserState(chatId)
-            const keyboard = {
-                reply_markup: {
-                    keyboard: [
-                        [getMessage(chatId, "worldModel")],
-                        [getMessage(chatId, "russiaModel")],
-                    ],
-                    one_time_keyboard: true,
-                },
-            }
-            bot.sendMessage(chatId, "Выберите тип модели:", keyboard)
-        }
-    }
+// Work modes by their message keys
+const modeKeys = ["singleTime", "createFile", "targetTime", "predict2000"]
+
+// Keyboard with the available work modes
+function getModeKeyboard(chatId) {
+    const keyboard = getTranslatedKeyboard(chatId, modeKeys)
+    return addCancelButton(chatId, keyboard)
 }
 
-// Add settings command
-bot.onText(/\/settings/, (msg) => {
-    const chatId = msg.chat.id
-    const keyboard = {
-        reply_markup: {
-            keyboard: [[getMessage(chatId, "back")]],
-            one_time_keyboard: true,
-        },
+// Parse "92" or "85-105" into a percentage range
+const MIN_TARGET_PERCENTAGE = 50
+const MAX_TARGET_PERCENTAGE = 150
+
+function parsePercentageRange(text) {
+    const match = text
+        .replace(/%/g, "")
+        .replace(/,/g, ".")
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)(?:\s*[-–—]\s*(\d+(?:\.\d+)?))?$/)
+    if (!match) return null
+    const from = parseFloat(match[1])
+    const to = match[2] ? parseFloat(match[2]) : from
+    if (
+        from > to ||
+        from < MIN_TARGET_PERCENTAGE ||
+        to > MAX_TARGET_PERCENTAGE
+    ) {
+        return null
     }
-    bot.sendMessage(chatId, getMessage(chatId, "settings"), keyboard)
-})
+    return { from, to }
+}
 
-// Update keyboard generation to use translated text
-function getTranslatedKeyboard(chatId, items) {
+// Parse "6000 22:30.5" lines plus an optional "k 1.08" or "пол 5" line
+function parsePredictionPieces(text) {
+    const pieces = []
+    const invalid = []
+    let method = PREDICTION_RIEGEL
+    let parameter = null
+    text.split(/\n+/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .forEach((line) => {
+            const option = line
+                .replace(/,/g, ".")
+                .match(/^(k|к|пол|paul)\s*=?\s*(\d+(?:\.\d+)?)$/i)
+            if (option) {
+                method = /^(k|к)$/i.test(option[1]) ? PREDICTION_RIEGEL : PREDICTION_PAUL
+                parameter = parseFloat(option[2])
+                return
+            }
+            const [distanceText, ...timeParts] = line.split(/\s+/)
+            const distance = parseDistance(distanceText)
+            const { seconds, error } = parseTime(timeParts.join(" "))
+            if (!distance || error) {
+                invalid.push(line)
+                return
+            }
+            pieces.push({ distance, seconds })
+        })
+    return {
+        pieces,
+        invalid,
+        method,
+        parameter: parameter || getDefaultPredictionParameter(method),
+    }
+}
+
+// Boat classes of the selected category
+function sendBoatKeyboard(chatId, userState) {
+    bot.sendMessage(
+        chatId,
+        getMessage(chatId, "selectBoat"),
+        getTranslatedKeyboard(
+            chatId,
+            getFamilyBoatClasses(
+                getModelFamily(chatId, userState.modelType, getMessage),
+                userState.ageCategory
+            )
+        )
+    )
+}
+
+// After the category: ask for the distance, or go straight to the boat
+// when predicting 2000m
+function askDistance(chatId, userState) {
+    if (userState.mode === "predict2000") {
+        userState.distance = PREDICTION_DISTANCE
+        if (userState.boatClass) {
+            askAfterBoat(chatId, userState)
+            return
+        }
+        userState.state = STATES.WAITING_BOAT
+        sendBoatKeyboard(chatId, userState)
+        return
+    }
+    userState.state = STATES.WAITING_DISTANCE
+    bot.sendMessage(
+        chatId,
+        getMessage(chatId, "selectDistance"),
+        getTranslatedKeyboard(chatId, distances)
+    )
+}
+
+// After the boat: ask for the target percentage, the pieces of the
+// prediction, the erg weight or the time
+function askAfterBoat(chatId, userState) {
+    if (userState.mode === "targetTime") {
+        userState.state = STATES.WAITING_PERCENTAGE
+        bot.sendMessage(chatId, getMessage(chatId, "enterPercentage"))
+    } else if (userState.mode === "predict2000") {
+        userState.state = STATES.WAITING_PREDICTION_PIECES
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, "enterPredictionPieces").replace(
+                "{exponent}",
+                getDefaultPredictionParameter(PREDICTION_RIEGEL)
+            )
+        )
+    } else if (
+        getModelFamily(chatId, userState.modelType, getMessage).isErg &&
+        userState.weight == null
+    ) {
+        userState.state = STATES.WAITING_WEIGHT
+        bot.sendMessage(chatId, getMessage(chatId, "enterWeight"))
+    } else {
+        userState.state = STATES.WAITING_TIME
+        bot.sendMessage(chatId, getMessage(chatId, "enterTime"))
+    }
+}
+
+// Saved athletes of the chat, kept in user settings
+function getRoster(chatId) {
+    const settings = getUserSettings(chatId)
+    if (!settings.roster) {
+        settings.roster = []
+    }
+    return settings.roster
+}
+
+// "Ivanov (Men, 1x, male, born 1990, 82 kg)"
+function describeRosterAthlete(chatId, athlete) {
+    const details = [
+        formatCategory(chatId, athlete.category),
+        athlete.boatClass && getMessage(chatId, athlete.boatClass),
+        athlete.gender &&
+            getMessage(chatId, athlete.gender === GENDER_FEMALE ? "genderFemale" : "genderMale"),
+        athlete.birthYear &&
+            getMessage(chatId, "rosterBirthYear").replace("{year}", athlete.birthYear),
+        athlete.weight &&
+            getMessage(chatId, "rosterWeight").replace("{weight}", athlete.weight),
+    ].filter(Boolean)
+    return `${athlete.name} (${details.join(", ")})`
+}
+
+// Ask for the athlete's name, offering roster athletes as buttons
+function askName(chatId) {
+    const roster = getRoster(chatId)
+    if (roster.length === 0) {
+        bot.sendMessage(chatId, getMessage(chatId, "enterName"))
+        return
+    }
+    bot.sendMessage(chatId, getMessage(chatId, "enterNameOrRoster"), {
+        reply_markup: {
+            keyboard: roster.map((athlete) => [athlete.name]),
+            one_time_keyboard: true,
+        },
+    })
+}
+
+// Take the category, boat and weight of a roster athlete for the selected
+// model. Returns false if the model has no such category. A boat the model
+// lacks stays unset; on the erg the roster boat only picks lightweight.
+function applyRosterAthlete(chatId, userState, athlete) {
+    const family = getModelFamily(chatId, userState.modelType, getMessage)
+    if (!family.ageCategories.includes(athlete.category)) {
+        return false
+    }
+    const age = getRosterAge(athlete)
+    userState.ageCategory = athlete.category
+    userState.mastersAge =
+        isMastersCategory(athlete.category) && age ? parseMastersAge(String(age)) : null
+
+    const boats = getFamilyBoatClasses(family, athlete.category)
+    const boat =
+        family.isErg && athlete.boatClass
+            ? boats.find((b) => b.includes("л/в") === athlete.boatClass.includes("л/в"))
+            : athlete.boatClass
+    userState.boatClass = boats.includes(boat) ? boat : null
+    userState.weight = athlete.weight || null
+    return true
+}
+
+const rosterErrorKeys = {
+    name: "rosterMissingName",
+    category: "rosterMissingCategory",
+    boat: "rosterInvalidBoat",
+}
+
+// Saved athletes: /roster | add <line> | delete <number>
+bot.onText(/\/roster(?:@\w+)?(?:\s+(\S+))?(?:\s+(.+))?/, (msg, match) => {
+    const chatId = msg.chat.id
+    const action = (match[1] || "").toLowerCase()
+    const argument = (match[2] || "").trim()
+    const roster = getRoster(chatId)
+
+    switch (action) {
+        case "": {
+            if (roster.length === 0) {
+                bot.sendMessage(chatId, getMessage(chatId, "rosterUsage"))
+                break
+            }
+            const lines = roster.map(
+                (athlete, i) => `${i + 1}. ${describeRosterAthlete(chatId, athlete)}`
+            )
+            bot.sendMessage(
+                chatId,
+                `${getMessage(chatId, "rosterHeader")}\n${lines.join("\n")}\n\n${getMessage(chatId, "rosterUsage")}`
+            )
+            break
+        }
+
+        case "add": {
+            const { athlete, error } = parseRosterCommand(argument, (key) =>
+                getMessage(chatId, key)
+            )
+            if (error) {
+                logUserAction(chatId, "roster_error", { error, text: argument })
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, rosterErrorKeys[error])
+                        .replace("{boat}", athlete.boatClass && getMessage(chatId, athlete.boatClass))
+                        .replace("{category}", athlete.category && getMessage(chatId, athlete.category))
+                )
+                break
+            }
+            getUserSettings(chatId).roster = addRosterAthlete(roster, athlete)
+            logUserAction(chatId, "add_roster_athlete", { name: athlete.name })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "rosterAdded").replace(
+                    "{athlete}",
+                    describeRosterAthlete(chatId, athlete)
+                )
+            )
+            break
+        }
+
+        case "delete": {
+            const index = parseInt(argument) - 1
+            const athlete = roster[index]
+            if (!athlete) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "rosterInvalidNumber").replace("{count}", roster.length)
+                )
+                break
+            }
+            roster.splice(index, 1)
+            logUserAction(chatId, "delete_roster_athlete", { name: athlete.name })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "rosterDeleted").replace("{name}", athlete.name)
+            )
+            break
+        }
+
+        default:
+            bot.sendMessage(chatId, getMessage(chatId, "rosterUsage"))
+    }
+})
+
+// Handle cancel action
+function handleCancel(chatId) {
+    const userState = userStates.get(chatId)
+    if (userState) {
+        if (userState.state === STATES.WAITING_NEXT_ACTION) {
+            // If in next action state, go back to time input
+            userState.state = STATES.WAITING_TIME
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "enterTime")
+            )
+        } else {
+            // For other states, reset to start
+            initUserState(chatId)
+            const keyboard = getModelTypeKeyboard(chatId)
+            bot.sendMessage(chatId, getMessage(chatId, "selectModel"), keyboard)
+        }
+    }
+}
+
+// Add settings command
+bot.onText(/\/settings/, (msg) => {
+    const chatId = msg.chat.id
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+    const userState = userStates.get(chatId)
+    // Remember where the user was so "Назад" returns there
+    if (
+        ![STATES.WAITING_SETTINGS, STATES.WAITING_LANGUAGE].includes(
+            userState.state
+        )
+    ) {
+        userState.previousState = userState.state
+    }
+    userState.state = STATES.WAITING_SETTINGS
+
+    const settings = getUserSettings(chatId)
+    const scaling = getMessage(chatId, settings.scaling)
+    const keyboard = getTranslatedKeyboard(chatId, [
+        ...Object.keys(scalingModes),
+        "changeLanguage",
+        "back",
+    ])
+    bot.sendMessage(
+        chatId,
+        `${getMessage(chatId, "settings")}\n${getMessage(
+            chatId,
+            "selectScaling"
+        )}: ${scaling}\n${getMessage(chatId, "currentLanguage")}: ${
+            languageNames[settings.language]
+        }`,
+        keyboard
+    )
+})
+
+// Conditions command: wind, stream and water temperature for the session
+bot.onText(/\/conditions/, (msg) => {
+    const chatId = msg.chat.id
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+    const userState = userStates.get(chatId)
+    if (userState.state !== STATES.WAITING_CONDITIONS) {
+        userState.previousState = userState.state
+    }
+    userState.state = STATES.WAITING_CONDITIONS
+
+    const session = userSessions.get(chatId)
+    let message = getMessage(chatId, "enterConditions")
+    if (session && hasConditions(session.conditions)) {
+        message =
+            getMessage(chatId, "currentConditions").replace(
+                "{conditions}",
+                describeConditionsFor(chatId, session.conditions)
+            ) +
+            "\n" +
+            message
+    }
+    bot.sendMessage(chatId, message)
+})
+
+// Recalculate an athlete's history under another model version
+bot.onText(/\/recalc(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id
+    const args = (match[1] || "").trim()
+    if (!args) {
+        const versions = Object.keys(modelFamilies)
+            .map(
+                (key) =>
+                    `${getMessage(chatId, key)}: ${modelFamilies[key].versions
+                        .map(
+                            (v) =>
+                                getMessage(
+                                    chatId,
+                                    v.effectiveTo
+                                        ? "recalcVersionPeriod"
+                                        : "recalcVersionFrom"
+                                )
+                                    .replace("{version}", v.version)
+                                    .replace("{from}", v.effectiveFrom)
+                                    .replace("{to}", v.effectiveTo)
+                        )
+                        .join(", ")}`
+            )
+            .join("\n")
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, "recalcUsage").replace("{versions}", versions)
+        )
+        return
+    }
+
+    // The last word is a version if some model has it
+    const words = args.split(/\s+/)
+    const lastWord = words[words.length - 1]
+    const isVersion =
+        words.length > 1 &&
+        Object.values(modelFamilies).some((family) =>
+            family.versions.some((v) => v.version === lastWord)
+        )
+    const version = isVersion ? lastWord : null
+    const name = isVersion ? words.slice(0, -1).join(" ") : args
+
+    try {
+        const results = await loadAthleteResults(chatId, name, userSessions, storage.repository)
+        if (results.length === 0) {
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "recalcEmpty").replace("{name}", name)
+            )
+            return
+        }
+
+        const lines = recalculateResults(results, {
+            version,
+            resolveFamily: (modelType) =>
+                getModelFamily(chatId, modelType, getMessage),
+        }).map((row) => {
+            const head = `${row.date} ${formatDistance(chatId, row.distance)} ${getMessage(
+                chatId,
+                row.boatClass
+            )} ${row.time}`
+            if (!row.newVersion) {
+                return `${head}: ${row.oldPercentage}% (v${row.oldVersion}), ${getMessage(
+                    chatId,
+                    "recalcVersionMissing"
+                ).replace("{version}", version)}`
+            }
+            return `${head}: ${row.oldPercentage}% (v${row.oldVersion}) → ${row.newPercentage}% (v${row.newVersion}), ${row.delta}`
+        })
+        logUserAction(chatId, "recalc_history", { name, version })
+        bot.sendMessage(
+            chatId,
+            `${getMessage(chatId, "recalcHeader").replace(
+                "{name}",
+                name
+            )}\n${lines.join("\n")}`
+        )
+    } catch (error) {
+        logger.error(`Error recalculating history: ${error.message}`, error)
+        bot.sendMessage(chatId, getMessage(chatId, "calculationError"))
+    }
+})
+
+// "/progress Иванов 2000 1х": the athlete's name with an optional distance
+// and boat class in any order
+function parseProgressArgs(chatId, text) {
+    const words = text.trim().split(/\s+/)
+    const boats = [...new Set(Object.values(modelFamilies).flatMap((family) => family.boatClasses))]
+    const boat = findPhrase(words, boats, (key) => getMessage(chatId, key))
+    if (boat) words.splice(boat.index, boat.length)
+    const distanceIndex = words.findIndex((word) => /^\d/.test(word) && parseDistance(word))
+    const distance = distanceIndex === -1 ? null : parseDistance(words.splice(distanceIndex, 1)[0])
+    return { name: words.join(" "), distance, boatClass: boat ? boat.value : null }
+}
+
+function formatProgressPoint(chatId, point) {
+    return getMessage(chatId, "progressPoint")
+        .replace("{date}", point.date.toISOString().slice(0, 10))
+        .replace("{percentage}", point.percentage.toFixed(2))
+        .replace("{time}", point.time)
+}
+
+// Model percentage of one athlete across all sessions as a PNG chart:
+// /progress <name> [distance] [boat]
+bot.onText(/\/progress(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id
+    const { name, distance, boatClass } = parseProgressArgs(chatId, match[1] || "")
+    if (!name) {
+        bot.sendMessage(chatId, getMessage(chatId, "progressUsage"))
+        return
+    }
+
+    try {
+        const results = await loadAthleteResults(chatId, name, userSessions, storage.repository)
+        if (results.length === 0) {
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "recalcEmpty").replace("{name}", name)
+            )
+            return
+        }
+
+        const points = getProgressPoints(results, { distance, boatClass })
+        if (points.length === 0) {
+            const filters = getProgressFilters(results)
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "progressNoMatch")
+                    .replace("{distances}", filters.distances.map((d) => formatDistance(chatId, d)).join(", "))
+                    .replace("{boats}", filters.boats.map((b) => getMessage(chatId, b)).join(", "))
+            )
+            return
+        }
+
+        const athleteName = results[0].name
+        const title = [
+            athleteName,
+            distance && formatDistance(chatId, distance),
+            boatClass && getMessage(chatId, boatClass),
+        ]
+            .filter(Boolean)
+            .join(", ")
+        const png = renderProgressPng(points, {
+            title,
+            formatSeries: (seriesDistance, seriesBoat) =>
+                `${formatDistance(chatId, seriesDistance)} ${getMessage(chatId, seriesBoat)}`,
+        })
+        const summary = summarizeProgress(points)
+        const caption = getMessage(chatId, "progressSummary")
+            .replace("{name}", title)
+            .replace("{count}", summary.count)
+            .replace("{first}", formatProgressPoint(chatId, summary.first))
+            .replace("{last}", formatProgressPoint(chatId, summary.last))
+            .replace("{best}", formatProgressPoint(chatId, summary.best))
+            .replace("{change}", formatDelta(summary.change))
+
+        logUserAction(chatId, "progress_chart", { name: athleteName, distance, boatClass })
+        await bot.sendPhoto(
+            chatId,
+            png,
+            { caption },
+            { filename: "progress.png", contentType: "image/png" }
+        )
+    } catch (error) {
+        logger.error(`Error building progress chart: ${error.message}`, error)
+        bot.sendMessage(chatId, getMessage(chatId, "progressError"))
+    }
+})
+
+// Crew builder: predict a crew from athletes already in the session.
+// Model, category and distance come from the last result on water.
+bot.onText(/\/crew/, (msg) => {
+    const chatId = msg.chat.id
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+    const userState = userStates.get(chatId)
+    const session = userSessions.get(chatId)
+    const athletes = getSessionAthletes(session)
+    if (athletes.length < 2) {
+        bot.sendMessage(chatId, getMessage(chatId, "crewNotEnough"))
+        return
+    }
+    const source = [...session.results]
+        .reverse()
+        .find(
+            (r) => !r.crew && !getModelFamily(chatId, r.modelType, getMessage).isErg
+        )
+    const boats = source
+        ? getFamilyBoatClasses(
+              getModelFamily(chatId, source.modelType, getMessage),
+              source.ageCategory
+          ).filter(isCrewBoat)
+        : []
+    if (boats.length === 0) {
+        bot.sendMessage(chatId, getMessage(chatId, "crewNoBoats"))
+        return
+    }
+
+    if (
+        ![
+            STATES.WAITING_CREW_BOAT,
+            STATES.WAITING_CREW_MEMBERS,
+            STATES.WAITING_CREW_TIME,
+        ].includes(userState.state)
+    ) {
+        userState.previousState = userState.state
+    }
+    userState.state = STATES.WAITING_CREW_BOAT
+    userState.crew = { source, athletes, boats }
+
+    const list = athletes
+        .map((a, i) => `${i + 1}. ${a.name} — ${a.percentage.toFixed(2)}%`)
+        .join("\n")
+    bot.sendMessage(
+        chatId,
+        getMessage(chatId, "crewSelectBoat")
+            .replace("{athletes}", list)
+            .replace("{model}", getMessage(chatId, source.modelType))
+            .replace(
+                "{category}",
+                formatCategory(chatId, source.ageCategory, source.mastersAge)
+            )
+            .replace("{distance}", formatDistance(chatId, source.distance)),
+        addCancelButton(chatId, getTranslatedKeyboard(chatId, boats))
+    )
+})
+
+// Category, boat and distance filters for /top, taken from the session's
+// own values, typed as keys or as labels in the user's language; longer
+// names first so "1х л/в" is not read as "1х"
+function parseLeaderboardFilters(chatId, args, entries) {
+    const { categories, boats } = getLeaderboardFilters(entries)
+    let rest = ` ${args.toLowerCase()} `
+    const filters = {}
+
+    const takeValue = (values) => {
+        const found = values
+            .flatMap((value) => [
+                { text: value, value },
+                { text: getMessage(chatId, value), value },
+            ])
+            .sort((a, b) => b.text.length - a.text.length)
+            .find(({ text }) => rest.includes(` ${text.toLowerCase()} `))
+        if (!found) return null
+        rest = rest.replace(` ${found.text.toLowerCase()} `, " ")
+        return found.value
+    }
+    const category = takeValue(categories)
+    if (category) {
+        filters.category = category
+    }
+    const boat = takeValue(boats)
+    if (boat) {
+        filters.boat = boat
+    }
+
+    const unknown = []
+    rest.split(/\s+/)
+        .filter(Boolean)
+        .forEach((token) => {
+            const distance = parseDistance(token)
+            if (distance && !filters.distance) {
+                filters.distance = distance
+            } else {
+                unknown.push(token)
+            }
+        })
+    return { filters, unknown }
+}
+
+// Leaderboard of the current session: /top [category] [boat] [distance]
+bot.onText(/\/top(?:@\w+)?(?:\s+(.+))?/, (msg, match) => {
+    const chatId = msg.chat.id
+    const session = userSessions.get(chatId)
+    const entries = (session ? session.results : []).map((r) => ({
+        name: r.name,
+        category: r.ageCategory,
+        boat: r.boatClass,
+        distance: r.distance,
+        percentage: parseFloat(r.modelPercentage),
+    }))
+    if (entries.length === 0) {
+        bot.sendMessage(chatId, getMessage(chatId, "topEmpty"))
+        return
+    }
+
+    const { filters, unknown } = parseLeaderboardFilters(
+        chatId,
+        match[1] || "",
+        entries
+    )
+    if (unknown.length > 0) {
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, "topUnknownFilter").replace("{tokens}", unknown.join(" "))
+        )
+        return
+    }
+    const filterText = [
+        filters.category && getMessage(chatId, filters.category),
+        filters.boat && getMessage(chatId, filters.boat),
+        filters.distance && formatDistance(chatId, filters.distance),
+    ]
+        .filter(Boolean)
+        .join(", ")
+    const rows = buildLeaderboard(entries, filters)
+    if (rows.length === 0) {
+        bot.sendMessage(
+            chatId,
+            getMessage(chatId, "topNoMatch").replace("{filters}", filterText)
+        )
+        return
+    }
+
+    logUserAction(chatId, "view_leaderboard", { filters })
+    const lines = rows.map((row) =>
+        getMessage(chatId, "topLine")
+            .replace("{rank}", row.rank)
+            .replace("{name}", row.name)
+            .replace("{average}", row.average.toFixed(2))
+            .replace("{best}", row.best.toFixed(2))
+            .replace("{count}", row.count)
+            .replace(
+                "{boats}",
+                row.boats.map((boat) => getMessage(chatId, boat)).join(", ")
+            )
+            .replace(
+                "{categories}",
+                row.categories
+                    .map((category) => getMessage(chatId, category))
+                    .join(", ")
+            )
+    )
+    bot.sendMessage(
+        chatId,
+        `${getMessage(chatId, "topHeader").replace(
+            "{filters}",
+            filterText ? ` (${filterText})` : ""
+        )}\n${lines.join("\n")}`
+    )
+})
+
+// Results of the current session with their numbers
+function sendHistory(chatId) {
+    const userState = userStates.get(chatId)
+    const session = userSessions.get(chatId)
+    const results = session ? session.results : []
+    const lines = results.map((r, i) =>
+        getMessage(chatId, "historyLine")
+            .replace("{index}", i + 1)
+            .replace("{name}", r.name)
+            .replace("{time}", r.time)
+            .replace("{percentage}", r.modelPercentage)
+            .replace("{category}", formatCategory(chatId, r.ageCategory, r.mastersAge))
+            .replace("{boat}", getMessage(chatId, r.boatClass))
+            .replace("{distance}", formatDistance(chatId, r.distance))
+    )
+    const actions = [
+        ...(results.length > 0 ? ["editEntry", "deleteEntry"] : []),
+        ...(userState.deletedEntry ? ["undoDelete"] : []),
+        "back",
+    ]
+    userState.state = STATES.VIEWING_HISTORY
+    bot.sendMessage(
+        chatId,
+        results.length > 0
+            ? `${getMessage(chatId, "historyHeader")}\n${lines.join("\n")}`
+            : getMessage(chatId, "historyEmpty"),
+        getTranslatedKeyboard(chatId, actions)
+    )
+}
+
+// Back from the history to the menu or the step it was opened from
+function leaveHistory(chatId, userState) {
+    if (userState.previousState === STATES.WAITING_NEXT_ACTION) {
+        userState.state = STATES.WAITING_NEXT_ACTION
+        delete userState.previousState
+        sendNextActionKeyboard(chatId)
+        return
+    }
+    returnToPreviousState(chatId, userState)
+}
+
+// Recompute a stored result after its time, distance, boat or category
+// changed, with the model version it was calculated with. Returns false if
+// the model has no time for the category and boat.
+function recalculateEntry(chatId, result) {
+    const baseModelTime = getBaseModelTime(chatId, getMessage, result)
+    if (!baseModelTime) {
+        return false
+    }
+    const seconds = parseTimeToSeconds(result.time)
+    result.modelTime = scaleModelTime(
+        baseModelTime,
+        result.distance,
+        result.boatClass,
+        result.scaling
+    )
+    result.modelPercentage = calculateModelPercentage(
+        baseModelTime,
+        result.distance,
+        seconds,
+        result.boatClass,
+        result.scaling
+    ).toFixed(2)
+    if (result.watts != null) {
+        result.watts = Math.round(
+            splitToWatts(calculateSplit(seconds, result.distance))
+        )
+    }
+    if (hasConditions(result.conditions)) {
+        const correctedSeconds = correctTimeForConditions(
+            seconds,
+            result.distance,
+            result.boatClass,
+            result.conditions
+        )
+        result.correctedPercentage = calculateModelPercentage(
+            baseModelTime,
+            result.distance,
+            correctedSeconds,
+            result.boatClass,
+            result.scaling
+        ).toFixed(2)
+    }
+    return true
+}
+
+// Apply changes to a session result, recompute it and save the session.
+// Returns the updated result or null if the model has no time for it.
+function updateEntry(chatId, index, changes) {
+    const session = userSessions.get(chatId)
+    const updated = { ...session.results[index], ...changes }
+    if (!recalculateEntry(chatId, updated)) {
+        return null
+    }
+    session.results[index] = updated
+    syncTeamResult(chatId, updated.timestamp, updated)
+    logUserAction(chatId, "edit_result", { index, changes })
+    saveSession(chatId)
+    return updated
+}
+
+// Result history of the current session: view, edit, delete, undo
+bot.onText(/\/history/, (msg) => {
+    const chatId = msg.chat.id
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+    const userState = userStates.get(chatId)
+    if (!HISTORY_STATES.includes(userState.state)) {
+        userState.previousState = userState.state
+    }
+    sendHistory(chatId)
+})
+
+// Return to the step interrupted by /settings or /conditions
+function returnToPreviousState(chatId, userState) {
+    userState.state = userState.previousState || STATES.WAITING_MODEL_TYPE
+    delete userState.previousState
+    bot.sendMessage(chatId, getMessage(chatId, "useStart"))
+}
+
+// Update keyboard generation to use translated text
+function getTranslatedKeyboard(chatId, items) {
     return {
         reply_markup: {
             keyboard: items.map((item) => [getMessage(chatId, item)]),
@@ -590,50 +2107,655 @@ function getTranslatedKeyboard(chatId, items) {
     }
 }
 
+// Model percentage of one time and the reply with split, speed, power and
+// the correction for session conditions. `entry` is the user state or a
+// parsed /calc line: modelType, ageCategory, boatClass, mastersAge, distance,
+// and optionally name and weight. Throws if the model has no such boat.
+function calculateResult(chatId, entry, seconds, timeText = formatTime(seconds)) {
+    const { scaling } = getUserSettings(chatId)
+
+    // Log the values being used for model time calculation
+    logger.info("Calculating model time with values:", {
+        ageCategory: entry.ageCategory,
+        distance: entry.distance,
+        boatClass: entry.boatClass,
+        time: seconds,
+        modelType: entry.modelType,
+        scaling,
+    })
+
+    const family = getModelFamily(chatId, entry.modelType, getMessage)
+    // Results are computed with the model version in effect today
+    const modelVersion = getModelVersion(family)
+
+    // Get base model time for 2000m for correct percentage calculation
+    const baseModelTime = lookupBaseModelTime(
+        modelVersion.times,
+        entry.ageCategory,
+        entry.boatClass,
+        entry.mastersAge
+    )
+    if (!baseModelTime) {
+        throw new Error("Invalid category or boat class")
+    }
+
+    const modelTime = scaleModelTime(
+        baseModelTime,
+        entry.distance,
+        entry.boatClass,
+        scaling
+    )
+
+    logger.info(
+        `Model time calculated: ${modelTime} (version ${modelVersion.version})`
+    )
+
+    // Calculate model percentage based on average speed
+    const percentage = calculateModelPercentage(
+        baseModelTime,
+        entry.distance,
+        seconds,
+        entry.boatClass,
+        scaling
+    ).toFixed(2)
+
+    logger.info(
+        `Model time calculation for ${chatId}: model=${modelTime}s, user=${seconds}s, percentage=${percentage}%`
+    )
+    logUserAction(chatId, "calculate_model", {
+        modelTime,
+        userTime: seconds,
+        percentage,
+    })
+
+    let response = getMessage(chatId, "timeResult")
+        .replace("{time}", timeText)
+        .replace("{percentage}", percentage)
+        .replace("{split}", formatTime(calculateSplit(seconds, entry.distance)))
+        .replace("{speed}", calculateSpeed(seconds, entry.distance).toFixed(2))
+        .replace(
+            "{modelSplit}",
+            formatTime(calculateSplit(modelTime, entry.distance))
+        )
+
+    // On-water results get a correction for session conditions
+    const conditions = getResultConditions(userSessions.get(chatId), family)
+    const correctedSeconds = conditions
+        ? correctTimeForConditions(
+              seconds,
+              entry.distance,
+              entry.boatClass,
+              conditions
+          )
+        : null
+    const correctedPercentage = conditions
+        ? calculateModelPercentage(
+              baseModelTime,
+              entry.distance,
+              correctedSeconds,
+              entry.boatClass,
+              scaling
+          ).toFixed(2)
+        : null
+    if (conditions) {
+        response += getMessage(chatId, "correctedResult")
+            .replace("{conditions}", describeConditionsFor(chatId, conditions))
+            .replace("{time}", formatTime(correctedSeconds))
+            .replace("{percentage}", correctedPercentage)
+    }
+
+    // Erg results also get power and weight adjustment
+    const watts = family.isErg
+        ? Math.round(splitToWatts(calculateSplit(seconds, entry.distance)))
+        : null
+    if (family.isErg) {
+        response += getMessage(chatId, "ergResult").replace("{watts}", watts)
+        if (entry.weight) {
+            response += getMessage(chatId, "weightAdjustedResult")
+                .replace("{weight}", entry.weight)
+                .replace(
+                    "{time}",
+                    formatTime(calculateWeightAdjustedTime(seconds, entry.weight))
+                )
+        }
+    }
+    logger.info(`Sending response: ${response}`)
+
+    return {
+        response,
+        result: {
+            name: entry.name,
+            distance: entry.distance,
+            boatClass: entry.boatClass,
+            ageCategory: entry.ageCategory,
+            mastersAge: entry.mastersAge,
+            time: seconds,
+            modelTime,
+            percentage,
+            modelType: entry.modelType,
+            modelVersion: modelVersion.version,
+            scaling,
+            watts,
+            weight: entry.weight,
+            conditions,
+            correctedPercentage,
+        },
+    }
+}
+
+// Parts of a /calc line recognised so far, for error messages
+function describeCalcParts(chatId, parsed) {
+    return (
+        [
+            getMessage(chatId, parsed.modelType),
+            parsed.ageCategory &&
+                formatCategory(chatId, parsed.ageCategory, parsed.mastersAge),
+            parsed.boatClass && getMessage(chatId, parsed.boatClass),
+            parsed.distance && formatDistance(chatId, parsed.distance),
+            parsed.time != null && formatTime(parsed.time),
+            parsed.name,
+        ]
+            .filter(Boolean)
+            .join(", ") || getMessage(chatId, "calcNothing")
+    )
+}
+
+// Header of a calculated line: model, category, boat and distance
+function describeCalcLine(chatId, parsed) {
+    return getMessage(chatId, "calcHeader")
+        .replace("{model}", getMessage(chatId, parsed.modelType))
+        .replace(
+            "{category}",
+            formatCategory(chatId, parsed.ageCategory, parsed.mastersAge)
+        )
+        .replace("{boat}", getMessage(chatId, parsed.boatClass))
+        .replace("{distance}", formatDistance(chatId, parsed.distance))
+}
+
+// Why a line was rejected; missingKey is the message listing the missing parts
+function getCalcErrorMessage(
+    chatId,
+    { error, missing, timeError, parsed },
+    missingKey = "calcMissing"
+) {
+    switch (error) {
+        case LINE_ERROR_MISSING:
+            return getMessage(chatId, missingKey)
+                .replace(
+                    "{missing}",
+                    missing
+                        .map((part) =>
+                            getMessage(
+                                chatId,
+                                `calcPart${part[0].toUpperCase()}${part.slice(1)}`
+                            )
+                        )
+                        .join(", ")
+                )
+                .replace("{parsed}", describeCalcParts(chatId, parsed))
+        case LINE_ERROR_TIME:
+            return getTimeErrorMessage(chatId, timeError)
+        case LINE_ERROR_MASTERS_AGE:
+            return getMessage(chatId, "calcMastersAge")
+        case LINE_ERROR_BOAT:
+            return getMessage(chatId, "calcBoatUnavailable")
+                .replace("{model}", getMessage(chatId, parsed.modelType))
+                .replace("{boat}", getMessage(chatId, parsed.boatClass))
+                .replace(
+                    "{category}",
+                    formatCategory(chatId, parsed.ageCategory, parsed.mastersAge)
+                )
+        default:
+            return getMessage(chatId, "calculationError")
+    }
+}
+
+// One-line calculation: /calc [model] <category> <boat> <distance> <time> [name]
+// With a name the result is also added to the current session.
+bot.onText(/\/calc(?:@\w+)?(?:\s+([\s\S]+))?/, async (msg, match) => {
+    const chatId = msg.chat.id
+    if (!match[1]) {
+        bot.sendMessage(chatId, getMessage(chatId, "calcUsage"))
+        return
+    }
+
+    const calc = parseCalcCommand(match[1], (key) => getMessage(chatId, key))
+    if (calc.error) {
+        logUserAction(chatId, "calc_error", { error: calc.error, text: match[1] })
+        bot.sendMessage(chatId, getCalcErrorMessage(chatId, calc))
+        return
+    }
+
+    const { parsed } = calc
+    try {
+        const { response, result } = calculateResult(
+            chatId,
+            parsed,
+            parsed.time,
+            parsed.timeText
+        )
+        let reply = `${describeCalcLine(chatId, parsed)}\n${response}`
+
+        if (parsed.name) {
+            if (!userSessions.has(chatId)) {
+                initUserSession(chatId, msg.from.username || msg.from.first_name)
+            }
+            await saveResult(chatId, result)
+            reply += getMessage(chatId, "calcSaved").replace("{name}", parsed.name)
+        }
+        bot.sendMessage(chatId, reply)
+    } catch (error) {
+        logger.error(`Error in /calc for chatId ${chatId}: ${error.message}`)
+        bot.sendMessage(chatId, getMessage(chatId, "calculationError"))
+    }
+})
+
+// Menu shown after a result is added to the session
+function sendNextActionKeyboard(chatId) {
+    const keyboard = {
+        reply_markup: {
+            keyboard: [
+                [getMessage(chatId, "enterMoreTime")],
+                [getMessage(chatId, "newName")],
+                [getMessage(chatId, "finishAndGetExcel")],
+                [getMessage(chatId, "editLastTime")],
+                [getMessage(chatId, "viewHistory")],
+            ],
+            one_time_keyboard: true,
+        },
+    }
+    addCancelButton(chatId, keyboard)
+    bot.sendMessage(chatId, getMessage(chatId, "selectAction"), keyboard)
+}
+
+// Results pasted at once, one per line: "Иванов 1х 2000 7:02.4". Parts
+// a line leaves out come from the current dialog or a line above it.
+async function handleBulkResults(chatId, username, text) {
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+    const userState = userStates.get(chatId)
+    const { modelType, ageCategory, mastersAge, boatClass, distance } = userState
+    const { results, errors } = parseBulkLines(
+        text,
+        (line, defaults) =>
+            parseCalcCommand(line, (key) => getMessage(chatId, key), defaults),
+        { modelType, ageCategory, mastersAge, boatClass, distance }
+    )
+    if (results.length === 0 && errors.length === 0) {
+        bot.sendMessage(chatId, getMessage(chatId, "bulkUsage"))
+        return
+    }
+
+    if (!userSessions.has(chatId)) {
+        initUserSession(chatId, username)
+    }
+    const saved = []
+    for (const { number, line, parsed } of results) {
+        try {
+            const { result } = calculateResult(
+                chatId,
+                parsed,
+                parsed.time,
+                parsed.timeText
+            )
+            await saveResult(chatId, result)
+            saved.push(
+                getMessage(chatId, "bulkResultLine")
+                    .replace("{name}", parsed.name)
+                    .replace("{time}", parsed.timeText)
+                    .replace("{percentage}", result.percentage)
+                    .replace("{details}", describeCalcLine(chatId, parsed))
+            )
+            // "Enter more time" continues with the last pasted athlete
+            Object.assign(userState, {
+                modelType: parsed.modelType,
+                mode: "createFile",
+                name: parsed.name,
+                ageCategory: parsed.ageCategory,
+                mastersAge: parsed.mastersAge,
+                boatClass: parsed.boatClass,
+                distance: parsed.distance,
+                weight: null,
+            })
+        } catch (error) {
+            logger.error(
+                `Error saving pasted line ${number} for chatId ${chatId}: ${error.message}`
+            )
+            errors.push({ number, line })
+        }
+    }
+    errors.sort((a, b) => a.number - b.number)
+    logUserAction(chatId, "bulk_results", {
+        saved: saved.length,
+        failed: errors.map(({ number }) => number),
+    })
+
+    const parts = []
+    if (saved.length > 0) {
+        parts.push(
+            [
+                getMessage(chatId, "bulkSaved").replace("{count}", saved.length),
+                ...saved,
+            ].join("\n")
+        )
+    }
+    if (errors.length > 0) {
+        parts.push(
+            [
+                getMessage(chatId, "bulkFailed").replace("{count}", errors.length),
+                ...errors.map((lineError) =>
+                    getMessage(chatId, "bulkLineError")
+                        .replace("{number}", lineError.number)
+                        .replace("{line}", lineError.line)
+                        .replace(
+                            "{error}",
+                            getCalcErrorMessage(chatId, lineError, "bulkMissing")
+                        )
+                ),
+            ].join("\n")
+        )
+    }
+    await bot.sendMessage(chatId, parts.join("\n\n"))
+
+    if (saved.length > 0) {
+        userState.state = STATES.WAITING_NEXT_ACTION
+        sendNextActionKeyboard(chatId)
+    }
+}
+
+// /bulk followed by result lines; a multi-line message works the same way
+bot.onText(/\/bulk(?:@\w+)?(?:\s+([\s\S]+))?/, async (msg, match) => {
+    const chatId = msg.chat.id
+    if (!match[1]) {
+        bot.sendMessage(chatId, getMessage(chatId, "bulkUsage"))
+        return
+    }
+    await handleBulkResults(
+        chatId,
+        msg.from.username || msg.from.first_name,
+        match[1]
+    )
+})
+
 // Message handler
 bot.on("message", async (msg) => {
     const chatId = msg.chat.id
     const text = msg.text
     const username = msg.from.username || msg.from.first_name
 
-    if (text === "Отмена") {
+    if (text === getMessage(chatId, "cancel")) {
         handleCancel(chatId)
         return
     }
 
+    // Commands are handled by their own onText handlers
+    if (text && text.startsWith("/")) {
+        return
+    }
+
     logger.info(`User ${username} (${chatId}) sent message: ${text}`)
 
-    if (!userStates.has(chatId)) {
-        initUserState(chatId)
-    }
+    if (!userStates.has(chatId)) {
+        initUserState(chatId)
+    }
+
+    const userState = userStates.get(chatId)
+
+    // Several lines at once are pasted results
+    if (text && text.includes("\n") && BULK_PASTE_STATES.includes(userState.state)) {
+        await handleBulkResults(chatId, username, text)
+        return
+    }
+
+    switch (userState.state) {
+        case STATES.WAITING_SETTINGS:
+            const selectedScaling = Object.keys(scalingModes).find(
+                (mode) => getMessage(chatId, mode) === text
+            )
+            if (selectedScaling) {
+                getUserSettings(chatId).scaling = selectedScaling
+                logUserAction(chatId, "select_scaling", {
+                    scaling: selectedScaling,
+                })
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "scalingChanged").replace(
+                        "{scaling}",
+                        text
+                    )
+                )
+                returnToPreviousState(chatId, userState)
+            } else if (text === getMessage(chatId, "changeLanguage")) {
+                userState.state = STATES.WAITING_LANGUAGE
+                bot.sendMessage(chatId, getMessage(chatId, "selectLanguage"), {
+                    reply_markup: {
+                        keyboard: [
+                            ...Object.values(languageNames).map((name) => [name]),
+                            [getMessage(chatId, "back")],
+                        ],
+                        one_time_keyboard: true,
+                    },
+                })
+            } else if (text === getMessage(chatId, "back")) {
+                returnToPreviousState(chatId, userState)
+            } else {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidAction"))
+            }
+            break
+
+        case STATES.WAITING_LANGUAGE:
+            const selectedLanguage = findLanguage(text)
+            if (selectedLanguage) {
+                getUserSettings(chatId).language = selectedLanguage
+                logUserAction(chatId, "select_language", {
+                    language: selectedLanguage,
+                })
+                bot.sendMessage(chatId, getMessage(chatId, "languageChanged"))
+                returnToPreviousState(chatId, userState)
+            } else if (text === getMessage(chatId, "back")) {
+                returnToPreviousState(chatId, userState)
+            } else {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidAction"))
+            }
+            break
+
+        case STATES.WAITING_CONDITIONS:
+            if (!userSessions.has(chatId)) {
+                initUserSession(chatId, username)
+            }
+            const conditionsSession = userSessions.get(chatId)
+            if (text.trim() === "-") {
+                conditionsSession.conditions = null
+                logUserAction(chatId, "clear_conditions")
+                bot.sendMessage(chatId, getMessage(chatId, "conditionsCleared"))
+                returnToPreviousState(chatId, userState)
+                break
+            }
+            const conditions = parseConditions(text)
+            if (!conditions) {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidConditions"))
+                break
+            }
+            conditionsSession.conditions = conditions
+            logUserAction(chatId, "set_conditions", { conditions })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "conditionsSet").replace(
+                    "{conditions}",
+                    describeConditionsFor(chatId, conditions)
+                )
+            )
+            returnToPreviousState(chatId, userState)
+            break
 
-    const userState = userStates.get(chatId)
+        case STATES.WAITING_CREW_BOAT:
+            const crewBoat = userState.crew.boats.find(
+                (boat) => getMessage(chatId, boat) === text.trim()
+            )
+            if (!crewBoat) {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidBoat"))
+                break
+            }
+            userState.crew.boatClass = crewBoat
+            userState.state = STATES.WAITING_CREW_MEMBERS
+            const crewSize = getCrewSize(crewBoat)
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "crewEnterMembers")
+                    .replace("{count}", crewSize)
+                    .replace(
+                        "{example}",
+                        Array.from({ length: crewSize }, (_, i) => i + 1).join(" ")
+                    )
+            )
+            break
 
-    switch (userState.state) {
-        case STATES.WAITING_MODEL_TYPE:
+        case STATES.WAITING_CREW_MEMBERS:
+            const crew = userState.crew
+            const seats = text
+                .trim()
+                .split(/[\s,]+/)
+                .map((n) => parseInt(n))
             if (
-                text === getMessage(chatId, "worldModel") ||
-                text === getMessage(chatId, "russiaModel")
+                seats.length !== getCrewSize(crew.boatClass) ||
+                seats.some((n) => !(n >= 1 && n <= crew.athletes.length)) ||
+                new Set(seats).size !== seats.length
             ) {
-                userState.modelType = text
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "crewInvalidMembers")
+                        .replace("{count}", getCrewSize(crew.boatClass))
+                        .replace("{max}", crew.athletes.length)
+                )
+                break
+            }
+            crew.members = seats.map((n) => crew.athletes[n - 1])
+            crew.entry = { ...crew.source, boatClass: crew.boatClass }
+            crew.baseModelTime = getBaseModelTime(chatId, getMessage, crew.entry)
+            if (!crew.baseModelTime) {
+                bot.sendMessage(chatId, getMessage(chatId, "modelError"))
+                returnToPreviousState(chatId, userState)
+                break
+            }
+            crew.scaling = crew.source.scaling || getUserSettings(chatId).scaling
+            crew.prediction = predictCrew(
+                crew.members,
+                crew.baseModelTime,
+                crew.source.distance,
+                crew.boatClass,
+                crew.scaling
+            )
+            logUserAction(chatId, "crew_prediction", {
+                boat: crew.boatClass,
+                members: crew.members.map((m) => m.name),
+                percentage: crew.prediction.percentage,
+            })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "crewPrediction")
+                    .replace("{boat}", getMessage(chatId, crew.boatClass))
+                    .replace("{distance}", formatDistance(chatId, crew.source.distance))
+                    .replace(
+                        "{members}",
+                        crew.members
+                            .map(
+                                (m, i) =>
+                                    `${i + 1}. ${m.name} — ${m.percentage.toFixed(2)}%`
+                            )
+                            .join("\n")
+                    )
+                    .replace("{time}", formatTime(crew.prediction.time))
+                    .replace("{percentage}", crew.prediction.percentage.toFixed(2))
+                    .replace("{split}", formatTime(crew.prediction.split))
+            )
+            userState.state = STATES.WAITING_CREW_TIME
+            bot.sendMessage(chatId, getMessage(chatId, "crewEnterTime"))
+            break
+
+        case STATES.WAITING_CREW_TIME:
+            const finishedCrew = userState.crew
+            if (text.trim() === "-") {
+                delete userState.crew
+                returnToPreviousState(chatId, userState)
+                break
+            }
+            const { seconds: crewSeconds, error: crewTimeError } = parseTime(text)
+            if (crewTimeError) {
+                bot.sendMessage(chatId, getTimeErrorMessage(chatId, crewTimeError))
+                break
+            }
+            const comparison = compareCrewResult(
+                finishedCrew.prediction,
+                crewSeconds,
+                finishedCrew.baseModelTime,
+                finishedCrew.source.distance,
+                finishedCrew.boatClass,
+                finishedCrew.scaling
+            )
+            const crewNames = finishedCrew.members.map((m) => m.name)
+            await saveResult(chatId, {
+                name: getMessage(chatId, "crewResultName").replace(
+                    "{names}",
+                    crewNames.join(" / ")
+                ),
+                distance: finishedCrew.source.distance,
+                boatClass: finishedCrew.boatClass,
+                ageCategory: finishedCrew.source.ageCategory,
+                mastersAge: finishedCrew.source.mastersAge,
+                time: crewSeconds,
+                modelTime: scaleModelTime(
+                    finishedCrew.baseModelTime,
+                    finishedCrew.source.distance,
+                    finishedCrew.boatClass,
+                    finishedCrew.scaling
+                ),
+                percentage: comparison.percentage.toFixed(2),
+                modelType: finishedCrew.source.modelType,
+                modelVersion: finishedCrew.source.modelVersion,
+                scaling: finishedCrew.scaling,
+                crew: crewNames,
+                predictedPercentage: finishedCrew.prediction.percentage.toFixed(2),
+            })
+            logUserAction(chatId, "crew_result", {
+                boat: finishedCrew.boatClass,
+                percentage: comparison.percentage,
+                percentageDelta: comparison.percentageDelta,
+            })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "crewComparison")
+                    .replace("{time}", formatTime(crewSeconds))
+                    .replace("{percentage}", comparison.percentage.toFixed(2))
+                    .replace("{predictedTime}", formatTime(finishedCrew.prediction.time))
+                    .replace(
+                        "{predictedPercentage}",
+                        finishedCrew.prediction.percentage.toFixed(2)
+                    )
+                    .replace("{timeDelta}", formatDelta(comparison.timeDelta))
+                    .replace("{percentageDelta}", formatDelta(comparison.percentageDelta))
+            )
+            delete userState.crew
+            returnToPreviousState(chatId, userState)
+            break
+
+        case STATES.WAITING_MODEL_TYPE:
+            // Store the family key, so results do not depend on the language
+            const selectedFamily = Object.keys(modelFamilies).find(
+                (family) => getMessage(chatId, family) === text
+            )
+            if (selectedFamily) {
+                userState.modelType = selectedFamily
                 userState.state = STATES.WAITING_MODE
-                logger.info(`User ${username} selected model type: ${text}`)
-                logUserAction(chatId, "select_model_type", { modelType: text })
+                logger.info(`User ${username} selected model type: ${selectedFamily}`)
+                logUserAction(chatId, "select_model_type", {
+                    modelType: selectedFamily,
+                })
 
-                const keyboard = {
-                    reply_markup: {
-                        keyboard: [
-                            [getMessage(chatId, "singleTime")],
-                            [getMessage(chatId, "createFile")],
-                        ],
-                        one_time_keyboard: true,
-                    },
-                }
-                addCancelButton(keyboard)
                 bot.sendMessage(
                     chatId,
                     getMessage(chatId, "selectMode"),
-                    keyboard
+                    getModeKeyboard(chatId)
                 )
             } else {
                 bot.sendMessage(chatId, getMessage(chatId, "invalidModel"))
@@ -661,9 +2783,8 @@ bot.on("message", async (msg) => {
                 )
                 userState.state = STATES.WAITING_AGE
                 const availableAgeCategories =
-                    userState.modelType === getMessage(chatId, "worldModel")
-                        ? worldAgeCategories
-                        : russiaAgeCategories
+                    getModelFamily(chatId, userState.modelType, getMessage)
+                        .ageCategories
                 const keyboard = getTranslatedKeyboard(
                     chatId,
                     availableAgeCategories
@@ -676,31 +2797,29 @@ bot.on("message", async (msg) => {
                 return
             }
 
-            if (
-                modeText.includes("Создать файл") ||
-                modeText.includes("Create results file") ||
-                modeText.includes("createFile")
-            ) {
-                userState.mode = getMessage(chatId, "createFile")
+            // The mode is stored as its message key
+            const selectedMode = modeKeys.find(
+                (mode) =>
+                    modeText.includes(getMessage(chatId, mode)) ||
+                    modeText.includes(mode)
+            )
+
+            if (selectedMode === "createFile") {
+                userState.mode = selectedMode
                 userState.state = STATES.WAITING_NAME
                 logger.info(`User ${username} selected mode: ${userState.mode}`)
                 logUserAction(chatId, "select_mode", { mode: userState.mode })
-                bot.sendMessage(chatId, getMessage(chatId, "enterName"))
-            } else if (
-                modeText.includes("Ввести одно время") ||
-                modeText.includes("Enter single time") ||
-                modeText.includes("singleTime")
-            ) {
-                userState.mode = getMessage(chatId, "singleTime")
+                askName(chatId)
+            } else if (selectedMode) {
+                userState.mode = selectedMode
                 userState.state = STATES.WAITING_AGE
                 logger.info(`User ${username} selected mode: ${userState.mode}`)
                 logUserAction(chatId, "select_mode", { mode: userState.mode })
 
                 // Use translated keyboard for age categories
                 const availableAgeCategories =
-                    userState.modelType === getMessage(chatId, "worldModel")
-                        ? worldAgeCategories
-                        : russiaAgeCategories
+                    getModelFamily(chatId, userState.modelType, getMessage)
+                        .ageCategories
                 const keyboard = getTranslatedKeyboard(
                     chatId,
                     availableAgeCategories
@@ -715,35 +2834,46 @@ bot.on("message", async (msg) => {
                     `Invalid mode selection: "${text}" from user ${username}`
                 )
                 // Show the mode selection keyboard again
-                const keyboard = {
-                    reply_markup: {
-                        keyboard: [
-                            [getMessage(chatId, "singleTime")],
-                            [getMessage(chatId, "createFile")],
-                        ],
-                        one_time_keyboard: true,
-                    },
-                }
-                addCancelButton(keyboard)
                 bot.sendMessage(
                     chatId,
                     getMessage(chatId, "selectMode"),
-                    keyboard
+                    getModeKeyboard(chatId)
                 )
             }
             break
 
         case STATES.WAITING_NAME:
-            userState.name = text
-            userState.state = STATES.WAITING_AGE
+            const rosterAthlete = findRosterAthlete(getRoster(chatId), text)
+            userState.name = rosterAthlete ? rosterAthlete.name : text
             logger.info(`User ${username} entered name: ${text}`)
-            logUserAction(chatId, "enter_name", { name: text })
+            logUserAction(chatId, "enter_name", {
+                name: userState.name,
+                roster: Boolean(rosterAthlete),
+            })
+
+            // A roster athlete skips the category and boat
+            if (rosterAthlete && applyRosterAthlete(chatId, userState, rosterAthlete)) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "rosterAthleteSelected").replace(
+                        "{athlete}",
+                        describeRosterAthlete(chatId, rosterAthlete)
+                    )
+                )
+                if (isMastersCategory(userState.ageCategory) && !userState.mastersAge) {
+                    userState.state = STATES.WAITING_MASTERS_AGE
+                    bot.sendMessage(chatId, getMessage(chatId, "enterMastersAge"))
+                    break
+                }
+                askDistance(chatId, userState)
+                break
+            }
+            userState.state = STATES.WAITING_AGE
 
             // Use translated keyboard for age categories
             const availableAgeCategories =
-                userState.modelType === getMessage(chatId, "worldModel")
-                    ? worldAgeCategories
-                    : russiaAgeCategories
+                getModelFamily(chatId, userState.modelType, getMessage)
+                    .ageCategories
             const keyboard = getTranslatedKeyboard(
                 chatId,
                 availableAgeCategories
@@ -755,9 +2885,8 @@ bot.on("message", async (msg) => {
             // More flexible text matching for age categories
             const ageText = text.trim()
             const ageCategories =
-                userState.modelType === getMessage(chatId, "worldModel")
-                    ? worldAgeCategories
-                    : russiaAgeCategories
+                getModelFamily(chatId, userState.modelType, getMessage)
+                    .ageCategories
 
             const selectedCategory = ageCategories.find(
                 (cat) =>
@@ -769,7 +2898,8 @@ bot.on("message", async (msg) => {
             if (selectedCategory) {
                 // Store original (untranslated) value
                 userState.ageCategory = selectedCategory
-                userState.state = STATES.WAITING_DISTANCE
+                userState.mastersAge = null
+                userState.boatClass = null
                 logger.info(
                     `User ${username} selected age category: ${selectedCategory}`
                 )
@@ -777,12 +2907,14 @@ bot.on("message", async (msg) => {
                     category: selectedCategory,
                 })
 
-                const keyboard = getTranslatedKeyboard(chatId, distances)
-                bot.sendMessage(
-                    chatId,
-                    getMessage(chatId, "selectDistance"),
-                    keyboard
-                )
+                // Masters need an age (crew average) to pick A–K
+                if (isMastersCategory(selectedCategory)) {
+                    userState.state = STATES.WAITING_MASTERS_AGE
+                    bot.sendMessage(chatId, getMessage(chatId, "enterMastersAge"))
+                    break
+                }
+
+                askDistance(chatId, userState)
             } else {
                 logger.warn(
                     `Invalid age category: "${text}" from user ${username}`
@@ -791,6 +2923,24 @@ bot.on("message", async (msg) => {
             }
             break
 
+        case STATES.WAITING_MASTERS_AGE:
+            const mastersAge = parseMastersAge(text)
+            if (!mastersAge) {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidMastersAge"))
+                break
+            }
+            userState.mastersAge = mastersAge
+            logUserAction(chatId, "enter_masters_age", { age: mastersAge })
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "mastersCategorySelected").replace(
+                    "{category}",
+                    formatCategory(chatId, userState.ageCategory, mastersAge)
+                )
+            )
+            askDistance(chatId, userState)
+            break
+
         case STATES.WAITING_DISTANCE:
             // More flexible text matching for distances
             const distanceText = text.trim()
@@ -802,51 +2952,63 @@ bot.on("message", async (msg) => {
 
             logger.info(`DEBUG: User input for distance: '${text}', selectedDistance: '${selectedDistance}'`)
 
-            if (selectedDistance) {
-                const parsedDistance = getDistance(selectedDistance)
-                logger.info(`DEBUG: getDistance('${selectedDistance}') = ${parsedDistance}`)
+            // Free-form distance typed as a number ("4200", "5 км")
+            const parsedDistance = selectedDistance
+                ? getDistance(selectedDistance)
+                : parseDistance(distanceText)
+
+            if (parsedDistance) {
+                logger.info(`DEBUG: getDistance('${selectedDistance || distanceText}') = ${parsedDistance}`)
                 userState.distance = parsedDistance
-                userState.state = STATES.WAITING_BOAT
                 logger.info(
-                    `User ${username} selected distance: ${selectedDistance} (parsed: ${parsedDistance})`
+                    `User ${username} selected distance: ${selectedDistance || distanceText} (parsed: ${parsedDistance})`
                 )
                 logUserAction(chatId, "select_distance", {
-                    distance: selectedDistance,
+                    distance: selectedDistance || distanceText,
                     parsedDistance,
                 })
 
-                const keyboard = getTranslatedKeyboard(chatId, boatClasses)
+                // The boat of a roster athlete is already set
+                if (userState.boatClass) {
+                    askAfterBoat(chatId, userState)
+                    break
+                }
+                userState.state = STATES.WAITING_BOAT
+                sendBoatKeyboard(chatId, userState)
+            } else {
+                logger.warn(`Invalid distance: \"${text}\" from user ${username}`)
                 bot.sendMessage(
                     chatId,
-                    getMessage(chatId, "selectBoat"),
-                    keyboard
+                    getMessage(chatId, "invalidDistance")
+                        .replace("{min}", MIN_DISTANCE)
+                        .replace("{max}", MAX_DISTANCE)
                 )
-            } else {
-                logger.warn(`Invalid distance: \"${text}\" from user ${username}`)
-                bot.sendMessage(chatId, getMessage(chatId, "invalidDistance"))
             }
             break
 
         case STATES.WAITING_BOAT:
             // More flexible text matching for boat classes
             const boatText = text.trim()
-            const selectedBoat = boatClasses.find(
-                (boat) =>
-                    getMessage(chatId, boat) === boatText ||
-                    boat === boatText ||
-                    boatText.includes(boat)
+            const familyBoats = getFamilyBoatClasses(
+                getModelFamily(chatId, userState.modelType, getMessage),
+                userState.ageCategory
             )
+            // Exact match first, so "1х л/в" is not taken for "1х"
+            const selectedBoat =
+                familyBoats.find(
+                    (boat) =>
+                        getMessage(chatId, boat) === boatText ||
+                        boat === boatText
+                ) || familyBoats.find((boat) => boatText.includes(boat))
 
             if (selectedBoat) {
                 // Store original (untranslated) value
                 userState.boatClass = selectedBoat
-                userState.state = STATES.WAITING_TIME
                 logger.info(
                     `User ${username} selected boat class: ${selectedBoat}`
                 )
                 logUserAction(chatId, "select_boat", { boat: selectedBoat })
-
-                bot.sendMessage(chatId, getMessage(chatId, "enterTime"))
+                askAfterBoat(chatId, userState)
             } else {
                 logger.warn(
                     `Invalid boat class: "${text}" from user ${username}`
@@ -855,13 +3017,28 @@ bot.on("message", async (msg) => {
             }
             break
 
+        case STATES.WAITING_WEIGHT:
+            const weightText = text.trim().replace(",", ".")
+            const weight = parseFloat(weightText)
+            if (weightText === "-") {
+                userState.weight = null
+            } else if (!isNaN(weight) && weight >= 30 && weight <= 150) {
+                userState.weight = weight
+            } else {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidWeight"))
+                break
+            }
+            logUserAction(chatId, "enter_weight", { weight: userState.weight })
+            userState.state = STATES.WAITING_TIME
+            bot.sendMessage(chatId, getMessage(chatId, "enterTime"))
+            break
+
         case STATES.WAITING_TIME:
             logger.info(`Processing time input: ${text}`)
 
-            // Use the parseTimeToSeconds function for consistent time parsing
-            const totalSeconds = parseTimeToSeconds(text)
+            const { seconds: totalSeconds, error: timeError } = parseTime(text)
 
-            if (totalSeconds > 0) {
+            if (!timeError) {
                 logger.info(
                     `User ${username} entered time: ${text} (${totalSeconds} seconds)`
                 )
@@ -871,99 +3048,24 @@ bot.on("message", async (msg) => {
                 })
 
                 try {
-                    // Log the values being used for model time calculation
-                    logger.info("Calculating model time with values:", {
-                        ageCategory: userState.ageCategory,
-                        distance: userState.distance,
-                        boatClass: userState.boatClass,
-                        time: totalSeconds,
-                        modelType: userState.modelType,
-                    })
-
-                    const modelTime =
-                        userState.modelType === getMessage(chatId, "worldModel")
-                            ? getModelTime(
-                                  userState.ageCategory,
-                                  userState.distance,
-                                  userState.boatClass,
-                                  totalSeconds
-                              )
-                            : getModelTimeRU(
-                                  userState.ageCategory,
-                                  userState.distance,
-                                  userState.boatClass,
-                                  totalSeconds
-                              )
-
-                    logger.info(`Model time calculated: ${modelTime}`)
-
-                    // Get base model time for 2000m for correct percentage calculation
-                    const baseModelTime = userState.modelType === getMessage(chatId, "worldModel")
-                            ? modelTimesWORLD[userState.ageCategory]?.[userState.boatClass]
-                            : modelTimesRUSSIA[userState.ageCategory]?.[userState.boatClass];
-                    
-                    // Calculate model percentage based on average speed
-                    const percentage = calculateModelPercentage(
-                        baseModelTime,
-                        userState.distance,
-                        totalSeconds
-                    ).toFixed(2)
-
-                    logger.info(
-                        `Model time calculation for ${username}: model=${modelTime}s, user=${totalSeconds}s, percentage=${percentage}%`
+                    const { response, result } = calculateResult(
+                        chatId,
+                        userState,
+                        totalSeconds,
+                        text
                     )
-                    logUserAction(chatId, "calculate_model", {
-                        modelTime,
-                        userTime: totalSeconds,
-                        percentage,
-                    })
 
-                    const response = getMessage(chatId, "timeResult")
-                        .replace("{time}", text)
-                        .replace("{percentage}", percentage)
-                    logger.info(`Sending response: ${response}`)
-
-                    if (userState.mode === getMessage(chatId, "createFile")) {
+                    if (userState.mode === "createFile") {
                         try {
                             // Save result to database
-                            await saveResult(chatId, {
-                                name: userState.name,
-                                distance: userState.distance,
-                                boatClass: userState.boatClass,
-                                ageCategory: userState.ageCategory,
-                                time: totalSeconds,
-                                modelTime,
-                                percentage,
-                                modelType: userState.modelType,
-                            })
+                            await saveResult(chatId, result)
 
                             // Send confirmation
                             bot.sendMessage(chatId, response)
 
                             // Show next action menu instead of resetting state
                             userState.state = STATES.WAITING_NEXT_ACTION
-                            const keyboard = {
-                                reply_markup: {
-                                    keyboard: [
-                                        [getMessage(chatId, "enterMoreTime")],
-                                        [getMessage(chatId, "newName")],
-                                        [
-                                            getMessage(
-                                                chatId,
-                                                "finishAndGetExcel"
-                                            ),
-                                        ],
-                                        [getMessage(chatId, "editLastTime")],
-                                    ],
-                                    one_time_keyboard: true,
-                                },
-                            }
-                            addCancelButton(keyboard)
-                            bot.sendMessage(
-                                chatId,
-                                getMessage(chatId, "selectAction"),
-                                keyboard
-                            )
+                            sendNextActionKeyboard(chatId)
                         } catch (saveError) {
                             logger.error(
                                 `Error saving result: ${saveError.message}`
@@ -972,20 +3074,12 @@ bot.on("message", async (msg) => {
                             bot.sendMessage(chatId, response)
                             bot.sendMessage(
                                 chatId,
-                                "Результат показан, но не сохранен из-за технической ошибки. Попробуйте еще раз."
+                                getMessage(chatId, "resultNotSaved")
                             )
 
                             // Reset state and show main menu
                             initUserState(chatId)
-                            const keyboard = {
-                                reply_markup: {
-                                    keyboard: [
-                                        [getMessage(chatId, "worldModel")],
-                                        [getMessage(chatId, "russiaModel")],
-                                    ],
-                                    one_time_keyboard: true,
-                                },
-                            }
+                            const keyboard = getModelTypeKeyboard(chatId)
                             bot.sendMessage(
                                 chatId,
                                 getMessage(chatId, "selectModel"),
@@ -998,15 +3092,7 @@ bot.on("message", async (msg) => {
 
                         // Reset state and show main menu
                         initUserState(chatId)
-                        const keyboard = {
-                            reply_markup: {
-                                keyboard: [
-                                    [getMessage(chatId, "worldModel")],
-                                    [getMessage(chatId, "russiaModel")],
-                                ],
-                                one_time_keyboard: true,
-                            },
-                        }
+                        const keyboard = getModelTypeKeyboard(chatId)
                         bot.sendMessage(
                             chatId,
                             getMessage(chatId, "selectModel"),
@@ -1024,9 +3110,166 @@ bot.on("message", async (msg) => {
                     bot.sendMessage(chatId, getMessage(chatId, "modelError"))
                 }
             } else {
-                logger.warn(`Invalid time format: ${text}`)
-                bot.sendMessage(chatId, getMessage(chatId, "invalidTime"))
+                logger.warn(`Invalid time (${timeError}): ${text}`)
+                bot.sendMessage(chatId, getTimeErrorMessage(chatId, timeError))
+            }
+            break
+
+        case STATES.WAITING_PERCENTAGE:
+            const range = parsePercentageRange(text)
+            if (!range) {
+                logger.warn(`Invalid percentage: "${text}" from user ${username}`)
+                bot.sendMessage(chatId, getMessage(chatId, "invalidPercentage"))
+                break
+            }
+
+            const targetBaseTime = getBaseModelTime(
+                chatId,
+                getMessage,
+                userState
+            )
+            if (!targetBaseTime) {
+                bot.sendMessage(chatId, getMessage(chatId, "modelError"))
+                break
+            }
+
+            const { scaling: targetScaling } = getUserSettings(chatId)
+            logUserAction(chatId, "calculate_target", {
+                from: range.from,
+                to: range.to,
+                scaling: targetScaling,
+            })
+
+            if (range.from === range.to) {
+                const targetTime = calculateTargetTime(
+                    targetBaseTime,
+                    userState.distance,
+                    range.from,
+                    userState.boatClass,
+                    targetScaling
+                )
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "targetResult")
+                        .replace("{percentage}", range.from)
+                        .replace("{time}", formatTime(targetTime))
+                        .replace(
+                            "{split}",
+                            formatTime(
+                                calculateSplit(targetTime, userState.distance)
+                            )
+                        )
+                )
+            } else {
+                const rows = buildTargetTable(
+                    targetBaseTime,
+                    userState.distance,
+                    userState.boatClass,
+                    targetScaling,
+                    range.from,
+                    range.to
+                ).map(
+                    (row) =>
+                        `${`${row.percentage}%`.padEnd(6)}${formatTime(
+                            row.time
+                        ).padStart(8)}  ${formatTime(row.split)}`
+                )
+                const header = getMessage(chatId, "targetTableHeader")
+                    .replace(
+                        "{category}",
+                        formatCategory(
+                            chatId,
+                            userState.ageCategory,
+                            userState.mastersAge
+                        )
+                    )
+                    .replace("{boat}", getMessage(chatId, userState.boatClass))
+                    .replace("{distance}", userState.distance)
+                bot.sendMessage(
+                    chatId,
+                    `${header}\n<pre>${rows.join("\n")}</pre>`,
+                    { parse_mode: "HTML" }
+                )
+            }
+
+            // Reset state and show main menu
+            initUserState(chatId)
+            bot.sendMessage(chatId, getMessage(chatId, "selectModel"), getModelTypeKeyboard(chatId))
+            break
+
+        case STATES.WAITING_PREDICTION_PIECES:
+            const prediction = parsePredictionPieces(text)
+            if (prediction.invalid.length > 0 || prediction.pieces.length === 0) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "invalidPredictionPieces").replace(
+                        "{lines}",
+                        prediction.invalid.join("; ") || text
+                    )
+                )
+                break
+            }
+            const predictionBaseTime = getBaseModelTime(chatId, getMessage, userState)
+            if (!predictionBaseTime) {
+                bot.sendMessage(chatId, getMessage(chatId, "modelError"))
+                break
+            }
+            const predicted = predict2000(
+                prediction.pieces,
+                prediction.method,
+                prediction.parameter
+            )
+            // At 2000m the model time does not depend on the scaling mode
+            const percentageOf = (seconds) =>
+                calculateModelPercentage(
+                    predictionBaseTime,
+                    PREDICTION_DISTANCE,
+                    seconds,
+                    userState.boatClass
+                ).toFixed(2)
+            const methodLabel = `${getMessage(chatId, prediction.method)}, ${getMessage(
+                chatId,
+                prediction.method === PREDICTION_RIEGEL
+                    ? "riegelParameter"
+                    : "paulParameter"
+            )} = ${prediction.parameter}`
+            let predictionResponse = getMessage(chatId, "predictionResult")
+                .replace("{method}", methodLabel)
+                .replace(
+                    "{pieces}",
+                    predicted.pieces
+                        .map(
+                            (p) =>
+                                `${formatDistance(chatId, p.distance)} ${formatTime(p.seconds)} → ${formatTime(
+                                    p.predicted
+                                )}`
+                        )
+                        .join("\n")
+                )
+                .replace("{time}", formatTime(predicted.time))
+                .replace("{percentage}", percentageOf(predicted.time))
+                .replace(
+                    "{split}",
+                    formatTime(calculateSplit(predicted.time, PREDICTION_DISTANCE))
+                )
+            if (predicted.pieces.length > 1) {
+                predictionResponse += getMessage(chatId, "predictionRange")
+                    .replace("{min}", formatTime(predicted.min))
+                    .replace("{max}", formatTime(predicted.max))
+                    .replace("{percentageMin}", percentageOf(predicted.max))
+                    .replace("{percentageMax}", percentageOf(predicted.min))
             }
+            logUserAction(chatId, "predict_2000", {
+                pieces: prediction.pieces,
+                method: prediction.method,
+                parameter: prediction.parameter,
+                time: predicted.time,
+            })
+            bot.sendMessage(chatId, predictionResponse)
+
+            // Reset state and show main menu
+            initUserState(chatId)
+            bot.sendMessage(chatId, getMessage(chatId, "selectModel"), getModelTypeKeyboard(chatId))
             break
 
         case STATES.WAITING_NEXT_ACTION:
@@ -1034,7 +3277,7 @@ bot.on("message", async (msg) => {
                 userState.state = STATES.WAITING_TIME
                 bot.sendMessage(
                     chatId,
-                    "Введите время в формате СС.сс или ММ:СС.сс (например, 45.55 или 7:45.55)"
+                    getMessage(chatId, "enterTime")
                 )
             } else if (text === getMessage(chatId, "newName")) {
                 const mode = userState.mode
@@ -1045,21 +3288,25 @@ bot.on("message", async (msg) => {
                 newState.modelType = modelType
                 newState.mode = mode
                 newState.state = STATES.WAITING_NAME
-                bot.sendMessage(chatId, "Введите имя или фамилию:")
+                askName(chatId)
             } else if (text === getMessage(chatId, "finishAndGetExcel")) {
                 try {
                     const currentSession = userSessions.get(chatId);
                     const files = await createExcelFile(chatId, currentSession, getMessage);
                     if (files) {
+                        const summary = buildSegmentSummary(chatId, currentSession.results)
+                        if (summary) {
+                            await bot.sendMessage(chatId, summary)
+                        }
                         // Send file using absolute path
                         await bot.sendDocument(chatId, files.excelFile, {
-                            filename: `results_${currentSession.username}_${currentSession.chatId}.xlsx`,
+                            filename: files.fileName,
                             contentType:
                                 "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
                         })
                         await bot.sendMessage(
                             chatId,
-                            "Excel файл с результатами создан. Используйте /start для нового набора данных."
+                            getMessage(chatId, "excelCreated")
                         )
                         // Clean up
                         try {
@@ -1089,6 +3336,9 @@ bot.on("message", async (msg) => {
                         getMessage(chatId, "excelError")
                     )
                 }
+            } else if (text === getMessage(chatId, "viewHistory")) {
+                userState.previousState = STATES.WAITING_NEXT_ACTION
+                sendHistory(chatId)
             } else if (text === getMessage(chatId, "editLastTime")) {
                 const session = userSessions.get(chatId)
                 if (session && session.results.length > 0) {
@@ -1097,7 +3347,7 @@ bot.on("message", async (msg) => {
                         session.results[session.results.length - 1]
                     bot.sendMessage(
                         chatId,
-                        `Текущее время: ${lastResult.time}\nВведите новое время:`
+                        getMessage(chatId, "currentTime").replace("{time}", lastResult.time)
                     )
                 } else {
                     bot.sendMessage(chatId, getMessage(chatId, "noResults"))
@@ -1111,41 +3361,286 @@ bot.on("message", async (msg) => {
             // Handle time editing similar to WAITING_TIME state
             const session = userSessions.get(chatId)
             if (session && session.results.length > 0) {
-                const lastResult = session.results[session.results.length - 1]
-                const newTimeSeconds = parseTimeToSeconds(text)
-
-                if (newTimeSeconds > 0) {
-                    // Use the result's modelType for correct recalculation
-                    const modelTable = lastResult.modelType === getMessage(chatId, "worldModel") ? modelTimesWORLD : modelTimesRUSSIA;
-                    const baseModelTime = modelTable[lastResult.ageCategory]?.[lastResult.boatClass];
-                    
-                    const newPercentage = baseModelTime ? calculateModelPercentage(baseModelTime, lastResult.distance, newTimeSeconds).toFixed(2) : "0.00";
+                const { seconds: newTimeSeconds, error: newTimeError } = parseTime(text)
 
-                    lastResult.time = formatTime(newTimeSeconds)
-                    lastResult.modelPercentage = newPercentage
-
-                    bot.sendMessage(chatId, getMessage(chatId, "timeUpdated"))
-                    userState.state = STATES.WAITING_NEXT_ACTION
-                    const keyboard = {
-                        reply_markup: {
-                            keyboard: [
-                                [getMessage(chatId, "enterMoreTime")],
-                                [getMessage(chatId, "newName")],
-                                [getMessage(chatId, "finishAndGetExcel")],
-                                [getMessage(chatId, "editLastTime")],
-                            ],
-                            one_time_keyboard: true,
-                        },
+                if (!newTimeError) {
+                    // The result keeps its modelType and model version
+                    const lastEntry = session.results[session.results.length - 1]
+                    const timeUpdated = updateEntry(chatId, session.results.length - 1, {
+                        time: formatTime(newTimeSeconds),
+                    })
+                    if (timeUpdated) {
+                        bot.sendMessage(chatId, getMessage(chatId, "timeUpdated"))
+                    } else {
+                        bot.sendMessage(
+                            chatId,
+                            getMessage(chatId, "entryNoModelTime")
+                                .replace(
+                                    "{category}",
+                                    formatCategory(chatId, lastEntry.ageCategory, lastEntry.mastersAge)
+                                )
+                                .replace("{boat}", getMessage(chatId, lastEntry.boatClass))
+                        )
                     }
-                    addCancelButton(keyboard)
-                    bot.sendMessage(chatId, "Выберите действие:", keyboard)
+                    userState.state = STATES.WAITING_NEXT_ACTION
+                    sendNextActionKeyboard(chatId)
                 } else {
-                    bot.sendMessage(chatId, getMessage(chatId, "invalidTime"))
+                    bot.sendMessage(chatId, getTimeErrorMessage(chatId, newTimeError))
                 }
             } else {
                 bot.sendMessage(chatId, getMessage(chatId, "noResults"))
             }
             break
+
+        case STATES.VIEWING_HISTORY:
+            const historyCount = userSessions.get(chatId)?.results.length || 0
+            if (
+                text === getMessage(chatId, "editEntry") ||
+                text === getMessage(chatId, "deleteEntry")
+            ) {
+                if (historyCount === 0) {
+                    bot.sendMessage(chatId, getMessage(chatId, "noResults"))
+                    break
+                }
+                userState.historyAction =
+                    text === getMessage(chatId, "editEntry") ? "edit" : "delete"
+                userState.state = STATES.WAITING_HISTORY_INDEX
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "enterEntryNumber").replace(
+                        "{max}",
+                        historyCount
+                    ),
+                    getTranslatedKeyboard(chatId, ["back"])
+                )
+            } else if (text === getMessage(chatId, "undoDelete")) {
+                const deleted = userState.deletedEntry
+                if (!deleted) {
+                    bot.sendMessage(chatId, getMessage(chatId, "nothingToRestore"))
+                    break
+                }
+                if (!userSessions.has(chatId)) {
+                    initUserSession(chatId, username)
+                }
+                const restoredResults = userSessions.get(chatId).results
+                const restoredIndex = Math.min(deleted.index, restoredResults.length)
+                restoredResults.splice(restoredIndex, 0, deleted.result)
+                submitTeamResult(chatId, deleted.result, { notify: false })
+                delete userState.deletedEntry
+                logUserAction(chatId, "restore_result", { index: restoredIndex })
+                saveSession(chatId)
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "entryRestored")
+                        .replace("{index}", restoredIndex + 1)
+                        .replace("{name}", deleted.result.name)
+                )
+                sendHistory(chatId)
+            } else if (text === getMessage(chatId, "back")) {
+                leaveHistory(chatId, userState)
+            } else {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidAction"))
+            }
+            break
+
+        case STATES.WAITING_HISTORY_INDEX:
+            if (text === getMessage(chatId, "back")) {
+                sendHistory(chatId)
+                break
+            }
+            const entryResults = userSessions.get(chatId)?.results || []
+            const entryIndex = Number(text.trim()) - 1
+            const entry = entryResults[entryIndex]
+            if (!Number.isInteger(entryIndex) || !entry) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "invalidEntryNumber").replace(
+                        "{max}",
+                        entryResults.length
+                    )
+                )
+                break
+            }
+
+            if (userState.historyAction === "delete") {
+                entryResults.splice(entryIndex, 1)
+                // Only the last deletion can be undone
+                userState.deletedEntry = { index: entryIndex, result: entry }
+                syncTeamResult(chatId, entry.timestamp, null)
+                logUserAction(chatId, "delete_result", {
+                    index: entryIndex,
+                    name: entry.name,
+                })
+                saveSession(chatId)
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "entryDeleted")
+                        .replace("{index}", entryIndex + 1)
+                        .replace("{name}", entry.name)
+                )
+                sendHistory(chatId)
+                break
+            }
+
+            userState.historyIndex = entryIndex
+            userState.state = STATES.WAITING_HISTORY_FIELD
+            bot.sendMessage(
+                chatId,
+                getMessage(chatId, "selectField")
+                    .replace("{index}", entryIndex + 1)
+                    .replace("{name}", entry.name),
+                getTranslatedKeyboard(chatId, [...Object.keys(historyFields), "back"])
+            )
+            break
+
+        case STATES.WAITING_HISTORY_FIELD:
+            if (text === getMessage(chatId, "back")) {
+                sendHistory(chatId)
+                break
+            }
+            const fieldKey = Object.keys(historyFields).find(
+                (key) => getMessage(chatId, key) === text
+            )
+            const fieldEntry =
+                userSessions.get(chatId)?.results[userState.historyIndex]
+            if (!fieldKey || !fieldEntry) {
+                bot.sendMessage(chatId, getMessage(chatId, "invalidAction"))
+                break
+            }
+            userState.historyField = historyFields[fieldKey]
+            userState.state = STATES.WAITING_HISTORY_VALUE
+            const fieldFamily = getModelFamily(chatId, fieldEntry.modelType, getMessage)
+            if (userState.historyField === "time") {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "currentTime").replace("{time}", fieldEntry.time),
+                    getTranslatedKeyboard(chatId, ["back"])
+                )
+            } else if (userState.historyField === "distance") {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "selectDistance"),
+                    getTranslatedKeyboard(chatId, [...distances, "back"])
+                )
+            } else if (userState.historyField === "boatClass") {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "selectBoat"),
+                    getTranslatedKeyboard(chatId, [
+                        ...getFamilyBoatClasses(fieldFamily, fieldEntry.ageCategory),
+                        "back",
+                    ])
+                )
+            } else {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "selectAge"),
+                    getTranslatedKeyboard(chatId, [...fieldFamily.ageCategories, "back"])
+                )
+            }
+            break
+
+        case STATES.WAITING_HISTORY_VALUE:
+            const valueEntry =
+                userSessions.get(chatId)?.results[userState.historyIndex]
+            if (text === getMessage(chatId, "back") || !valueEntry) {
+                sendHistory(chatId)
+                break
+            }
+            const valueFamily = getModelFamily(chatId, valueEntry.modelType, getMessage)
+            let changes = null
+
+            if (userState.historyField === "time") {
+                const { seconds: editedSeconds, error: editedTimeError } = parseTime(text)
+                if (editedTimeError) {
+                    bot.sendMessage(chatId, getTimeErrorMessage(chatId, editedTimeError))
+                    break
+                }
+                changes = { time: formatTime(editedSeconds) }
+            } else if (userState.historyField === "distance") {
+                const presetDistance = distances.find(
+                    (dist) => getMessage(chatId, dist) === text || dist === text
+                )
+                const editedDistance = presetDistance
+                    ? getDistance(presetDistance)
+                    : parseDistance(text.trim())
+                if (!editedDistance) {
+                    bot.sendMessage(
+                        chatId,
+                        getMessage(chatId, "invalidDistance")
+                            .replace("{min}", MIN_DISTANCE)
+                            .replace("{max}", MAX_DISTANCE)
+                    )
+                    break
+                }
+                changes = { distance: editedDistance }
+            } else if (userState.historyField === "boatClass") {
+                const editedBoat = getFamilyBoatClasses(
+                    valueFamily,
+                    valueEntry.ageCategory
+                ).find((boat) => getMessage(chatId, boat) === text || boat === text)
+                if (!editedBoat) {
+                    bot.sendMessage(chatId, getMessage(chatId, "invalidBoat"))
+                    break
+                }
+                changes = { boatClass: editedBoat }
+            } else if (userState.historyField === "ageCategory") {
+                const editedCategory = valueFamily.ageCategories.find(
+                    (cat) => getMessage(chatId, cat) === text || cat === text
+                )
+                if (!editedCategory) {
+                    bot.sendMessage(chatId, getMessage(chatId, "invalidAge"))
+                    break
+                }
+                // Masters also need the age, asked for next
+                if (isMastersCategory(editedCategory)) {
+                    userState.historyCategory = editedCategory
+                    userState.historyField = "mastersAge"
+                    bot.sendMessage(chatId, getMessage(chatId, "enterMastersAge"))
+                    break
+                }
+                changes = { ageCategory: editedCategory, mastersAge: null }
+            } else {
+                const editedAge = parseMastersAge(text)
+                if (!editedAge) {
+                    bot.sendMessage(chatId, getMessage(chatId, "invalidMastersAge"))
+                    break
+                }
+                changes = {
+                    ageCategory: userState.historyCategory,
+                    mastersAge: editedAge,
+                }
+            }
+
+            const updatedEntry = updateEntry(chatId, userState.historyIndex, changes)
+            if (updatedEntry) {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "entryUpdated")
+                        .replace("{index}", userState.historyIndex + 1)
+                        .replace("{name}", updatedEntry.name)
+                        .replace("{percentage}", updatedEntry.modelPercentage)
+                )
+            } else {
+                bot.sendMessage(
+                    chatId,
+                    getMessage(chatId, "entryNoModelTime")
+                        .replace(
+                            "{category}",
+                            formatCategory(
+                                chatId,
+                                changes.ageCategory || valueEntry.ageCategory,
+                                changes.ageCategory ? changes.mastersAge : valueEntry.mastersAge
+                            )
+                        )
+                        .replace(
+                            "{boat}",
+                            getMessage(chatId, changes.boatClass || valueEntry.boatClass)
+                        )
+                )
+            }
+            sendHistory(chatId)
+            break
     }
 })
 
@@ -1153,15 +3648,15 @@ const WEB_URL = 'rowingmodel-production.up.railway.app'; // Замените н
 
 // Команда /web
 bot.onText(/\/web/, (msg) => {
-    bot.sendMessage(msg.chat.id, `Веб-версия калькулятора: ${WEB_URL}`);
+    bot.sendMessage(msg.chat.id, getMessage(msg.chat.id, "webLink").replace("{url}", WEB_URL));
 });
 
 // Кнопка в /start
-bot.onText(/\/start/, (msg) => {
-    bot.sendMessage(msg.chat.id, 'Добро пожаловать! Выберите действие:', {
+bot.onText(/^\/start(?:@\w+)?$/, (msg) => {
+    bot.sendMessage(msg.chat.id, getMessage(msg.chat.id, "welcome"), {
         reply_markup: {
             inline_keyboard: [
-                [{ text: 'Открыть веб-калькулятор', url: WEB_URL }]
+                [{ text: getMessage(msg.chat.id, "openWebCalculator"), url: WEB_URL }]
             ]
         }
     });
@@ -0,0 +1,1036 @@
+const { scalingModes } = require("../../shared/distanceScaling");
+const { predictionMethods } = require("../../shared/prediction");
+const { trendLabels } = require("../../shared/analytics");
+const { WIND_HEAD, WIND_TAIL, WIND_CROSS, windDirections } = require("../../shared/conditions");
+const { allBoatClasses } = require("../../shared/boatClasses");
+const { distances } = require("../../shared/distanceTable");
+
+const DEFAULT_LANGUAGE = "ru";
+
+// Names shown in the language menu, each in its own language
+const languageNames = {
+    ru: "Русский",
+    en: "English",
+    uk: "Українська",
+};
+
+// Bot messages. Keys missing in a translation fall back to Russian.
+const languages = {
+    ru: {
+        selectModel: "Выберите тип модели:",
+        selectMode: "Выберите режим работы:",
+        enterName: "Введите имя или фамилию:",
+        enterNameOrRoster: "Введите имя или фамилию или выберите спортсмена из состава:",
+        selectAge: "Выберите возрастную категорию:",
+        selectDistance:
+            "Выберите дистанцию или введите свою в метрах (например, 4200)",
+        selectBoat: "Выберите класс лодки",
+        enterTime:
+            "Введите время в формате СС.сс, ММ:СС.сс или Ч:ММ:СС.с (например, 45.55, 7:45.55, 7:45,5 или 1:02:15.3)",
+        cancel: "Отмена",
+        settings: "Настройки:",
+        changeLanguage: "Изменить язык",
+        selectLanguage: "Выберите язык:",
+        languageChanged: "Язык изменен",
+        currentLanguage: "Язык",
+        back: "Назад",
+        invalidModel:
+            "Пожалуйста, выберите тип модели из предложенных вариантов",
+        invalidMode: "Пожалуйста, выберите режим из предложенных вариантов",
+        invalidAge: "Пожалуйста, выберите категорию из предложенных вариантов",
+        enterMastersAge:
+            "Введите возраст спортсмена или средний возраст экипажа (от 27 лет, например 45 или 47.5)",
+        invalidMastersAge:
+            "Пожалуйста, введите возраст от 27 до 100 лет (для экипажа — средний)",
+        mastersCategorySelected: "Категория мастерс: {category}",
+        invalidDistance:
+            "Пожалуйста, выберите дистанцию из предложенных вариантов или введите число метров от {min} до {max}",
+        invalidBoat:
+            "Пожалуйста, выберите класс лодки из предложенных вариантов",
+        invalidTime:
+            "Не удалось разобрать время. Используйте СС.сс, ММ:СС.сс или Ч:ММ:СС.с (например, 45.55, 7:45.55, 7:45,5, 1:02:15.3). Также подходит формат секундомера ММ.СС.сс (например, 7.45.55).",
+        invalidSeconds:
+            "Секунды должны быть от 00 до 59 (например, 7:45.5, а не 7:75).",
+        invalidMinutes:
+            "В формате Ч:ММ:СС минуты должны быть от 00 до 59 (например, 1:02:15.3).",
+        timeOutOfRange: "Время должно быть от {min} секунд до {max} часов.",
+        calculationError:
+            "Произошла ошибка при расчете модельного времени. Пожалуйста, попробуйте снова.",
+        useStart: "Используйте /start для нового расчета",
+        selectAction: "Выберите действие:",
+        enterMoreTime: "Ввести еще время",
+        newName: "Новое имя",
+        finishAndGetExcel: "Завершить и получить Excel",
+        segmentSummaryHeader: "Стабильность по отрезкам:",
+        segmentSummaryLine:
+            "{name}: лучший отрезок {best} ({bestPercentage}%), худший {worst} ({worstPercentage}%), σ {stdDev}%, усталость {fade} п.п., тренд: {trend} ({slope} п.п./отрезок)",
+        editLastTime: "Редактировать последнее время",
+        viewHistory: "Просмотреть историю",
+        noResults: "Нет результатов для редактирования",
+        historyEmpty: "История пуста",
+        historyHeader: "Результаты сессии:",
+        historyLine: "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance}",
+        editEntry: "Изменить запись",
+        deleteEntry: "Удалить запись",
+        undoDelete: "Вернуть удалённую запись",
+        enterEntryNumber: "Введите номер записи от 1 до {max}",
+        invalidEntryNumber: "Нет записи с таким номером. Введите число от 1 до {max}",
+        selectField: "Что изменить в записи {index} ({name})?",
+        fieldTime: "Время",
+        fieldDistance: "Дистанция",
+        fieldBoat: "Класс лодки",
+        fieldCategory: "Категория",
+        entryUpdated: "Запись {index} ({name}) обновлена: {percentage}% от модели",
+        entryNoModelTime:
+            "В модели нет времени для {category}, {boat} — запись не изменена",
+        entryDeleted: "Запись {index} ({name}) удалена",
+        entryRestored: "Запись «{name}» возвращена под номером {index}",
+        nothingToRestore: "Нет удалённой записи",
+        teamUsage:
+            "Команда тренера:\n/team create [название] — создать команду и получить ссылку-приглашение\n/team join <код> — вступить по коду тренера\n/team — состав команды\n/team results — результаты (тренер видит все, спортсмен — свои)\n/team excel — Excel команды (для тренера)\n/team delete <номер> — удалить результат\n/team leave — выйти из команды\nРезультаты участников команды сразу попадают тренеру.",
+        teamCreated:
+            "Команда «{team}» создана. Отправьте спортсменам ссылку-приглашение:\n{link}\nКод для /team join: {code}",
+        teamAlreadyMember: "Вы уже в команде «{team}». Чтобы сменить команду, выйдите: /team leave",
+        teamNotMember:
+            "Вы не состоите в команде. Создайте свою (/team create) или вступите по ссылке тренера",
+        teamInvalidInvite: "Приглашение не найдено. Попросите у тренера новую ссылку",
+        teamJoined:
+            "Вы в команде «{team}». Вводите результаты как обычно (/start) — тренер увидит их сразу.",
+        teamMemberJoined: "🔔 Новый участник команды «{team}»: {member}",
+        teamInfo: "Команда «{team}», ваша роль: {role}\nУчастники ({count}):\n{members}",
+        teamInvite: "\n\nПриглашение: {link}",
+        roleCoach: "тренер",
+        roleAthlete: "спортсмен",
+        teamCoachOnly: "Это доступно только тренеру команды",
+        teamCoachCannotLeave: "Тренер не может выйти из своей команды",
+        teamLeft: "Вы вышли из команды «{team}»",
+        teamNoResults: "В команде пока нет результатов",
+        teamResultsHeader: "Результаты команды «{team}»:",
+        teamResultLine:
+            "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance} · {member}",
+        teamNewResult: "🔔 {member} ({team}): {name} — {time}, {percentage}% от модели",
+        teamInvalidResult: "Нет доступного вам результата с номером {index}",
+        teamResultDeleted: "Результат {index} ({name}) удалён из команды",
+        rosterUsage:
+            "Состав спортсменов — их категория и лодка подставляются сами:\n/roster add <строка> — добавить или обновить: имя, пол (м/ж), год рождения, категория или код (M1x, W2x, LM1x), класс лодки, вес. Например: /roster add Иванов м 1990 M1x 82\nБез категории она подбирается по полу и году рождения.\n/roster delete <номер> — удалить\n/roster — список",
+        rosterHeader: "Состав:",
+        rosterAdded: "Сохранено в составе: {athlete}",
+        rosterDeleted: "Удалено из состава: {name}",
+        rosterInvalidNumber: "Нет спортсмена с таким номером. В составе: {count}",
+        rosterMissingName: "Укажите имя спортсмена, например: /roster add Иванов м 1990 1х",
+        rosterMissingCategory:
+            "Не удалось определить категорию. Укажите её или код (M1x, W1x), либо пол и год рождения",
+        rosterInvalidBoat: "Нет класса {boat} для категории {category}",
+        rosterBirthYear: "{year} г.р.",
+        rosterWeight: "{weight} кг",
+        rosterAthleteSelected: "{athlete} — категория и лодка из состава",
+        genderMale: "муж.",
+        genderFemale: "жен.",
+        currentTime: "Текущее время: {time}\nВведите новое время:",
+        timeUpdated: "Время успешно обновлено",
+        invalidAction:
+            "Пожалуйста, выберите действие из предложенных вариантов",
+        excelError:
+            "Произошла ошибка при создании Excel файла. Пожалуйста, попробуйте снова.",
+        noDataForExcel:
+            "Нет данных для создания Excel файла. Используйте /start для начала.",
+        excelCreated:
+            "Excel файл с результатами создан. Используйте /start для нового набора данных.",
+        resultNotSaved:
+            "Результат показан, но не сохранен из-за технической ошибки. Попробуйте еще раз.",
+        worldModel: "Мировая модель",
+        russiaModel: "Российская модель (Н.Н.)",
+        ergModel: "Эргометр (Concept2)",
+        enterWeight:
+            "Введите вес спортсмена в кг (например, 82.5) или \"-\", чтобы пропустить поправку на вес",
+        invalidWeight:
+            "Пожалуйста, введите вес от 30 до 150 кг или \"-\", чтобы пропустить",
+        ergResult: "\nмощность: {watts} Вт",
+        weightAdjustedResult: "\nвремя с поправкой на вес ({weight} кг): {time}",
+        enterConditions:
+            "Введите условия сессии, например: встречный 3, течение 0.5, вода 16\nВетер (встречный/попутный/боковой) и течение в м/с, течение против хода лодки — со знаком минус, температура воды в °C.\nОтправьте \"-\", чтобы сбросить условия.",
+        currentConditions: "Текущие условия: {conditions}",
+        conditionsSet: "Условия сессии: {conditions}",
+        conditionsCleared: "Условия сброшены, поправка не применяется",
+        invalidConditions:
+            "Не удалось разобрать условия. Пример: встречный 3, течение 0.5, вода 16",
+        conditionWind: "ветер",
+        conditionStream: "течение",
+        conditionWater: "вода",
+        speedUnit: "м/с",
+        [WIND_HEAD]: windDirections[WIND_HEAD],
+        [WIND_TAIL]: windDirections[WIND_TAIL],
+        [WIND_CROSS]: windDirections[WIND_CROSS],
+        recalcUsage:
+            "Использование: /recalc <имя> [версия]\nПересчитывает результаты спортсмена по новой версии модели (по умолчанию — последней) и сравнивает проценты.\nДоступные версии:\n{versions}",
+        recalcVersionFrom: "{version} (с {from})",
+        recalcVersionPeriod: "{version} (с {from} по {to})",
+        recalcEmpty: "Результаты спортсмена «{name}» не найдены",
+        progressUsage:
+            "Прогресс спортсмена по всем сессиям: /progress <имя> [дистанция] [класс лодки], например /progress Иванов 2000 1х",
+        progressNoMatch: "Нет результатов с такими условиями. Есть дистанции: {distances}; классы лодок: {boats}",
+        progressPoint: "{date} — {percentage}% ({time})",
+        progressSummary:
+            "📈 {name}: результатов {count}\nПервый: {first}\nПоследний: {last}\nЛучший: {best}\nИзменение: {change} п.п.",
+        progressError: "Не удалось построить график. Попробуйте позже",
+        recalcHeader: "Пересчёт результатов «{name}»:",
+        recalcVersionMissing: "нет версии {version}",
+        distanceLabel: "{distance}м",
+        crewNotEnough:
+            "Для экипажа нужны результаты хотя бы двух спортсменов в текущей сессии",
+        crewNoBoats:
+            "Нет результатов на воде, по которым можно выбрать модель и категорию экипажа",
+        crewSelectBoat:
+            "Спортсмены сессии (средний % от модели):\n{athletes}\n\nВыберите класс лодки экипажа ({model}, {category}, {distance}):",
+        crewEnterMembers:
+            "Введите номера {count} спортсменов по местам от носа к корме через пробел (например, {example})",
+        crewInvalidMembers:
+            "Нужно ровно {count} разных номеров из списка от 1 до {max}",
+        crewPrediction:
+            "Экипаж {boat}, {distance}:\n{members}\n\nпрогноз: {time} ({percentage}% от модели)\nтемп на 500м: {split}",
+        crewEnterTime:
+            "Введите фактическое время экипажа, чтобы сравнить с прогнозом, или «-», чтобы пропустить",
+        crewComparison:
+            "факт: {time} ({percentage}% от модели)\nпрогноз: {predictedTime} ({predictedPercentage}%)\nразница: {timeDelta} с, {percentageDelta}%",
+        crewResultName: "Экипаж: {names}",
+        topEmpty: "В текущей сессии пока нет результатов",
+        topNoMatch: "Нет результатов по фильтру: {filters}",
+        topUnknownFilter:
+            "Не удалось распознать фильтр: {tokens}\nПример: /top 1х 2000 или /top Юниоры до 23",
+        topHeader: "🏆 Рейтинг по проценту от модели{filters}:",
+        topLine:
+            "{rank}. {name} — {average}% (лучший {best}%, результатов: {count}; {boats}; {categories})",
+        correctedResult:
+            "\nс поправкой на условия ({conditions}): {time}\nмодель с поправкой: {percentage}%",
+        singleTime: "Ввести одно время",
+        targetTime: "Рассчитать целевое время",
+        predict2000: "Прогноз на 2000м",
+        enterPredictionPieces:
+            "Введите отрезки, каждый с новой строки: дистанция и время, например\n6000 22:30.5\n500 1:28.4\nНеобязательно: строка «k 1.08» задаёт показатель Риггеля (по умолчанию {exponent}), строка «пол 5» — закон Пола с приростом темпа в секундах на удвоение дистанции.",
+        invalidPredictionPieces:
+            "Не удалось разобрать строки: {lines}. Формат: дистанция время, например 6000 22:30.5",
+        predictionResult:
+            "Прогноз на 2000м ({method}):\n{pieces}\n\nпрогноз: {time} ({percentage}% от модели)\nтемп на 500м: {split}",
+        predictionRange: "\nдиапазон: {min} – {max} ({percentageMin}% – {percentageMax}%)",
+        riegelParameter: "k",
+        paulParameter: "с",
+        createFile: "Создать файл с результатами",
+        mainMenu: "Главное меню",
+        modelError: "Ошибка при расчете модели. Пожалуйста, попробуйте снова.",
+        timeResult:
+            "ваше время: {time}\nваша модель: {percentage}%\nтемп на 500м: {split}\nскорость: {speed} м/с\nмодельный темп: {modelSplit}",
+        selectScaling: "Пересчёт модели на дистанцию",
+        scalingChanged: "Пересчёт на дистанцию: {scaling}",
+        enterPercentage:
+            "Введите процент от модели (например, 92) или диапазон (например, 85-105)",
+        invalidPercentage:
+            "Пожалуйста, введите процент от 50 до 150 (например, 92) или диапазон (например, 85-105)",
+        targetResult:
+            "Целевое время при {percentage}%: {time}\nТемп на 500м: {split}",
+        targetTableHeader: "Целевые времена: {category}, {boat}, {distance}м",
+        calcUsage:
+            "Расчёт одной строкой: /calc [модель] <категория> <класс> <дистанция> <время> [имя]\nНапример: /calc world 1х Мужчина 2000 6:45.3\nКоды World Rowing: M1x, W2-, LM2x (л/в), BM/BW — до 23, JM/JW — юноши и девушки (JM17 — до 17), MM45/MW52 — мастерс с возрастом.\nМодели: world, russia, erg (по умолчанию world). Если указать имя, результат добавится в текущую сессию.",
+        calcMissing: "Не хватает: {missing}\nРаспознано: {parsed}\nПример: /calc world 1х Мужчина 2000 6:45.3",
+        calcNothing: "ничего",
+        calcPartCategory: "категория",
+        calcPartBoat: "класс лодки",
+        calcPartDistance: "дистанция",
+        calcPartTime: "время",
+        calcBoatUnavailable: "В модели «{model}» нет класса {boat} для категории {category}",
+        calcMastersAge:
+            "Для мастерс укажите возраст в коде категории, например MM45 или MW52 (от 27 лет)",
+        calcHeader: "{model}: {category}, {boat}, {distance}",
+        calcSaved: "\nДобавлено в сессию: {name}",
+        calcPartName: "имя",
+        bulkUsage:
+            "Вставьте результаты после /bulk или просто сообщением из нескольких строк, по одному в строке:\nИванов 1х 2000 7:02.4\nПетров M1x 2000 6:58\nЧего нет в строке, берётся из текущего расчёта или из строки без имени и времени выше, например «Юниоры до 23 2х 2000».",
+        bulkMissing: "не хватает: {missing}",
+        bulkSaved: "Добавлено результатов: {count}",
+        bulkResultLine: "{name} — {time} ({percentage}%), {details}",
+        bulkFailed: "Не удалось добавить строк: {count}",
+        bulkLineError: "{number}. «{line}» — {error}",
+        backupCreated: "Резервная копия данных создана",
+        backupFailed: "Резервная копия не создана (функция недоступна)",
+        backupsUnavailable: "Резервные копии недоступны",
+        noBackups: "Нет доступных резервных копий",
+        restoreDone: "Данные восстановлены из копии {file}",
+        restoreSafetyBackup: "\nДанные до восстановления сохранены в {file}",
+        restoreList: "Резервные копии (новые сверху):",
+        restoreChoose: "Чтобы посмотреть, что изменится: /restore <номер>",
+        restoreInvalidNumber: "Нет копии с таким номером, выберите от 1 до {count}",
+        restorePreview: "Копия {file} ({date}, {size}). Если восстановить её:",
+        restoreDiffLine: "{collection}: добавится {added}, удалится {removed}, изменится {changed}",
+        restoreSessions: "Сессии",
+        restoreStates: "Состояния диалогов",
+        restoreSettings: "Настройки",
+        restoreTeams: "Команды",
+        restoreResults: "Результатов во всех сессиях: {before} → {after}",
+        restoreUsersHeader: "Изменится число результатов:",
+        restoreUsersMore: "…и ещё пользователей: {count}",
+        restoreConfirmPrompt: "Пока ничего не изменено. Подтвердить в течение 5 минут: /restore confirm, отменить: /restore cancel",
+        restoreNothingToConfirm: "Нечего подтверждать: сначала выберите копию через /restore <номер>",
+        restoreBackupMissing: "Копии {file} больше нет, восстановление не выполнено. Выберите копию заново через /restore",
+        restoreCancelled: "Восстановление отменено",
+        backupSize: "{size} КБ",
+        adminOnly: "Команда доступна только администраторам бота",
+        auditHeader: "Последние действия администраторов:",
+        auditEmpty: "Журнал действий пуст",
+        auditUnavailable: "Журнал действий недоступен",
+        restoreError: "Ошибка при восстановлении данных",
+        restoreUnavailable: "Восстановление недоступно",
+        webLink: "Веб-версия калькулятора: {url}",
+        welcome: "Добро пожаловать! Выберите действие:",
+        openWebCalculator: "Открыть веб-калькулятор",
+        excelSheetResults: "Результаты",
+        excelSheetStats: "Статистика",
+        excelSheetRanking: "Рейтинг",
+        excelName: "Имя",
+        excelDistance: "Дистанция",
+        excelBoat: "Класс",
+        excelAge: "Возраст",
+        excelModelVersion: "Версия модели",
+        excelTime: "Время {n}",
+        excelModel: "Модель {n}",
+        excelSplit: "Темп 500м {n}",
+        excelSpeed: "Скорость {n}",
+        excelPower: "Мощность {n}, Вт",
+        excelConditions: "Условия {n}",
+        excelCorrectedModel: "Модель с поправкой {n}",
+        excelAverageTime: "Среднее время",
+        excelAverageModel: "Средняя модель",
+        excelAverageSplit: "Средний темп 500м",
+        excelModelSplit: "Модельный темп 500м",
+        excelSummary: "Общая статистика",
+        excelAthleteCount: "Количество спортсменов",
+        excelResultCount: "Общее количество результатов",
+        excelTeamAverage: "Средний процент от модели по команде",
+        excelPieces: "Отрезков",
+        excelBestPiece: "Лучший отрезок",
+        excelBestModel: "Лучшая модель",
+        excelWorstPiece: "Худший отрезок",
+        excelWorstModel: "Худшая модель",
+        excelStdDev: "Ст. отклонение, %",
+        excelFade: "Индекс усталости, п.п.",
+        excelTrend: "Тренд, п.п. на отрезок",
+        excelRank: "Место",
+        excelCategory: "Категория",
+        excelBestResult: "Лучший результат",
+        excelResults: "Результатов",
+        linear: scalingModes.linear,
+        power: scalingModes.power,
+        riegel: predictionMethods.riegel,
+        paul: predictionMethods.paul,
+        up: trendLabels.up,
+        down: trendLabels.down,
+        flat: trendLabels.flat,
+    },
+    en: {
+        selectModel: "Choose the model:",
+        selectMode: "Choose what to do:",
+        enterName: "Enter the athlete's name:",
+        enterNameOrRoster: "Enter the athlete's name or pick one from the roster:",
+        selectAge: "Choose the category:",
+        selectDistance:
+            "Choose a distance or type your own in meters (for example, 4200)",
+        selectBoat: "Choose the boat class",
+        enterTime:
+            "Enter the time as SS.ss, MM:SS.ss or H:MM:SS.s (for example, 45.55, 7:45.55, 7:45,5 or 1:02:15.3)",
+        cancel: "Cancel",
+        settings: "Settings:",
+        changeLanguage: "Change language",
+        selectLanguage: "Choose a language:",
+        languageChanged: "Language changed",
+        currentLanguage: "Language",
+        back: "Back",
+        invalidModel: "Please choose one of the offered models",
+        invalidMode: "Please choose one of the offered modes",
+        invalidAge: "Please choose one of the offered categories",
+        enterMastersAge:
+            "Enter the athlete's age or the crew's average age (27 or older, for example 45 or 47.5)",
+        invalidMastersAge:
+            "Please enter an age from 27 to 100 (the average for a crew)",
+        mastersCategorySelected: "Masters category: {category}",
+        invalidDistance:
+            "Please choose one of the offered distances or enter a number of meters from {min} to {max}",
+        invalidBoat: "Please choose one of the offered boat classes",
+        invalidTime:
+            "Could not read the time. Use SS.ss, MM:SS.ss or H:MM:SS.s (for example, 45.55, 7:45.55, 7:45,5, 1:02:15.3). The stopwatch format MM.SS.ss also works (for example, 7.45.55).",
+        invalidSeconds:
+            "Seconds must be from 00 to 59 (for example, 7:45.5, not 7:75).",
+        invalidMinutes:
+            "In H:MM:SS minutes must be from 00 to 59 (for example, 1:02:15.3).",
+        timeOutOfRange: "The time must be from {min} seconds to {max} hours.",
+        calculationError:
+            "Something went wrong while calculating the model time. Please try again.",
+        useStart: "Use /start for a new calculation",
+        selectAction: "Choose an action:",
+        enterMoreTime: "Enter another time",
+        newName: "New athlete",
+        finishAndGetExcel: "Finish and get Excel",
+        segmentSummaryHeader: "Consistency across pieces:",
+        segmentSummaryLine:
+            "{name}: best piece {best} ({bestPercentage}%), worst {worst} ({worstPercentage}%), σ {stdDev}%, fade {fade} pp, trend: {trend} ({slope} pp/piece)",
+        editLastTime: "Edit the last time",
+        viewHistory: "View history",
+        noResults: "No results to edit",
+        historyEmpty: "History is empty",
+        historyHeader: "Session results:",
+        historyLine: "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance}",
+        editEntry: "Edit an entry",
+        deleteEntry: "Delete an entry",
+        undoDelete: "Restore the deleted entry",
+        enterEntryNumber: "Enter the entry number from 1 to {max}",
+        invalidEntryNumber: "There is no entry with this number. Enter a number from 1 to {max}",
+        selectField: "What should be changed in entry {index} ({name})?",
+        fieldTime: "Time",
+        fieldDistance: "Distance",
+        fieldBoat: "Boat class",
+        fieldCategory: "Category",
+        entryUpdated: "Entry {index} ({name}) updated: {percentage}% of the model",
+        entryNoModelTime:
+            "The model has no time for {category}, {boat} — the entry is unchanged",
+        entryDeleted: "Entry {index} ({name}) deleted",
+        entryRestored: "Entry \"{name}\" restored as number {index}",
+        nothingToRestore: "There is no deleted entry",
+        teamUsage:
+            "Coach team:\n/team create [name] — create a team and get an invite link\n/team join <code> — join with the coach's code\n/team — team members\n/team results — results (the coach sees all, an athlete their own)\n/team excel — team Excel (coach only)\n/team delete <number> — delete a result\n/team leave — leave the team\nResults of team members reach the coach straight away.",
+        teamCreated:
+            "Team \"{team}\" created. Send your athletes the invite link:\n{link}\nCode for /team join: {code}",
+        teamAlreadyMember: "You are already in team \"{team}\". To switch teams, leave it first: /team leave",
+        teamNotMember:
+            "You are not in a team. Create one (/team create) or join with your coach's link",
+        teamInvalidInvite: "Invite not found. Ask your coach for a new link",
+        teamJoined:
+            "You are in team \"{team}\". Enter results as usual (/start) — the coach sees them straight away.",
+        teamMemberJoined: "🔔 New member of team \"{team}\": {member}",
+        teamInfo: "Team \"{team}\", your role: {role}\nMembers ({count}):\n{members}",
+        teamInvite: "\n\nInvite: {link}",
+        roleCoach: "coach",
+        roleAthlete: "athlete",
+        teamCoachOnly: "Only the team coach can do this",
+        teamCoachCannotLeave: "The coach cannot leave their own team",
+        teamLeft: "You left team \"{team}\"",
+        teamNoResults: "The team has no results yet",
+        teamResultsHeader: "Results of team \"{team}\":",
+        teamResultLine:
+            "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance} · {member}",
+        teamNewResult: "🔔 {member} ({team}): {name} — {time}, {percentage}% of the model",
+        teamInvalidResult: "You have no result with number {index}",
+        teamResultDeleted: "Result {index} ({name}) removed from the team",
+        rosterUsage:
+            "Athlete roster — their category and boat are filled in for you:\n/roster add <line> — add or update: name, gender (male/female), birth year, category or code (M1x, W2x, LM1x), boat class, weight. For example: /roster add Ivanov male 1990 M1x 82\nWithout a category it is picked from the gender and birth year.\n/roster delete <number> — remove\n/roster — the list",
+        rosterHeader: "Roster:",
+        rosterAdded: "Saved to the roster: {athlete}",
+        rosterDeleted: "Removed from the roster: {name}",
+        rosterInvalidNumber: "No athlete with this number. Athletes in the roster: {count}",
+        rosterMissingName: "Enter the athlete's name, for example: /roster add Ivanov male 1990 1x",
+        rosterMissingCategory:
+            "Could not determine the category. Enter it or a code (M1x, W1x), or the gender and birth year",
+        rosterInvalidBoat: "No {boat} for category {category}",
+        rosterBirthYear: "born {year}",
+        rosterWeight: "{weight} kg",
+        rosterAthleteSelected: "{athlete} — category and boat from the roster",
+        genderMale: "male",
+        genderFemale: "female",
+        currentTime: "Current time: {time}\nEnter the new time:",
+        timeUpdated: "Time updated",
+        invalidAction: "Please choose one of the offered actions",
+        excelError:
+            "Something went wrong while creating the Excel file. Please try again.",
+        noDataForExcel:
+            "There is no data for an Excel file. Use /start to begin.",
+        excelCreated:
+            "The Excel file with results is ready. Use /start for a new set of results.",
+        resultNotSaved:
+            "The result is shown but was not saved because of a technical error. Please try again.",
+        worldModel: "World model",
+        russiaModel: "Russian model (N.N.)",
+        ergModel: "Ergometer (Concept2)",
+        enterWeight:
+            "Enter the athlete's weight in kg (for example, 82.5) or \"-\" to skip the weight adjustment",
+        invalidWeight:
+            "Please enter a weight from 30 to 150 kg or \"-\" to skip",
+        ergResult: "\npower: {watts} W",
+        weightAdjustedResult: "\nweight-adjusted time ({weight} kg): {time}",
+        enterConditions:
+            "Enter the session conditions, for example: headwind 3, stream 0.5, water 16\nWind (headwind/tailwind/crosswind) and stream in m/s, a stream against the boat with a minus sign, water temperature in °C.\nSend \"-\" to clear the conditions.",
+        currentConditions: "Current conditions: {conditions}",
+        conditionsSet: "Session conditions: {conditions}",
+        conditionsCleared: "Conditions cleared, no correction is applied",
+        invalidConditions:
+            "Could not read the conditions. Example: headwind 3, stream 0.5, water 16",
+        conditionWind: "wind",
+        conditionStream: "stream",
+        conditionWater: "water",
+        speedUnit: "m/s",
+        [WIND_HEAD]: "Head",
+        [WIND_TAIL]: "Tail",
+        [WIND_CROSS]: "Cross",
+        recalcUsage:
+            "Usage: /recalc <name> [version]\nRecalculates the athlete's results with a newer model version (the latest by default) and compares the percentages.\nAvailable versions:\n{versions}",
+        recalcVersionFrom: "{version} (from {from})",
+        recalcVersionPeriod: "{version} ({from} to {to})",
+        recalcEmpty: "No results found for \"{name}\"",
+        progressUsage:
+            "Athlete progress across all sessions: /progress <name> [distance] [boat class], for example /progress Ivanov 2000 1x",
+        progressNoMatch: "No results match. Distances: {distances}; boat classes: {boats}",
+        progressPoint: "{date} — {percentage}% ({time})",
+        progressSummary:
+            "📈 {name}: {count} results\nFirst: {first}\nLast: {last}\nBest: {best}\nChange: {change} pp",
+        progressError: "Could not draw the chart. Please try again later",
+        recalcHeader: "Recalculated results of \"{name}\":",
+        recalcVersionMissing: "no version {version}",
+        distanceLabel: "{distance}m",
+        crewNotEnough:
+            "A crew needs results of at least two athletes in the current session",
+        crewNoBoats:
+            "There are no on-water results to take the crew's model and category from",
+        crewSelectBoat:
+            "Athletes of the session (average % of model):\n{athletes}\n\nChoose the crew's boat class ({model}, {category}, {distance}):",
+        crewEnterMembers:
+            "Enter the numbers of {count} athletes by seat from bow to stroke, separated by spaces (for example, {example})",
+        crewInvalidMembers:
+            "You need exactly {count} different numbers from the list, from 1 to {max}",
+        crewPrediction:
+            "Crew {boat}, {distance}:\n{members}\n\nprediction: {time} ({percentage}% of model)\nsplit per 500m: {split}",
+        crewEnterTime:
+            "Enter the crew's actual time to compare with the prediction, or \"-\" to skip",
+        crewComparison:
+            "actual: {time} ({percentage}% of model)\nprediction: {predictedTime} ({predictedPercentage}%)\ndifference: {timeDelta} s, {percentageDelta}%",
+        crewResultName: "Crew: {names}",
+        topEmpty: "There are no results in the current session yet",
+        topNoMatch: "No results for the filter: {filters}",
+        topUnknownFilter:
+            "Could not recognise the filter: {tokens}\nExample: /top 1x 2000 or /top Men U23",
+        topHeader: "🏆 Ranking by percentage of model{filters}:",
+        topLine:
+            "{rank}. {name} — {average}% (best {best}%, results: {count}; {boats}; {categories})",
+        correctedResult:
+            "\ncorrected for conditions ({conditions}): {time}\ncorrected model: {percentage}%",
+        singleTime: "Enter a single time",
+        targetTime: "Calculate a target time",
+        predict2000: "2000m prediction",
+        enterPredictionPieces:
+            "Enter the pieces, one per line: distance and time, for example\n6000 22:30.5\n500 1:28.4\nOptional: a line \"k 1.08\" sets the Riegel exponent (default {exponent}), a line \"paul 5\" uses Paul's law with the split increase in seconds per doubling of the distance.",
+        invalidPredictionPieces:
+            "Could not read the lines: {lines}. Format: distance time, for example 6000 22:30.5",
+        predictionResult:
+            "2000m prediction ({method}):\n{pieces}\n\nprediction: {time} ({percentage}% of model)\nsplit per 500m: {split}",
+        predictionRange: "\nrange: {min} – {max} ({percentageMin}% – {percentageMax}%)",
+        riegelParameter: "k",
+        paulParameter: "s",
+        createFile: "Create a results file",
+        mainMenu: "Main menu",
+        modelError: "Could not calculate the model. Please try again.",
+        timeResult:
+            "your time: {time}\nyour model: {percentage}%\nsplit per 500m: {split}\nspeed: {speed} m/s\nmodel split: {modelSplit}",
+        selectScaling: "Model scaling to distance",
+        scalingChanged: "Scaling to distance: {scaling}",
+        enterPercentage:
+            "Enter a percentage of the model (for example, 92) or a range (for example, 85-105)",
+        invalidPercentage:
+            "Please enter a percentage from 50 to 150 (for example, 92) or a range (for example, 85-105)",
+        targetResult:
+            "Target time at {percentage}%: {time}\nSplit per 500m: {split}",
+        targetTableHeader: "Target times: {category}, {boat}, {distance}m",
+        calcUsage:
+            "One-line calculation: /calc [model] <category> <boat> <distance> <time> [name]\nFor example: /calc world 1x Men 2000 6:45.3\nWorld Rowing codes: M1x, W2-, LM2x (lightweight), BM/BW — U23, JM/JW — juniors (JM17 — U17), MM45/MW52 — masters with age.\nModels: world, russia, erg (world by default). With a name the result is added to the current session.",
+        calcMissing: "Missing: {missing}\nRecognised: {parsed}\nExample: /calc world 1x Men 2000 6:45.3",
+        calcNothing: "nothing",
+        calcPartCategory: "category",
+        calcPartBoat: "boat class",
+        calcPartDistance: "distance",
+        calcPartTime: "time",
+        calcBoatUnavailable: "The \"{model}\" model has no {boat} for {category}",
+        calcMastersAge:
+            "For masters put the age into the category code, for example MM45 or MW52 (27 or older)",
+        calcHeader: "{model}: {category}, {boat}, {distance}",
+        calcSaved: "\nAdded to the session: {name}",
+        calcPartName: "name",
+        bulkUsage:
+            "Paste results after /bulk or just send a message with several lines, one result per line:\nSmith 1x 2000 7:02.4\nJones M1x 2000 6:58\nParts a line leaves out come from the current calculation or from a line above without a name and time, e.g. \"Men U23 2x 2000\".",
+        bulkMissing: "missing: {missing}",
+        bulkSaved: "Results added: {count}",
+        bulkResultLine: "{name} — {time} ({percentage}%), {details}",
+        bulkFailed: "Lines not added: {count}",
+        bulkLineError: "{number}. \"{line}\" — {error}",
+        backupCreated: "Backup created",
+        backupFailed: "Backup was not created (not available)",
+        backupsUnavailable: "Backups are not available",
+        noBackups: "There are no backups",
+        restoreDone: "Data restored from backup {file}",
+        restoreSafetyBackup: "\nThe data before the restore is saved in {file}",
+        restoreList: "Backups (newest first):",
+        restoreChoose: "To see what would change: /restore <number>",
+        restoreInvalidNumber: "There is no backup with this number, choose 1 to {count}",
+        restorePreview: "Backup {file} ({date}, {size}). Restoring it would change:",
+        restoreDiffLine: "{collection}: {added} added, {removed} removed, {changed} changed",
+        restoreSessions: "Sessions",
+        restoreStates: "Dialog states",
+        restoreSettings: "Settings",
+        restoreTeams: "Teams",
+        restoreResults: "Results in all sessions: {before} → {after}",
+        restoreUsersHeader: "Result counts that would change:",
+        restoreUsersMore: "…and {count} more users",
+        restoreConfirmPrompt: "Nothing has changed yet. Confirm within 5 minutes: /restore confirm, cancel: /restore cancel",
+        restoreNothingToConfirm: "Nothing to confirm: choose a backup with /restore <number> first",
+        restoreBackupMissing: "Backup {file} no longer exists, nothing was restored. Choose a backup again with /restore",
+        restoreCancelled: "Restore cancelled",
+        backupSize: "{size} KB",
+        adminOnly: "This command is only available to bot admins",
+        auditHeader: "Latest admin actions:",
+        auditEmpty: "The audit log is empty",
+        auditUnavailable: "The audit log is not available",
+        restoreError: "Could not restore the data",
+        restoreUnavailable: "Restore is not available",
+        webLink: "Web calculator: {url}",
+        welcome: "Welcome! Choose an action:",
+        openWebCalculator: "Open the web calculator",
+        excelSheetResults: "Results",
+        excelSheetStats: "Statistics",
+        excelSheetRanking: "Ranking",
+        excelName: "Name",
+        excelDistance: "Distance",
+        excelBoat: "Boat",
+        excelAge: "Category",
+        excelModelVersion: "Model version",
+        excelTime: "Time {n}",
+        excelModel: "Model {n}",
+        excelSplit: "Split 500m {n}",
+        excelSpeed: "Speed {n}",
+        excelPower: "Power {n}, W",
+        excelConditions: "Conditions {n}",
+        excelCorrectedModel: "Corrected model {n}",
+        excelAverageTime: "Average time",
+        excelAverageModel: "Average model",
+        excelAverageSplit: "Average split 500m",
+        excelModelSplit: "Model split 500m",
+        excelSummary: "Summary",
+        excelAthleteCount: "Athletes",
+        excelResultCount: "Results in total",
+        excelTeamAverage: "Team average percentage of model",
+        excelPieces: "Pieces",
+        excelBestPiece: "Best piece",
+        excelBestModel: "Best model",
+        excelWorstPiece: "Worst piece",
+        excelWorstModel: "Worst model",
+        excelStdDev: "Std. deviation, %",
+        excelFade: "Fade index, pp",
+        excelTrend: "Trend, pp per piece",
+        excelRank: "Rank",
+        excelCategory: "Category",
+        excelBestResult: "Best result",
+        excelResults: "Results",
+        linear: "Linear (2000m speed)",
+        power: "Power law (Paul's law)",
+        riegel: "Riegel (power law)",
+        paul: "Paul's law (split per doubling)",
+        up: "improving",
+        down: "fading",
+        flat: "steady",
+    },
+    uk: {
+        selectModel: "Оберіть тип моделі:",
+        selectMode: "Оберіть режим роботи:",
+        enterName: "Введіть ім'я або прізвище:",
+        enterNameOrRoster: "Введіть ім'я або прізвище або виберіть спортсмена зі складу:",
+        selectAge: "Оберіть вікову категорію:",
+        selectDistance:
+            "Оберіть дистанцію або введіть свою в метрах (наприклад, 4200)",
+        selectBoat: "Оберіть клас човна",
+        enterTime:
+            "Введіть час у форматі СС.сс, ХХ:СС.сс або Г:ХХ:СС.с (наприклад, 45.55, 7:45.55, 7:45,5 або 1:02:15.3)",
+        cancel: "Скасувати",
+        settings: "Налаштування:",
+        changeLanguage: "Змінити мову",
+        selectLanguage: "Оберіть мову:",
+        languageChanged: "Мову змінено",
+        currentLanguage: "Мова",
+        back: "Назад",
+        invalidModel: "Будь ласка, оберіть тип моделі із запропонованих",
+        invalidMode: "Будь ласка, оберіть режим із запропонованих",
+        invalidAge: "Будь ласка, оберіть категорію із запропонованих",
+        enterMastersAge:
+            "Введіть вік спортсмена або середній вік екіпажу (від 27 років, наприклад 45 або 47.5)",
+        invalidMastersAge:
+            "Будь ласка, введіть вік від 27 до 100 років (для екіпажу — середній)",
+        mastersCategorySelected: "Категорія мастерс: {category}",
+        invalidDistance:
+            "Будь ласка, оберіть дистанцію із запропонованих або введіть кількість метрів від {min} до {max}",
+        invalidBoat: "Будь ласка, оберіть клас човна із запропонованих",
+        invalidTime:
+            "Не вдалося розібрати час. Використовуйте СС.сс, ХХ:СС.сс або Г:ХХ:СС.с (наприклад, 45.55, 7:45.55, 7:45,5, 1:02:15.3). Також підходить формат секундоміра ХХ.СС.сс (наприклад, 7.45.55).",
+        invalidSeconds:
+            "Секунди мають бути від 00 до 59 (наприклад, 7:45.5, а не 7:75).",
+        invalidMinutes:
+            "У форматі Г:ХХ:СС хвилини мають бути від 00 до 59 (наприклад, 1:02:15.3).",
+        timeOutOfRange: "Час має бути від {min} секунд до {max} годин.",
+        calculationError:
+            "Сталася помилка під час розрахунку модельного часу. Будь ласка, спробуйте ще раз.",
+        useStart: "Використовуйте /start для нового розрахунку",
+        selectAction: "Оберіть дію:",
+        enterMoreTime: "Ввести ще час",
+        newName: "Нове ім'я",
+        finishAndGetExcel: "Завершити й отримати Excel",
+        segmentSummaryHeader: "Стабільність за відрізками:",
+        segmentSummaryLine:
+            "{name}: найкращий відрізок {best} ({bestPercentage}%), найгірший {worst} ({worstPercentage}%), σ {stdDev}%, втома {fade} в.п., тренд: {trend} ({slope} в.п./відрізок)",
+        editLastTime: "Редагувати останній час",
+        viewHistory: "Переглянути історію",
+        noResults: "Немає результатів для редагування",
+        historyEmpty: "Історія порожня",
+        historyHeader: "Результати сесії:",
+        historyLine: "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance}",
+        editEntry: "Змінити запис",
+        deleteEntry: "Видалити запис",
+        undoDelete: "Повернути видалений запис",
+        enterEntryNumber: "Введіть номер запису від 1 до {max}",
+        invalidEntryNumber: "Немає запису з таким номером. Введіть число від 1 до {max}",
+        selectField: "Що змінити в записі {index} ({name})?",
+        fieldTime: "Час",
+        fieldDistance: "Дистанція",
+        fieldBoat: "Клас човна",
+        fieldCategory: "Категорія",
+        entryUpdated: "Запис {index} ({name}) оновлено: {percentage}% від моделі",
+        entryNoModelTime:
+            "У моделі немає часу для {category}, {boat} — запис не змінено",
+        entryDeleted: "Запис {index} ({name}) видалено",
+        entryRestored: "Запис «{name}» повернуто під номером {index}",
+        nothingToRestore: "Немає видаленого запису",
+        teamUsage:
+            "Команда тренера:\n/team create [назва] — створити команду й отримати посилання-запрошення\n/team join <код> — вступити за кодом тренера\n/team — склад команди\n/team results — результати (тренер бачить усі, спортсмен — свої)\n/team excel — Excel команди (для тренера)\n/team delete <номер> — видалити результат\n/team leave — вийти з команди\nРезультати учасників команди одразу надходять тренеру.",
+        teamCreated:
+            "Команду «{team}» створено. Надішліть спортсменам посилання-запрошення:\n{link}\nКод для /team join: {code}",
+        teamAlreadyMember: "Ви вже в команді «{team}». Щоб змінити команду, вийдіть: /team leave",
+        teamNotMember:
+            "Ви не в команді. Створіть свою (/team create) або вступіть за посиланням тренера",
+        teamInvalidInvite: "Запрошення не знайдено. Попросіть у тренера нове посилання",
+        teamJoined:
+            "Ви в команді «{team}». Вводьте результати як звичайно (/start) — тренер побачить їх одразу.",
+        teamMemberJoined: "🔔 Новий учасник команди «{team}»: {member}",
+        teamInfo: "Команда «{team}», ваша роль: {role}\nУчасники ({count}):\n{members}",
+        teamInvite: "\n\nЗапрошення: {link}",
+        roleCoach: "тренер",
+        roleAthlete: "спортсмен",
+        teamCoachOnly: "Це доступно лише тренеру команди",
+        teamCoachCannotLeave: "Тренер не може вийти зі своєї команди",
+        teamLeft: "Ви вийшли з команди «{team}»",
+        teamNoResults: "У команді поки немає результатів",
+        teamResultsHeader: "Результати команди «{team}»:",
+        teamResultLine:
+            "{index}. {name} — {time} ({percentage}%), {category}, {boat}, {distance} · {member}",
+        teamNewResult: "🔔 {member} ({team}): {name} — {time}, {percentage}% від моделі",
+        teamInvalidResult: "Немає доступного вам результату з номером {index}",
+        teamResultDeleted: "Результат {index} ({name}) видалено з команди",
+        rosterUsage:
+            "Склад спортсменів — їхня категорія й човен підставляються самі:\n/roster add <рядок> — додати або оновити: ім'я, стать (ч/ж), рік народження, категорія або код (M1x, W2x, LM1x), клас човна, вага. Наприклад: /roster add Іваненко ч 1990 M1x 82\nБез категорії її підбирають за статтю й роком народження.\n/roster delete <номер> — видалити\n/roster — список",
+        rosterHeader: "Склад:",
+        rosterAdded: "Збережено у складі: {athlete}",
+        rosterDeleted: "Видалено зі складу: {name}",
+        rosterInvalidNumber: "Немає спортсмена з таким номером. У складі: {count}",
+        rosterMissingName: "Вкажіть ім'я спортсмена, наприклад: /roster add Іваненко ч 1990 1х",
+        rosterMissingCategory:
+            "Не вдалося визначити категорію. Вкажіть її або код (M1x, W1x), або стать і рік народження",
+        rosterInvalidBoat: "Немає класу {boat} для категорії {category}",
+        rosterBirthYear: "{year} р.н.",
+        rosterWeight: "{weight} кг",
+        rosterAthleteSelected: "{athlete} — категорія й човен зі складу",
+        genderMale: "чол.",
+        genderFemale: "жін.",
+        currentTime: "Поточний час: {time}\nВведіть новий час:",
+        timeUpdated: "Час оновлено",
+        invalidAction: "Будь ласка, оберіть дію із запропонованих",
+        excelError:
+            "Сталася помилка під час створення Excel файлу. Будь ласка, спробуйте ще раз.",
+        noDataForExcel:
+            "Немає даних для створення Excel файлу. Використовуйте /start, щоб почати.",
+        excelCreated:
+            "Excel файл з результатами створено. Використовуйте /start для нового набору даних.",
+        resultNotSaved:
+            "Результат показано, але не збережено через технічну помилку. Спробуйте ще раз.",
+        worldModel: "Світова модель",
+        russiaModel: "Російська модель (Н.Н.)",
+        ergModel: "Ергометр (Concept2)",
+        enterWeight:
+            "Введіть вагу спортсмена в кг (наприклад, 82.5) або \"-\", щоб пропустити поправку на вагу",
+        invalidWeight:
+            "Будь ласка, введіть вагу від 30 до 150 кг або \"-\", щоб пропустити",
+        ergResult: "\nпотужність: {watts} Вт",
+        weightAdjustedResult: "\nчас з поправкою на вагу ({weight} кг): {time}",
+        enterConditions:
+            "Введіть умови сесії, наприклад: зустрічний 3, течія 0.5, вода 16\nВітер (зустрічний/попутний/бічний) і течія в м/с, течія проти руху човна — зі знаком мінус, температура води в °C.\nНадішліть \"-\", щоб скинути умови.",
+        currentConditions: "Поточні умови: {conditions}",
+        conditionsSet: "Умови сесії: {conditions}",
+        conditionsCleared: "Умови скинуто, поправка не застосовується",
+        invalidConditions:
+            "Не вдалося розібрати умови. Приклад: зустрічний 3, течія 0.5, вода 16",
+        conditionWind: "вітер",
+        conditionStream: "течія",
+        conditionWater: "вода",
+        speedUnit: "м/с",
+        [WIND_HEAD]: "Зустрічний",
+        [WIND_TAIL]: "Попутний",
+        [WIND_CROSS]: "Бічний",
+        recalcUsage:
+            "Використання: /recalc <ім'я> [версія]\nПерераховує результати спортсмена за новою версією моделі (за замовчуванням — останньою) і порівнює відсотки.\nДоступні версії:\n{versions}",
+        recalcVersionFrom: "{version} (з {from})",
+        recalcVersionPeriod: "{version} (з {from} по {to})",
+        recalcEmpty: "Результати спортсмена «{name}» не знайдено",
+        progressUsage:
+            "Прогрес спортсмена за всі сесії: /progress <ім'я> [дистанція] [клас човна], наприклад /progress Іваненко 2000 1х",
+        progressNoMatch: "Немає результатів із такими умовами. Є дистанції: {distances}; класи човнів: {boats}",
+        progressPoint: "{date} — {percentage}% ({time})",
+        progressSummary:
+            "📈 {name}: результатів {count}\nПерший: {first}\nОстанній: {last}\nНайкращий: {best}\nЗміна: {change} в.п.",
+        progressError: "Не вдалося побудувати графік. Спробуйте пізніше",
+        recalcHeader: "Перерахунок результатів «{name}»:",
+        recalcVersionMissing: "немає версії {version}",
+        distanceLabel: "{distance}м",
+        crewNotEnough:
+            "Для екіпажу потрібні результати щонайменше двох спортсменів у поточній сесії",
+        crewNoBoats:
+            "Немає результатів на воді, за якими можна обрати модель і категорію екіпажу",
+        crewSelectBoat:
+            "Спортсмени сесії (середній % від моделі):\n{athletes}\n\nОберіть клас човна екіпажу ({model}, {category}, {distance}):",
+        crewEnterMembers:
+            "Введіть номери {count} спортсменів за місцями від носа до корми через пробіл (наприклад, {example})",
+        crewInvalidMembers:
+            "Потрібно рівно {count} різних номерів зі списку від 1 до {max}",
+        crewPrediction:
+            "Екіпаж {boat}, {distance}:\n{members}\n\nпрогноз: {time} ({percentage}% від моделі)\nтемп на 500м: {split}",
+        crewEnterTime:
+            "Введіть фактичний час екіпажу, щоб порівняти з прогнозом, або «-», щоб пропустити",
+        crewComparison:
+            "факт: {time} ({percentage}% від моделі)\nпрогноз: {predictedTime} ({predictedPercentage}%)\nрізниця: {timeDelta} с, {percentageDelta}%",
+        crewResultName: "Екіпаж: {names}",
+        topEmpty: "У поточній сесії ще немає результатів",
+        topNoMatch: "Немає результатів за фільтром: {filters}",
+        topUnknownFilter:
+            "Не вдалося розпізнати фільтр: {tokens}\nПриклад: /top 1х 2000 або /top Юніори до 23",
+        topHeader: "🏆 Рейтинг за відсотком від моделі{filters}:",
+        topLine:
+            "{rank}. {name} — {average}% (найкращий {best}%, результатів: {count}; {boats}; {categories})",
+        correctedResult:
+            "\nз поправкою на умови ({conditions}): {time}\nмодель з поправкою: {percentage}%",
+        singleTime: "Ввести один час",
+        targetTime: "Розрахувати цільовий час",
+        predict2000: "Прогноз на 2000м",
+        enterPredictionPieces:
+            "Введіть відрізки, кожен з нового рядка: дистанція і час, наприклад\n6000 22:30.5\n500 1:28.4\nНеобов'язково: рядок «k 1.08» задає показник Рігеля (за замовчуванням {exponent}), рядок «пол 5» — закон Пола з приростом темпу в секундах на подвоєння дистанції.",
+        invalidPredictionPieces:
+            "Не вдалося розібрати рядки: {lines}. Формат: дистанція час, наприклад 6000 22:30.5",
+        predictionResult:
+            "Прогноз на 2000м ({method}):\n{pieces}\n\nпрогноз: {time} ({percentage}% від моделі)\nтемп на 500м: {split}",
+        predictionRange: "\nдіапазон: {min} – {max} ({percentageMin}% – {percentageMax}%)",
+        riegelParameter: "k",
+        paulParameter: "с",
+        createFile: "Створити файл з результатами",
+        mainMenu: "Головне меню",
+        modelError: "Помилка під час розрахунку моделі. Будь ласка, спробуйте ще раз.",
+        timeResult:
+            "ваш час: {time}\nваша модель: {percentage}%\nтемп на 500м: {split}\nшвидкість: {speed} м/с\nмодельний темп: {modelSplit}",
+        selectScaling: "Перерахунок моделі на дистанцію",
+        scalingChanged: "Перерахунок на дистанцію: {scaling}",
+        enterPercentage:
+            "Введіть відсоток від моделі (наприклад, 92) або діапазон (наприклад, 85-105)",
+        invalidPercentage:
+            "Будь ласка, введіть відсоток від 50 до 150 (наприклад, 92) або діапазон (наприклад, 85-105)",
+        targetResult:
+            "Цільовий час при {percentage}%: {time}\nТемп на 500м: {split}",
+        targetTableHeader: "Цільові часи: {category}, {boat}, {distance}м",
+        calcUsage:
+            "Розрахунок одним рядком: /calc [модель] <категорія> <клас> <дистанція> <час> [ім'я]\nНаприклад: /calc world 1х Чоловіки 2000 6:45.3\nКоди World Rowing: M1x, W2-, LM2x (л/в), BM/BW — до 23, JM/JW — юнаки й дівчата (JM17 — до 17), MM45/MW52 — мастерс з віком.\nМоделі: world, russia, erg (за замовчуванням world). Якщо вказати ім'я, результат додасться до поточної сесії.",
+        calcMissing: "Бракує: {missing}\nРозпізнано: {parsed}\nПриклад: /calc world 1х Чоловіки 2000 6:45.3",
+        calcNothing: "нічого",
+        calcPartCategory: "категорія",
+        calcPartBoat: "клас човна",
+        calcPartDistance: "дистанція",
+        calcPartTime: "час",
+        calcBoatUnavailable: "У моделі «{model}» немає класу {boat} для категорії {category}",
+        calcMastersAge:
+            "Для мастерс вкажіть вік у коді категорії, наприклад MM45 або MW52 (від 27 років)",
+        calcHeader: "{model}: {category}, {boat}, {distance}",
+        calcSaved: "\nДодано до сесії: {name}",
+        calcPartName: "ім'я",
+        bulkUsage:
+            "Вставте результати після /bulk або просто повідомленням з кількох рядків, по одному в рядку:\nІваненко 1х 2000 7:02.4\nПетренко M1x 2000 6:58\nЧого немає в рядку, береться з поточного розрахунку або з рядка без імені й часу вище, наприклад «Юніори до 23 2х 2000».",
+        bulkMissing: "бракує: {missing}",
+        bulkSaved: "Додано результатів: {count}",
+        bulkResultLine: "{name} — {time} ({percentage}%), {details}",
+        bulkFailed: "Не вдалося додати рядків: {count}",
+        bulkLineError: "{number}. «{line}» — {error}",
+        backupCreated: "Резервну копію даних створено",
+        backupFailed: "Резервну копію не створено (функція недоступна)",
+        backupsUnavailable: "Резервні копії недоступні",
+        noBackups: "Немає доступних резервних копій",
+        restoreDone: "Дані відновлено з копії {file}",
+        restoreSafetyBackup: "\nДані до відновлення збережено в {file}",
+        restoreList: "Резервні копії (нові зверху):",
+        restoreChoose: "Щоб побачити, що зміниться: /restore <номер>",
+        restoreInvalidNumber: "Немає копії з таким номером, оберіть від 1 до {count}",
+        restorePreview: "Копія {file} ({date}, {size}). Якщо відновити її:",
+        restoreDiffLine: "{collection}: додасться {added}, видалиться {removed}, зміниться {changed}",
+        restoreSessions: "Сесії",
+        restoreStates: "Стани діалогів",
+        restoreSettings: "Налаштування",
+        restoreTeams: "Команди",
+        restoreResults: "Результатів в усіх сесіях: {before} → {after}",
+        restoreUsersHeader: "Зміниться кількість результатів:",
+        restoreUsersMore: "…і ще користувачів: {count}",
+        restoreConfirmPrompt: "Поки нічого не змінено. Підтвердити протягом 5 хвилин: /restore confirm, скасувати: /restore cancel",
+        restoreNothingToConfirm: "Нічого підтверджувати: спочатку оберіть копію через /restore <номер>",
+        restoreBackupMissing: "Копії {file} більше немає, відновлення не виконано. Оберіть копію знову через /restore",
+        restoreCancelled: "Відновлення скасовано",
+        backupSize: "{size} КБ",
+        adminOnly: "Команда доступна лише адміністраторам бота",
+        auditHeader: "Останні дії адміністраторів:",
+        auditEmpty: "Журнал дій порожній",
+        auditUnavailable: "Журнал дій недоступний",
+        restoreError: "Помилка під час відновлення даних",
+        restoreUnavailable: "Відновлення недоступне",
+        webLink: "Веб-версія калькулятора: {url}",
+        welcome: "Ласкаво просимо! Оберіть дію:",
+        openWebCalculator: "Відкрити веб-калькулятор",
+        excelSheetResults: "Результати",
+        excelSheetStats: "Статистика",
+        excelSheetRanking: "Рейтинг",
+        excelName: "Ім'я",
+        excelDistance: "Дистанція",
+        excelBoat: "Клас",
+        excelAge: "Вік",
+        excelModelVersion: "Версія моделі",
+        excelTime: "Час {n}",
+        excelModel: "Модель {n}",
+        excelSplit: "Темп 500м {n}",
+        excelSpeed: "Швидкість {n}",
+        excelPower: "Потужність {n}, Вт",
+        excelConditions: "Умови {n}",
+        excelCorrectedModel: "Модель з поправкою {n}",
+        excelAverageTime: "Середній час",
+        excelAverageModel: "Середня модель",
+        excelAverageSplit: "Середній темп 500м",
+        excelModelSplit: "Модельний темп 500м",
+        excelSummary: "Загальна статистика",
+        excelAthleteCount: "Кількість спортсменів",
+        excelResultCount: "Загальна кількість результатів",
+        excelTeamAverage: "Середній відсоток від моделі по команді",
+        excelPieces: "Відрізків",
+        excelBestPiece: "Найкращий відрізок",
+        excelBestModel: "Найкраща модель",
+        excelWorstPiece: "Найгірший відрізок",
+        excelWorstModel: "Найгірша модель",
+        excelStdDev: "Ст. відхилення, %",
+        excelFade: "Індекс втоми, в.п.",
+        excelTrend: "Тренд, в.п. на відрізок",
+        excelRank: "Місце",
+        excelCategory: "Категорія",
+        excelBestResult: "Найкращий результат",
+        excelResults: "Результатів",
+        linear: "Лінійний (швидкість 2000м)",
+        power: "Степеневий (закон Пола)",
+        riegel: "Рігель (степеневий)",
+        paul: "Закон Пола (темп на подвоєння)",
+        up: "зростання",
+        down: "спад",
+        flat: "рівно",
+    },
+};
+
+// Labels of categories. Results and model tables keep the Russian keys.
+const categoryLabels = {
+    en: {
+        "Юноши до 15": "Boys U15",
+        "Девушки до 15": "Girls U15",
+        "Юноши до 17": "Boys U17",
+        "Девушки до 17": "Girls U17",
+        "Юноши до 19": "Junior men U19",
+        "Девушки до 19": "Junior women U19",
+        "Юниоры до 23": "Men U23",
+        "Юниорки до 23": "Women U23",
+        "Мужчина": "Men",
+        "Женщины": "Women",
+        "Пара мужчины": "Para men",
+        "Пара женщины": "Para women",
+        "Пара смешанные": "Para mixed",
+        "Мастерс мужчины": "Masters men",
+        "Мастерс женщины": "Masters women",
+    },
+    uk: {
+        "Юноши до 15": "Юнаки до 15",
+        "Девушки до 15": "Дівчата до 15",
+        "Юноши до 17": "Юнаки до 17",
+        "Девушки до 17": "Дівчата до 17",
+        "Юноши до 19": "Юнаки до 19",
+        "Девушки до 19": "Дівчата до 19",
+        "Юниоры до 23": "Юніори до 23",
+        "Юниорки до 23": "Юніорки до 23",
+        "Мужчина": "Чоловіки",
+        "Женщины": "Жінки",
+        "Пара мужчины": "Пара чоловіки",
+        "Пара женщины": "Пара жінки",
+        "Пара смешанные": "Пара змішані",
+        "Мастерс мужчины": "Мастерс чоловіки",
+        "Мастерс женщины": "Мастерс жінки",
+    },
+};
+
+// Word replacements that turn a boat class or distance key into its label,
+// e.g. "1х л/в" → "1x LW", "2000м" → "2000m"
+const unitReplacements = {
+    en: [
+        ["Эргометр", "Ergometer"],
+        ["л/в", "LW"],
+        ["х", "x"],
+        ["м", "m"],
+    ],
+    uk: [["Эргометр", "Ергометр"]],
+};
+
+const unitKeys = new Set([...allBoatClasses, ...distances, "Эргометр", "Эргометр л/в"]);
+
+// Message or label in the language; unknown keys (custom model names,
+// athlete names) are returned as is
+function translate(language, key) {
+    const messages = languages[language] || languages[DEFAULT_LANGUAGE];
+    if (messages[key]) return messages[key];
+    const labels = categoryLabels[language] || {};
+    if (labels[key]) return labels[key];
+    if (languages[DEFAULT_LANGUAGE][key]) return languages[DEFAULT_LANGUAGE][key];
+    if (unitKeys.has(key)) {
+        return (unitReplacements[language] || []).reduce(
+            (label, [from, to]) => label.split(from).join(to),
+            key
+        );
+    }
+    return key;
+}
+
+// Language code by its menu name
+function findLanguage(name) {
+    return Object.keys(languageNames).find((code) => languageNames[code] === name);
+}
+
+// Labels for describeConditions from a message getter
+function getConditionLabels(getText) {
+    return {
+        wind: getText("conditionWind"),
+        stream: getText("conditionStream"),
+        water: getText("conditionWater"),
+        speedUnit: getText("speedUnit"),
+        directions: {
+            [WIND_HEAD]: getText(WIND_HEAD),
+            [WIND_TAIL]: getText(WIND_TAIL),
+            [WIND_CROSS]: getText(WIND_CROSS),
+        },
+    };
+}
+
+module.exports = {
+    languages,
+    languageNames,
+    categoryLabels,
+    translate,
+    findLanguage,
+    getConditionLabels,
+    DEFAULT_LANGUAGE,
+};
@@ -0,0 +1,99 @@
+// Мастерс: категории A–K и возрастные гандикапы World Rowing
+//
+// Модельное время мастерса = модель открытой категории (Мужчина / Женщины)
+// + гандикап его возрастной категории. Гандикапы заданы в секундах на 1000м
+// для одиночки относительно категории A и пересчитываются на 2000м.
+// Экипажи получают меньший гандикап (коэффициент по классу лодки).
+// Для экипажа категория определяется по среднему возрасту.
+//
+// Гандикапы ниже — приближённые значения, а не официальная таблица: с
+// опубликованной таблицей гандикапов World Rowing Masters Regatta (Rule Book,
+// правила мастерс-регаты) они не сверены. Официальная таблица задаёт гандикап
+// для каждого класса лодки отдельно; здесь он выводится из одиночки через
+// mastersBoatFactors. После сверки замените значения и тесты в
+// bot/test/masters.test.js.
+import { getCrewSize } from "./crew"
+
+export const MASTERS_MEN = "Мастерс мужчины"
+export const MASTERS_WOMEN = "Мастерс женщины"
+
+export const mastersOpenCategories = {
+    [MASTERS_MEN]: "Мужчина",
+    [MASTERS_WOMEN]: "Женщины",
+}
+
+export const MIN_MASTERS_AGE = 27
+export const MAX_MASTERS_AGE = 100
+
+export const mastersCategories = [
+    { letter: "A", minAge: 27, maxAge: 35 },
+    { letter: "B", minAge: 36, maxAge: 42 },
+    { letter: "C", minAge: 43, maxAge: 49 },
+    { letter: "D", minAge: 50, maxAge: 54 },
+    { letter: "E", minAge: 55, maxAge: 59 },
+    { letter: "F", minAge: 60, maxAge: 64 },
+    { letter: "G", minAge: 65, maxAge: 69 },
+    { letter: "H", minAge: 70, maxAge: 74 },
+    { letter: "I", minAge: 75, maxAge: 79 },
+    { letter: "J", minAge: 80, maxAge: 82 },
+    { letter: "K", minAge: 83, maxAge: MAX_MASTERS_AGE },
+]
+
+// Гандикап одиночки, секунд на 1000м (приближённо, см. выше)
+export const mastersHandicaps = {
+    [MASTERS_MEN]: {
+        A: 0, B: 3, C: 7, D: 11, E: 16, F: 21, G: 27, H: 34, I: 42, J: 51, K: 61,
+    },
+    [MASTERS_WOMEN]: {
+        A: 0, B: 3.5, C: 8, D: 13, E: 18.5, F: 24.5, G: 31.5, H: 39.5, I: 48.5, J: 58.5, K: 70,
+    },
+}
+
+// Доля гандикапа одиночки по размеру экипажа
+export const mastersBoatFactors = {
+    1: 1,
+    2: 0.93,
+    4: 0.87,
+    8: 0.82,
+}
+
+export function isMastersCategory(category) {
+    return Boolean(mastersOpenCategories[category])
+}
+
+// Категория по возрасту (для экипажа — по среднему); null младше 27 лет
+export function getMastersLetter(age) {
+    const rounded = Math.floor(age)
+    const category = mastersCategories.find(
+        (c) => rounded >= c.minAge && rounded <= c.maxAge
+    )
+    return category ? category.letter : null
+}
+
+// Гандикап на 2000м в секундах
+export function getMastersHandicap(category, age, boatClass) {
+    const letter = getMastersLetter(age)
+    if (!letter || !mastersHandicaps[category]) return 0
+    return (
+        mastersHandicaps[category][letter] *
+        (mastersBoatFactors[getCrewSize(boatClass)] || 1) *
+        2
+    )
+}
+
+// Модельное время 2000м с учётом мастерс-гандикапа
+export function lookupBaseModelTime(times, ageCategory, boatClass, mastersAge) {
+    if (!isMastersCategory(ageCategory)) {
+        return times[ageCategory]?.[boatClass]
+    }
+    const openTime = times[mastersOpenCategories[ageCategory]]?.[boatClass]
+    if (!openTime || !getMastersLetter(mastersAge)) return undefined
+    return openTime + getMastersHandicap(ageCategory, mastersAge, boatClass)
+}
+
+// "Мастерс мужчины C (45)" для сообщений и таблиц
+export function formatMastersCategory(category, age) {
+    if (!isMastersCategory(category)) return category
+    const letter = getMastersLetter(age)
+    return letter ? `${category} ${letter} (${age})` : category
+}
@@ -0,0 +1,206 @@
+const { modelVersionsWORLD } = require("../../shared/modelTableWORLD");
+const { modelVersionsRUSSIA } = require("../../shared/modelTableRUSSIA");
+const { modelVersionsERG } = require("../../shared/modelTableERG");
+const { parseModelTableJSON, parseModelTableCSV } = require("../../shared/modelTableCustom");
+const {
+    getVersionForDate,
+    getLatestVersion,
+    findVersion,
+} = require("../../shared/modelVersions");
+const { MASTERS_MEN, MASTERS_WOMEN, lookupBaseModelTime } = require("../../shared/masters");
+const {
+    allBoatClasses,
+    paraCategories,
+    getCategoryBoatClasses,
+} = require("../../shared/boatClasses");
+const { translate, DEFAULT_LANGUAGE } = require("./languages");
+const fs = require("fs");
+const path = require("path");
+
+const MODELS_DIR = process.env.MODELS_DIR || "models";
+
+// Age categories for different models
+const worldAgeCategories = [
+    "Юноши до 19",
+    "Девушки до 19",
+    "Юниоры до 23",
+    "Юниорки до 23",
+    "Мужчина",
+    "Женщины",
+    ...paraCategories,
+    MASTERS_MEN,
+    MASTERS_WOMEN,
+];
+
+const russiaAgeCategories = [
+    "Юноши до 15",
+    "Девушки до 15",
+    "Юноши до 17",
+    "Девушки до 17",
+    "Юноши до 19",
+    "Девушки до 19",
+    "Юниоры до 23",
+    "Юниорки до 23",
+    "Мужчина",
+    "Женщины",
+    ...paraCategories,
+    MASTERS_MEN,
+    MASTERS_WOMEN,
+];
+
+const ergAgeCategories = [
+    "Юноши до 15",
+    "Девушки до 15",
+    "Юноши до 17",
+    "Девушки до 17",
+    "Юноши до 19",
+    "Девушки до 19",
+    "Юниоры до 23",
+    "Юниорки до 23",
+    "Мужчина",
+    "Женщины",
+];
+
+// Boat classes: olympic, coastal and para
+const boatClasses = allBoatClasses;
+
+const ergBoatClasses = ["Эргометр", "Эргометр л/в"];
+
+// `table` is the version in effect today, `versions` the full history
+function createModelFamily(versions, options) {
+    return {
+        versions,
+        get table() {
+            return getVersionForDate(this.versions).times;
+        },
+        ...options,
+    };
+}
+
+// Model families keyed by the message key of their menu label
+const modelFamilies = {
+    worldModel: createModelFamily(modelVersionsWORLD, {
+        ageCategories: worldAgeCategories,
+        boatClasses,
+    }),
+    russiaModel: createModelFamily(modelVersionsRUSSIA, {
+        ageCategories: russiaAgeCategories,
+        boatClasses,
+    }),
+    ergModel: createModelFamily(modelVersionsERG, {
+        ageCategories: ergAgeCategories,
+        boatClasses: ergBoatClasses,
+        isErg: true,
+    }),
+};
+
+// Key of the model a table file adds to: a built-in model is named by its key
+// or its Russian menu label (as in the web version), a custom one by its name
+function getFamilyKey(name) {
+    const builtIn = Object.keys(modelFamilies).find(
+        (key) => !modelFamilies[key].isCustom && translate(DEFAULT_LANGUAGE, key) === name
+    );
+    return builtIn || name;
+}
+
+// Register a custom table; its name is both the key and the menu label.
+// A table with an already registered name is added as another version,
+// for built-in models too (e.g. a new season of the Russian model).
+function registerModelFamily(name, { version, effectiveFrom, effectiveTo, times }) {
+    const entry = { version, effectiveFrom, effectiveTo, times };
+    const key = getFamilyKey(name);
+    const existing = modelFamilies[key];
+    if (existing && findVersion(existing.versions, version)) {
+        throw new Error(`Model "${name}" already has version ${version}`);
+    }
+    if (existing && !existing.isCustom) {
+        existing.versions = [...existing.versions, entry];
+        return;
+    }
+    const versions = existing ? [...existing.versions, entry] : [entry];
+    const allTimes = versions.map((v) => v.times);
+    const categories = [...new Set(allTimes.flatMap((t) => Object.keys(t)))];
+    const boats = allTimes.flatMap((t) => Object.values(t).flatMap((b) => Object.keys(b)));
+    modelFamilies[key] = createModelFamily(versions, {
+        ageCategories: categories,
+        boatClasses: [...new Set(boats)],
+        isCustom: true,
+    });
+}
+
+// Load custom model tables (*.json, *.csv) from the models directory
+function loadCustomModels(logger, dir = MODELS_DIR) {
+    if (!fs.existsSync(dir)) {
+        logger && logger.info(`Models directory ${dir} does not exist, no custom models loaded`);
+        return [];
+    }
+    const loaded = [];
+    fs.readdirSync(dir).forEach((file) => {
+        const ext = path.extname(file).toLowerCase();
+        if (ext !== ".json" && ext !== ".csv") return;
+        try {
+            const text = fs.readFileSync(path.join(dir, file), "utf8");
+            const model =
+                ext === ".json"
+                    ? parseModelTableJSON(text)
+                    : parseModelTableCSV(text, path.basename(file, ext));
+            registerModelFamily(model.name, model);
+            loaded.push(model.name);
+            logger && logger.info(`Custom model loaded: ${model.name} v${model.version} (${file})`);
+        } catch (error) {
+            logger && logger.error(`Could not load custom model ${file}: ${error.message}`);
+        }
+    });
+    return loaded;
+}
+
+// Find the model family by the key stored in user state or results.
+// Results saved before keys were stored carry the menu label, which was
+// always Russian. Unknown labels fall back to the Russian model, as before.
+function getModelFamily(chatId, modelType, getMessage) {
+    if (modelFamilies[modelType]) {
+        return modelFamilies[modelType];
+    }
+    const key = Object.keys(modelFamilies).find(
+        (familyKey) =>
+            getMessage(chatId, familyKey) === modelType ||
+            getMessage(chatId, familyKey, "ru") === modelType
+    );
+    return modelFamilies[key] || modelFamilies.russiaModel;
+}
+
+// Boat classes with a model time for the category in the version in effect
+// today, so menus never offer a class the model cannot look up
+function getFamilyBoatClasses(family, ageCategory) {
+    return getCategoryBoatClasses(family.table, ageCategory);
+}
+
+// Model version by its name, or the one in effect on the date.
+// Results saved before versioning carry no version and use their date.
+function getModelVersion(family, version, date = new Date()) {
+    return (version && findVersion(family.versions, version)) || getVersionForDate(family.versions, date);
+}
+
+// Base 2000m model time or undefined if the model has no such entry.
+// `entry` is a saved result or user state: modelType, ageCategory, boatClass,
+// and optionally modelVersion, timestamp and mastersAge.
+function getBaseModelTime(chatId, getMessage, entry) {
+    const family = getModelFamily(chatId, entry.modelType, getMessage);
+    const { times } = getModelVersion(family, entry.modelVersion, entry.timestamp);
+    return lookupBaseModelTime(times, entry.ageCategory, entry.boatClass, entry.mastersAge);
+}
+
+module.exports = {
+    modelFamilies,
+    getModelFamily,
+    getBaseModelTime,
+    getModelVersion,
+    getFamilyBoatClasses,
+    getLatestVersion,
+    registerModelFamily,
+    loadCustomModels,
+    MODELS_DIR,
+    worldAgeCategories,
+    russiaAgeCategories,
+    boatClasses,
+};
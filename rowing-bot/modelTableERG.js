@@ -0,0 +1,64 @@
+import { scaleModelTime, SCALING_LINEAR } from "./distanceScaling"
+import { DEFAULT_VERSION, DEFAULT_EFFECTIVE_FROM } from "./modelVersions"
+
+// Модельное время на эргометре Concept2, 2000м
+export const modelTimesERG = {
+    Мужчина: {
+        "Эргометр": 350, // 5:50.0
+        "Эргометр л/в": 370, // 6:10.0
+    },
+    Женщины: {
+        "Эргометр": 398, // 6:38.0
+        "Эргометр л/в": 415, // 6:55.0
+    },
+    "Юниоры до 23": {
+        "Эргометр": 358,
+        "Эргометр л/в": 375,
+    },
+    "Юниорки до 23": {
+        "Эргометр": 405,
+        "Эргометр л/в": 420,
+    },
+    "Юноши до 19": {
+        "Эргометр": 370,
+    },
+    "Девушки до 19": {
+        "Эргометр": 420,
+    },
+    "Юноши до 17": {
+        "Эргометр": 395,
+    },
+    "Девушки до 17": {
+        "Эргометр": 445,
+    },
+    "Юноши до 15": {
+        "Эргометр": 425,
+    },
+    "Девушки до 15": {
+        "Эргометр": 470,
+    },
+}
+
+// Версии модели (см. modelVersions.js); modelTimesERG — действующая
+export const modelVersionsERG = [
+    {
+        version: DEFAULT_VERSION,
+        effectiveFrom: DEFAULT_EFFECTIVE_FROM,
+        effectiveTo: null,
+        times: modelTimesERG,
+    },
+]
+
+export function getModelTime(ageCategory, distance, boatClass, scaling = SCALING_LINEAR) {
+    if (
+        !modelTimesERG[ageCategory] ||
+        !modelTimesERG[ageCategory][boatClass]
+    ) {
+        throw new Error("Invalid category or boat class")
+    }
+
+    const baseModelTime = modelTimesERG[ageCategory][boatClass]
+
+    // Recalculate model time for the distance using the selected scaling
+    return scaleModelTime(baseModelTime, distance, boatClass, scaling)
+}
@@ -0,0 +1,43 @@
+// Версии таблиц модельного времени с периодами действия
+//
+// Версия: { version: "2025", effectiveFrom: "2025-01-01", effectiveTo: null, times }
+// Даты в формате ГГГГ-ММ-ДД, effectiveTo: null — действует до сих пор.
+// При смене модели на новый сезон добавьте новую версию и закройте прежнюю.
+
+export const DEFAULT_VERSION = "1.0"
+export const DEFAULT_EFFECTIVE_FROM = "2020-01-01"
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function toDay(date) {
+    return new Date(date).toISOString().slice(0, 10)
+}
+
+function byEffectiveFromDesc(a, b) {
+    return a.effectiveFrom < b.effectiveFrom ? 1 : a.effectiveFrom > b.effectiveFrom ? -1 : 0
+}
+
+export function isValidEffectiveDate(value) {
+    return (
+        typeof value === "string" &&
+        DATE_PATTERN.test(value) &&
+        !isNaN(new Date(value).getTime())
+    )
+}
+
+export function getLatestVersion(versions) {
+    return [...versions].sort(byEffectiveFromDesc)[0]
+}
+
+// Версия, действовавшая на дату; если ни одна не подходит — последняя
+export function getVersionForDate(versions, date = new Date()) {
+    const day = toDay(date)
+    const effective = versions.filter(
+        (v) => v.effectiveFrom <= day && (!v.effectiveTo || day <= v.effectiveTo)
+    )
+    return getLatestVersion(effective.length > 0 ? effective : versions)
+}
+
+export function findVersion(versions, version) {
+    return versions.find((v) => v.version === String(version))
+}
@@ -0,0 +1,215 @@
+import { parseDistance } from "./distanceTable"
+import { parseTime } from "./utils"
+import { MASTERS_MEN, MASTERS_WOMEN, isMastersCategory, getMastersLetter } from "./masters"
+
+// Разбор строки результата «Иванов 1х Мужчина 2000 7:02.4».
+// Части могут идти в любом порядке; оставшиеся слова — имя спортсмена.
+
+export const LINE_ERROR_MISSING = "missing"
+export const LINE_ERROR_TIME = "time"
+export const LINE_ERROR_BOAT = "boat"
+export const LINE_ERROR_MASTERS_AGE = "mastersAge"
+
+// Части, которых может не хватать, в порядке записи строки
+export const LINE_PART_CATEGORY = "category"
+export const LINE_PART_BOAT = "boat"
+export const LINE_PART_DISTANCE = "distance"
+export const LINE_PART_TIME = "time"
+export const LINE_PART_NAME = "name"
+
+// Коды World Rowing: M1x, W2-, LM2x, BM4+, JW1x, JM18, MM45 1x
+const seniorAliases = { M: "Мужчина", W: "Женщины", BM: "Юниоры до 23", BW: "Юниорки до 23" }
+const juniorAliases = {
+    JM: [
+        [15, "Юноши до 15"],
+        [17, "Юноши до 17"],
+        [19, "Юноши до 19"],
+    ],
+    JW: [
+        [15, "Девушки до 15"],
+        [17, "Девушки до 17"],
+        [19, "Девушки до 19"],
+    ],
+}
+const mastersAliases = { MM: MASTERS_MEN, MW: MASTERS_WOMEN }
+
+// Текст для сравнения: нижний регистр, латинские «x» и «lw» как в ключах лодок
+function normalize(text) {
+    return text.toLowerCase().replace(/x/g, "х").replace(/\blw\b/g, "л/в")
+}
+
+// { category, mastersAge, boat, lightweight } или null, если слово не код.
+// JM18 — младшая юношеская категория, в которую входит возраст, т.е. «до 19».
+export function parseCategoryAlias(word) {
+    const match = word.match(/^(L?)(JM|JW|BM|BW|MM|MW|M|W)(\d{2})?([1248].*)?$/i)
+    if (!match) return null
+    const code = match[2].toUpperCase()
+    const age = match[3] ? parseInt(match[3]) : null
+    const alias = { lightweight: Boolean(match[1]), boat: match[4] ? normalize(match[4]) : null }
+
+    if (juniorAliases[code]) {
+        const limits = juniorAliases[code]
+        const found = age ? limits.find(([limit]) => age <= limit) : limits[limits.length - 1]
+        return found ? { ...alias, category: found[1] } : null
+    }
+    if (mastersAliases[code]) {
+        // Без возраста («MM1x») строка вернёт ошибку с просьбой его указать
+        return { ...alias, category: mastersAliases[code], mastersAge: age }
+    }
+    return age ? null : { ...alias, category: seniorAliases[code] }
+}
+
+// Самая длинная фраза из values (по ключу или подписи) среди слов:
+// { value, index, length } или null
+export function findPhrase(words, values, label = (value) => value) {
+    const candidates = values
+        .flatMap((value) => [value, label(value)].map((text) => ({ value, text: normalize(text) })))
+        .sort((a, b) => b.text.length - a.text.length)
+    for (const { value, text } of candidates) {
+        const length = text.split(" ").length
+        const index = words.findIndex(
+            (_, i) => normalize(words.slice(i, i + length).join(" ")) === text
+        )
+        if (index !== -1) return { value, index, length }
+    }
+    return null
+}
+
+// Дистанция — целое число метров или километры с единицей:
+// «2000», «2000м», «6km», «5,5км»; «7.45» и «120.5» — это время
+const DISTANCE_WORD = /^(\d+(?:м|m)?|\d+(?:[.,]\d+)?(?:км|km))$/i
+
+// model: { categories, boats, getBoats(category), isErg } — категории и классы
+// модели; label(key) — подпись ключа на языке пользователя; defaults
+// ({ ageCategory, mastersAge, boatClass, distance }) заполняют пропущенные части.
+// Возвращает { parsed } или { error, missing, timeError, parsed }, где parsed —
+// всё, что удалось распознать.
+export function parseResultLine(text, model, label = (key) => key, defaults = {}) {
+    const words = text.trim().split(/\s+/).filter(Boolean)
+    const take = (found) => words.splice(found.index, found.length)
+    const parsed = { mastersAge: null }
+
+    // Сначала коды вроде M1x: в них и категория, и лодка
+    let lightweight = false
+    const aliasIndex = words.findIndex((word) => {
+        const alias = parseCategoryAlias(word)
+        return alias && model.categories.includes(alias.category)
+    })
+    if (aliasIndex !== -1) {
+        const alias = parseCategoryAlias(words[aliasIndex])
+        parsed.ageCategory = alias.category
+        parsed.mastersAge = alias.mastersAge || null
+        lightweight = alias.lightweight
+        if (alias.boat) {
+            parsed.boatClass = lightweight ? `${alias.boat} л/в` : alias.boat
+        }
+        take({ index: aliasIndex, length: 1 })
+    } else {
+        const category = findPhrase(words, model.categories, label)
+        if (category) {
+            parsed.ageCategory = category.value
+            take(category)
+        } else if (model.categories.includes(defaults.ageCategory)) {
+            parsed.ageCategory = defaults.ageCategory
+            parsed.mastersAge = defaults.mastersAge || null
+        }
+    }
+
+    if (!parsed.boatClass) {
+        const boat = findPhrase(words, model.boats, label)
+        if (boat) {
+            parsed.boatClass = boat.value
+            take(boat)
+        } else if (model.isErg) {
+            parsed.boatClass = lightweight ? model.boats[model.boats.length - 1] : model.boats[0]
+        } else if (model.boats.includes(defaults.boatClass)) {
+            parsed.boatClass = defaults.boatClass
+        }
+    }
+
+    // Первое слово-дистанция — дистанция, первое слово-время — время,
+    // остальные слова — имя
+    const names = []
+    let timeError = null
+    words.forEach((word) => {
+        const distance = DISTANCE_WORD.test(word) ? parseDistance(word) : null
+        if (distance && !parsed.distance) {
+            parsed.distance = distance
+            return
+        }
+        const { seconds, error } = parseTime(word)
+        if (parsed.time == null && !error) {
+            parsed.time = seconds
+            parsed.timeText = word
+            timeError = null
+            return
+        }
+        if (parsed.time == null && /^[\d:.,'"]+$/.test(word)) {
+            timeError = error
+            return
+        }
+        names.push(word)
+    })
+    parsed.name = names.join(" ") || null
+    if (!parsed.distance && defaults.distance) {
+        parsed.distance = defaults.distance
+    }
+
+    const missing = [
+        !parsed.ageCategory && LINE_PART_CATEGORY,
+        !parsed.boatClass && LINE_PART_BOAT,
+        !parsed.distance && LINE_PART_DISTANCE,
+        parsed.time == null && !timeError && LINE_PART_TIME,
+    ].filter(Boolean)
+    if (missing.length > 0) {
+        return { error: LINE_ERROR_MISSING, missing, parsed }
+    }
+    if (timeError) {
+        return { error: LINE_ERROR_TIME, timeError, parsed }
+    }
+    if (isMastersCategory(parsed.ageCategory) && !getMastersLetter(parsed.mastersAge)) {
+        return { error: LINE_ERROR_MASTERS_AGE, parsed }
+    }
+    if (!model.getBoats(parsed.ageCategory).includes(parsed.boatClass)) {
+        return { error: LINE_ERROR_BOAT, parsed }
+    }
+    return { parsed }
+}
+
+// Вставленные результаты, по одному в строке. Строка без имени и времени
+// («M1x 2000») задаёт значения по умолчанию для следующих строк.
+// parseLine(line, defaults) разбирает одну строку, как parseResultLine.
+// Возвращает { results: [{ number, line, parsed }],
+// errors: [{ number, line, error, missing, timeError, parsed }] }.
+export function parseBulkLines(text, parseLine, defaults = {}) {
+    const results = []
+    const errors = []
+    let current = { ...defaults }
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        const line = rawLine.trim()
+        if (!line) return
+        const number = i + 1
+        const calc = parseLine(line, current)
+        const { parsed } = calc
+
+        if (parsed.time == null && !calc.timeError && !parsed.name) {
+            const { ageCategory, mastersAge, boatClass, distance, modelType } = parsed
+            current = {
+                ...current,
+                ...(modelType && { modelType }),
+                ...(ageCategory && { ageCategory, mastersAge }),
+                ...(boatClass && { boatClass }),
+                ...(distance && { distance }),
+            }
+            return
+        }
+        if (calc.error) {
+            errors.push({ number, line, ...calc })
+        } else if (!parsed.name) {
+            errors.push({ number, line, error: LINE_ERROR_MISSING, missing: [LINE_PART_NAME], parsed })
+        } else {
+            results.push({ number, line, parsed })
+        }
+    })
+    return { results, errors }
+}
@@ -0,0 +1,26 @@
+const { hasConditions } = require("../../shared/conditions");
+
+// New calculation session of a chat. Session conditions (wind, stream, water)
+// carry over from the previous session until the user changes or clears
+// them in /conditions, so /start does not drop them.
+function createSession(chatId, username, previous) {
+    return {
+        username,
+        chatId,
+        startTime: new Date().toISOString(),
+        actions: [],
+        results: [],
+        conditions: (previous && previous.conditions) || null,
+    };
+}
+
+// Conditions a result is corrected for: the session ones, on-water models only
+function getResultConditions(session, family) {
+    const conditions = session && session.conditions;
+    return !family.isErg && hasConditions(conditions) ? conditions : null;
+}
+
+module.exports = {
+    createSession,
+    getResultConditions,
+};
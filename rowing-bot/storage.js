@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+// Хранилище сессий, состояний диалога, настроек пользователей и команд.
+// STORAGE=sqlite (по умолчанию) — данные в файле STORAGE_FILE и переживают
+// перезапуск; STORAGE=memory — только в памяти, как раньше.
+const STORAGE_SQLITE = "sqlite";
+const STORAGE_MEMORY = "memory";
+const STORAGE_BACKEND = process.env.STORAGE || STORAGE_SQLITE;
+const STORAGE_FILE = process.env.STORAGE_FILE || "data/rowing-bot.sqlite";
+const FLUSH_INTERVAL = 5 * 1000; // 5 секунд
+
+const SESSIONS_DIR = "sessions";
+const SESSIONS_MIGRATION = "session-files";
+
+const COLLECTION_SESSIONS = "sessions";
+const COLLECTION_STATES = "states";
+const COLLECTION_SETTINGS = "settings";
+const COLLECTION_TEAMS = "teams";
+
+// Map, который помнит, какие чаты менялись с последней записи.
+// Бот меняет объекты на месте, поэтому чтение тоже считается изменением.
+class StoredMap extends Map {
+    constructor(collection, entries) {
+        super(entries);
+        this.collection = collection;
+        this.dirty = new Set();
+    }
+
+    get(key) {
+        this.dirty.add(key);
+        return super.get(key);
+    }
+
+    set(key, value) {
+        // Map вызывает set из конструктора, до создания this.dirty
+        if (this.dirty) this.dirty.add(key);
+        return super.set(key, value);
+    }
+
+    delete(key) {
+        this.dirty.add(key);
+        return super.delete(key);
+    }
+
+    clear() {
+        for (const key of this.keys()) this.dirty.add(key);
+        super.clear();
+    }
+
+    takeDirty() {
+        const keys = [...this.dirty];
+        this.dirty.clear();
+        return keys;
+    }
+}
+
+function getSessionId(session) {
+    return `${session.username}_${session.chatId}_${session.startTime.replace(/[:.]/g, "-")}`;
+}
+
+// Id чата хранится строкой, в Map — числом, как его присылает Telegram
+function toChatId(value) {
+    return /^-?\d+$/.test(value) ? Number(value) : value;
+}
+
+// Завершённые сессии в памяти пишутся в sessions/*.json
+function createMemoryRepository() {
+    return {
+        backend: STORAGE_MEMORY,
+        load() {
+            return { sessions: [], states: [], settings: [], teams: [] };
+        },
+        write() {},
+        archiveSession(session) {
+            fs.writeFileSync(
+                path.join(SESSIONS_DIR, `${getSessionId(session)}.json`),
+                JSON.stringify(session, null, 2)
+            );
+        },
+        async loadArchivedSessions(chatId) {
+            if (!fs.existsSync(SESSIONS_DIR)) return [];
+            const files = await fs.promises.readdir(SESSIONS_DIR);
+            const sessions = [];
+            for (const file of files.filter((f) => f.includes(`_${chatId}_`) && f.endsWith(".json"))) {
+                try {
+                    sessions.push(
+                        JSON.parse(await fs.promises.readFile(path.join(SESSIONS_DIR, file), "utf8"))
+                    );
+                } catch (error) {
+                    // Skip broken session files, the rest of the history is still useful
+                }
+            }
+            return sessions;
+        },
+        hasMigration() {
+            return true;
+        },
+        markMigration() {},
+        close() {},
+    };
+}
+
+function createSqliteRepository(file) {
+    // Подключаем только здесь, чтобы режим memory работал без модуля
+    const Database = require("better-sqlite3");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_data (
+            collection TEXT NOT NULL,
+            chat_id TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (collection, chat_id)
+        );
+        CREATE TABLE IF NOT EXISTS archived_sessions (
+            id TEXT PRIMARY KEY,
+            chat_id TEXT NOT NULL,
+            value TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS archived_sessions_chat ON archived_sessions (chat_id);
+        CREATE TABLE IF NOT EXISTS migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TEXT NOT NULL
+        );
+    `);
+
+    const selectCollection = db.prepare("SELECT chat_id, value FROM chat_data WHERE collection = ?");
+    const upsertChat = db.prepare(`
+        INSERT INTO chat_data (collection, chat_id, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, chat_id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const deleteChat = db.prepare("DELETE FROM chat_data WHERE collection = ? AND chat_id = ?");
+    const upsertArchived = db.prepare(`
+        INSERT INTO archived_sessions (id, chat_id, value) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET value = excluded.value
+    `);
+    const selectArchived = db.prepare("SELECT value FROM archived_sessions WHERE chat_id = ?");
+    const selectMigration = db.prepare("SELECT 1 FROM migrations WHERE name = ?");
+    const insertMigration = db.prepare("INSERT OR IGNORE INTO migrations (name, applied_at) VALUES (?, ?)");
+
+    const loadCollection = (collection) =>
+        selectCollection.all(collection).map((row) => [toChatId(row.chat_id), JSON.parse(row.value)]);
+
+    // changes: [{ collection, chatId, value }], value undefined — удалить
+    const write = db.transaction((changes) => {
+        const now = new Date().toISOString();
+        changes.forEach(({ collection, chatId, value }) => {
+            if (value === undefined) {
+                deleteChat.run(collection, String(chatId));
+            } else {
+                upsertChat.run(collection, String(chatId), JSON.stringify(value), now);
+            }
+        });
+    });
+
+    return {
+        backend: STORAGE_SQLITE,
+        load() {
+            return {
+                sessions: loadCollection(COLLECTION_SESSIONS),
+                states: loadCollection(COLLECTION_STATES),
+                settings: loadCollection(COLLECTION_SETTINGS),
+                teams: loadCollection(COLLECTION_TEAMS),
+            };
+        },
+        write,
+        archiveSession(session) {
+            upsertArchived.run(getSessionId(session), String(session.chatId), JSON.stringify(session));
+        },
+        async loadArchivedSessions(chatId) {
+            return selectArchived.all(String(chatId)).map((row) => JSON.parse(row.value));
+        },
+        hasMigration(name) {
+            return Boolean(selectMigration.get(name));
+        },
+        markMigration(name) {
+            insertMigration.run(name, new Date().toISOString());
+        },
+        close() {
+            db.close();
+        },
+    };
+}
+
+// Однократный перенос sessions/*.json в базу; файлы остаются на месте
+function migrateSessionFiles(repository, logger) {
+    if (repository.hasMigration(SESSIONS_MIGRATION)) return 0;
+    let migrated = 0;
+    if (fs.existsSync(SESSIONS_DIR)) {
+        for (const file of fs.readdirSync(SESSIONS_DIR).filter((f) => f.endsWith(".json"))) {
+            try {
+                const session = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, file), "utf8"));
+                repository.archiveSession(session);
+                migrated++;
+            } catch (error) {
+                logger && logger.warn(`Could not migrate session file ${file}: ${error.message}`);
+            }
+        }
+    }
+    repository.markMigration(SESSIONS_MIGRATION);
+    logger && logger.info(`Migrated ${migrated} session files to ${repository.backend} storage`);
+    return migrated;
+}
+
+function createRepository(backend, logger) {
+    if (backend === STORAGE_MEMORY) {
+        return createMemoryRepository();
+    }
+    if (backend !== STORAGE_SQLITE) {
+        logger && logger.warn(`Unknown storage backend "${backend}", using ${STORAGE_SQLITE}`);
+    }
+    return createSqliteRepository(STORAGE_FILE);
+}
+
+// Возвращает { sessions, states, settings, teams, repository, flush }.
+// Map-ы заполнены сохранёнными данными; flush() пишет изменённые чаты.
+function createStorage(logger, backend = STORAGE_BACKEND) {
+    let repository;
+    try {
+        repository = createRepository(backend, logger);
+    } catch (error) {
+        logger && logger.error(`Could not open ${backend} storage, keeping data in memory: ${error.message}`);
+        repository = createMemoryRepository();
+    }
+
+    if (repository.backend === STORAGE_SQLITE) {
+        migrateSessionFiles(repository, logger);
+    }
+
+    const stored = repository.load();
+    const sessions = new StoredMap(COLLECTION_SESSIONS, stored.sessions);
+    const states = new StoredMap(COLLECTION_STATES, stored.states);
+    const settings = new StoredMap(COLLECTION_SETTINGS, stored.settings);
+    // Команды хранятся по id чата тренера
+    const teams = new StoredMap(COLLECTION_TEAMS, stored.teams);
+    logger && logger.info(
+        `Storage: ${repository.backend}, restored ${sessions.size} sessions, ${states.size} states, ${settings.size} settings, ${teams.size} teams`
+    );
+
+    function flush() {
+        const changes = [];
+        [sessions, states, settings, teams].forEach((map) => {
+            map.takeDirty().forEach((chatId) => {
+                changes.push({ map, collection: map.collection, chatId, value: Map.prototype.get.call(map, chatId) });
+            });
+        });
+        if (changes.length === 0) return;
+        try {
+            repository.write(changes);
+        } catch (error) {
+            logger && logger.error(`Could not write ${changes.length} changes to storage: ${error.message}`);
+            // Попробуем ещё раз при следующей записи
+            changes.forEach(({ map, chatId }) => map.dirty.add(chatId));
+        }
+    }
+
+    return { sessions, states, settings, teams, repository, flush };
+}
+
+module.exports = {
+    createStorage,
+    createMemoryRepository,
+    createSqliteRepository,
+    migrateSessionFiles,
+    getSessionId,
+    STORAGE_SQLITE,
+    STORAGE_MEMORY,
+    STORAGE_FILE,
+    FLUSH_INTERVAL,
+    SESSIONS_DIR,
+};
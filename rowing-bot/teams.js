@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+
+// Coach team workspaces. A team is keyed by the coach's chat id and holds
+// its members and every result they submitted:
+// { id, name, coachId, inviteCode, createdAt, members: [{ chatId, name, role, joinedAt }], results: [] }
+// A chat belongs to one team at a time; its team id is kept in user settings.
+
+const ROLE_COACH = "coach";
+const ROLE_ATHLETE = "athlete";
+
+// Payload of the invite deep link: t.me/<bot>?start=team_<code>
+const INVITE_PREFIX = "team_";
+
+// Outcomes of following an invite
+const JOIN_INVALID = "invalid";
+const JOIN_JOINED = "joined";
+const JOIN_ALREADY_MEMBER = "member";
+const JOIN_OTHER_TEAM = "other";
+
+function createInviteCode() {
+    return crypto.randomBytes(4).toString("hex");
+}
+
+function createTeam(teams, coachId, coachName, name) {
+    const now = new Date().toISOString();
+    const team = {
+        id: coachId,
+        name: name || coachName,
+        coachId,
+        inviteCode: createInviteCode(),
+        createdAt: now,
+        members: [{ chatId: coachId, name: coachName, role: ROLE_COACH, joinedAt: now }],
+        results: [],
+    };
+    teams.set(coachId, team);
+    return team;
+}
+
+// The team is loaded with get() so that storage writes it back once
+// the caller adds a member
+function findTeamByInvite(teams, inviteCode) {
+    for (const [id, team] of teams.entries()) {
+        if (team.inviteCode === inviteCode) return teams.get(id);
+    }
+    return null;
+}
+
+// Team of the chat by the team id from its settings, or null if it is in none
+function findChatTeam(teams, teamId, chatId) {
+    const team = teamId != null ? teams.get(teamId) : null;
+    return team && getMember(team, chatId) ? team : null;
+}
+
+// { status, team, member }. A chat that is already in a team stays there:
+// JOIN_ALREADY_MEMBER for the invited team, JOIN_OTHER_TEAM with its current
+// team otherwise.
+function joinTeam(teams, inviteCode, chatId, name, currentTeamId) {
+    const team = findTeamByInvite(teams, inviteCode);
+    if (!team) return { status: JOIN_INVALID, team: null, member: null };
+    const current = findChatTeam(teams, currentTeamId, chatId);
+    if (current) {
+        return {
+            status: current === team ? JOIN_ALREADY_MEMBER : JOIN_OTHER_TEAM,
+            team: current,
+            member: getMember(current, chatId),
+        };
+    }
+    return { status: JOIN_JOINED, team, member: addMember(team, chatId, name) };
+}
+
+function getMember(team, chatId) {
+    return team.members.find((member) => member.chatId === chatId) || null;
+}
+
+function isCoach(team, chatId) {
+    return team.coachId === chatId;
+}
+
+function addMember(team, chatId, name) {
+    const existing = getMember(team, chatId);
+    if (existing) return existing;
+    const member = { chatId, name, role: ROLE_ATHLETE, joinedAt: new Date().toISOString() };
+    team.members.push(member);
+    return member;
+}
+
+// Results of a member who leaves stay with the team
+function removeMember(team, chatId) {
+    team.members = team.members.filter((member) => member.chatId !== chatId);
+}
+
+function addTeamResult(team, chatId, result) {
+    const entry = { ...result, submittedBy: chatId };
+    team.results.push(entry);
+    return entry;
+}
+
+// Keep the team copy of a chat's result in step with its history; `result`
+// null removes it. Returns false if the team has no such result.
+function updateTeamResult(team, chatId, timestamp, result) {
+    const index = team.results.findIndex(
+        (r) => r.submittedBy === chatId && r.timestamp === timestamp
+    );
+    if (index === -1) return false;
+    if (result) {
+        team.results[index] = { ...result, submittedBy: chatId };
+    } else {
+        team.results.splice(index, 1);
+    }
+    return true;
+}
+
+// The coach sees and edits every result, an athlete only their own
+function canAccessResult(team, chatId, result) {
+    return isCoach(team, chatId) || result.submittedBy === chatId;
+}
+
+// [{ index, result }] with indices into team.results
+function getVisibleResults(team, chatId) {
+    return team.results
+        .map((result, index) => ({ index, result }))
+        .filter(({ result }) => canAccessResult(team, chatId, result));
+}
+
+function getInviteLink(botUsername, team) {
+    return `https://t.me/${botUsername}?start=${INVITE_PREFIX}${team.inviteCode}`;
+}
+
+// Session-like object for createExcelFile
+function getTeamSession(team) {
+    return {
+        username: team.name,
+        chatId: team.id,
+        teamId: team.id,
+        startTime: team.createdAt,
+        actions: [],
+        results: team.results,
+    };
+}
+
+module.exports = {
+    createTeam,
+    findTeamByInvite,
+    findChatTeam,
+    joinTeam,
+    getMember,
+    isCoach,
+    addMember,
+    removeMember,
+    addTeamResult,
+    updateTeamResult,
+    canAccessResult,
+    getVisibleResults,
+    getInviteLink,
+    getTeamSession,
+    ROLE_COACH,
+    ROLE_ATHLETE,
+    INVITE_PREFIX,
+    JOIN_INVALID,
+    JOIN_JOINED,
+    JOIN_ALREADY_MEMBER,
+    JOIN_OTHER_TEAM,
+};
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rowing-bot-backup-"));
+// backups/ is relative to the working directory
+process.chdir(tmpDir);
+
+const { createBackup, BACKUP_DIR } = require("../backup");
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Backup file last modified `days` ago
+function writeOldBackup(file, days) {
+    const filePath = path.join(BACKUP_DIR, file);
+    fs.writeFileSync(filePath, "{}");
+    const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    fs.utimesSync(filePath, time, time);
+}
+
+test("cleanup keeps old backups a pending restore points to", async () => {
+    fs.mkdirSync(BACKUP_DIR);
+    writeOldBackup("backup_old.json", 10);
+    writeOldBackup("backup_pending.json", 10);
+
+    const backupFile = await createBackup(new Map(), new Map(), new Map(), null, new Map(), [
+        "backup_pending.json",
+    ]);
+    const files = fs.readdirSync(BACKUP_DIR);
+    assert.ok(files.includes(path.basename(backupFile)));
+    assert.ok(files.includes("backup_pending.json"));
+    assert.ok(!files.includes("backup_old.json"));
+});
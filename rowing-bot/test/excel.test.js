@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { getExcelFileName } = require("../excel");
+const { createTeam, getTeamSession } = require("../teams");
+
+const COACH = 1;
+
+test("a coach's team export and personal export use different files", () => {
+    const team = createTeam(new Map(), COACH, "coach", "Club");
+    const personal = { username: "coach", chatId: COACH, results: [] };
+    assert.strictEqual(getExcelFileName(personal), "results_coach_1.xlsx");
+    assert.strictEqual(getExcelFileName(getTeamSession(team)), "team_Club_1.xlsx");
+});
+
+test("characters a file name cannot hold are replaced", () => {
+    const team = createTeam(new Map(), COACH, "coach", "U23/M*1x: [A]");
+    assert.strictEqual(getExcelFileName(getTeamSession(team)), "team_U23_M_1x_ _A__1.xlsx");
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+    MASTERS_MEN,
+    MASTERS_WOMEN,
+    mastersHandicaps,
+    getMastersLetter,
+    getMastersHandicap,
+    lookupBaseModelTime,
+} = require("../../../shared/masters");
+
+// The handicaps are this project's approximations, not the published
+// World Rowing table (see shared/masters.js). These tests pin the values
+// in use so that replacing them with verified ones is a deliberate change.
+
+test("category D men's single: 11 s per 1000m, 22 s over 2000m", () => {
+    assert.strictEqual(mastersHandicaps[MASTERS_MEN].D, 11);
+    assert.strictEqual(getMastersHandicap(MASTERS_MEN, 52, "1х"), 22);
+});
+
+test("category F women's single: 24.5 s per 1000m", () => {
+    assert.strictEqual(mastersHandicaps[MASTERS_WOMEN].F, 24.5);
+    assert.strictEqual(getMastersHandicap(MASTERS_WOMEN, 62, "1х"), 49);
+});
+
+test("crews get a smaller handicap than singles", () => {
+    const single = getMastersHandicap(MASTERS_MEN, 52, "1х");
+    const double = getMastersHandicap(MASTERS_MEN, 52, "2х");
+    const eight = getMastersHandicap(MASTERS_MEN, 52, "8+");
+    assert.ok(Math.abs(double - single * 0.93) < 1e-9);
+    assert.ok(eight < double);
+});
+
+test("age categories follow the World Rowing age bands", () => {
+    assert.strictEqual(getMastersLetter(26), null);
+    assert.strictEqual(getMastersLetter(27), "A");
+    assert.strictEqual(getMastersLetter(35), "A");
+    assert.strictEqual(getMastersLetter(36), "B");
+    assert.strictEqual(getMastersLetter(50), "D");
+    assert.strictEqual(getMastersLetter(82), "J");
+    assert.strictEqual(getMastersLetter(83), "K");
+});
+
+test("the masters model time is the open time plus the handicap", () => {
+    const times = { Мужчина: { "1х": 400 } };
+    assert.strictEqual(lookupBaseModelTime(times, MASTERS_MEN, "1х", 52), 422);
+    assert.strictEqual(lookupBaseModelTime(times, MASTERS_MEN, "1х", 20), undefined);
+});
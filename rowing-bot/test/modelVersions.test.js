@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { modelFamilies, registerModelFamily, getModelVersion } = require("../modelRegistry");
+const { recalculateResults } = require("../history");
+
+const russia = modelFamilies.russiaModel;
+const [firstVersion] = russia.versions;
+
+// Next season of the Russian model: every time 1% faster
+function nextSeason() {
+    const times = {};
+    Object.entries(firstVersion.times).forEach(([category, boats]) => {
+        times[category] = {};
+        Object.entries(boats).forEach(([boat, seconds]) => {
+            times[category][boat] = Math.round(seconds * 0.99 * 100) / 100;
+        });
+    });
+    return { version: "2026", effectiveFrom: "2026-01-01", effectiveTo: null, times };
+}
+
+registerModelFamily("Российская модель (Н.Н.)", nextSeason());
+
+test("a table named after a built-in model adds a version to it", () => {
+    assert.strictEqual(modelFamilies.russiaModel, russia);
+    assert.deepStrictEqual(
+        russia.versions.map((v) => v.version),
+        [firstVersion.version, "2026"]
+    );
+    assert.strictEqual(russia.isCustom, undefined);
+});
+
+test("results use the version in effect on their date", () => {
+    assert.strictEqual(getModelVersion(russia, null, "2025-06-01").version, firstVersion.version);
+    assert.strictEqual(getModelVersion(russia, null, "2026-03-01").version, "2026");
+});
+
+test("a stored Russian-model result is recalculated under the new version", () => {
+    const stored = {
+        name: "Петров",
+        modelType: "russiaModel",
+        modelVersion: firstVersion.version,
+        ageCategory: "Мужчина",
+        boatClass: "1х",
+        distance: 2000,
+        time: "7:00.00",
+        timestamp: "2025-06-01T10:00:00.000Z",
+    };
+    const [row] = recalculateResults([stored], { resolveFamily: () => russia });
+    assert.strictEqual(row.oldVersion, firstVersion.version);
+    assert.strictEqual(row.newVersion, "2026");
+    assert.ok(Math.abs(row.newPercentage / row.oldPercentage - 0.99) < 0.001);
+});
+
+test("a version the model already has is rejected", () => {
+    assert.throws(
+        () => registerModelFamily("russiaModel", nextSeason()),
+        /already has version 2026/
+    );
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { suggestCategory, GENDER_MALE, GENDER_FEMALE } = require("../../../shared/roster");
+const { MASTERS_MEN, MASTERS_WOMEN } = require("../../../shared/masters");
+
+const categories = [
+    "Юноши до 17",
+    "Девушки до 17",
+    "Юниоры до 23",
+    "Юниорки до 23",
+    "Мужчина",
+    "Женщины",
+    MASTERS_MEN,
+    MASTERS_WOMEN,
+];
+
+test("an athlete aged 30 without a category gets the open one, not masters", () => {
+    assert.strictEqual(suggestCategory(GENDER_MALE, 30, categories), "Мужчина");
+    assert.strictEqual(suggestCategory(GENDER_FEMALE, 30, categories), "Женщины");
+});
+
+test("a veteran without a category is not given a masters handicap", () => {
+    assert.strictEqual(suggestCategory(GENDER_MALE, 55, categories), "Мужчина");
+});
+
+test("the youngest fitting junior category is suggested", () => {
+    assert.strictEqual(suggestCategory(GENDER_MALE, 16, categories), "Юноши до 17");
+    assert.strictEqual(suggestCategory(GENDER_FEMALE, 20, categories), "Юниорки до 23");
+});
+
+test("no category is suggested without a gender", () => {
+    assert.strictEqual(suggestCategory(null, 30, categories), null);
+});
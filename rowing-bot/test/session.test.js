@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createSession, getResultConditions } = require("../session");
+const { modelFamilies } = require("../modelRegistry");
+const { correctTimeForConditions, WIND_HEAD } = require("../../../shared/conditions");
+
+const headwind = { windSpeed: 3, windDirection: WIND_HEAD };
+
+test("conditions survive /start and still correct the next result", () => {
+    const session = createSession(1, "user");
+    session.conditions = headwind;
+    session.results.push({ name: "A" });
+
+    const restarted = createSession(1, "user", session);
+    assert.deepStrictEqual(restarted.results, []);
+    const conditions = getResultConditions(restarted, modelFamilies.russiaModel);
+    assert.deepStrictEqual(conditions, headwind);
+    assert.ok(correctTimeForConditions(420, 2000, "1х", conditions) < 420);
+});
+
+test("cleared conditions stay cleared in the next session", () => {
+    const session = createSession(1, "user");
+    session.conditions = null;
+    const restarted = createSession(1, "user", session);
+    assert.strictEqual(getResultConditions(restarted, modelFamilies.russiaModel), null);
+});
+
+test("erg results are never corrected for conditions", () => {
+    const session = createSession(1, "user");
+    session.conditions = headwind;
+    assert.strictEqual(getResultConditions(session, modelFamilies.ergModel), null);
+});
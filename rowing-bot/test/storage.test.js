@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rowing-bot-storage-"));
+process.env.STORAGE_FILE = path.join(tmpDir, "rowing-bot.sqlite");
+// sessions/ is relative to the working directory
+process.chdir(tmpDir);
+
+const {
+    createStorage,
+    createSqliteRepository,
+    migrateSessionFiles,
+    getSessionId,
+    STORAGE_SQLITE,
+    STORAGE_MEMORY,
+    SESSIONS_DIR,
+} = require("../storage");
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Logger that keeps its messages for assertions
+function createLogger() {
+    const messages = { info: [], warn: [], error: [] };
+    return {
+        messages,
+        info: (message) => messages.info.push(message),
+        warn: (message) => messages.warn.push(message),
+        error: (message) => messages.error.push(message),
+    };
+}
+
+function reload(storage) {
+    storage.flush();
+    storage.repository.close();
+    return createStorage(null, STORAGE_SQLITE);
+}
+
+function session(chatId, startTime) {
+    return { username: "user", chatId, startTime, actions: [], results: [{ name: "A", time: 420 }] };
+}
+
+test("sqlite storage restores every collection after a reload", () => {
+    let storage = createStorage(null, STORAGE_SQLITE);
+    storage.sessions.set(1, session(1, "2026-01-01T10:00:00.000Z"));
+    storage.states.set(1, { state: "idle" });
+    storage.settings.set(-100, { language: "en" });
+    storage = reload(storage);
+
+    assert.strictEqual(storage.sessions.get(1).results[0].time, 420);
+    assert.deepStrictEqual(storage.states.get(1), { state: "idle" });
+    // Chat ids come back as numbers, negative group ids included
+    assert.deepStrictEqual([...storage.settings.keys()], [-100]);
+    storage.repository.close();
+});
+
+test("objects changed in place after get() are written on flush", () => {
+    let storage = createStorage(null, STORAGE_SQLITE);
+    storage.settings.set(2, { language: "ru" });
+    storage = reload(storage);
+
+    storage.settings.get(2).language = "uk";
+    storage = reload(storage);
+    assert.strictEqual(storage.settings.get(2).language, "uk");
+    storage.repository.close();
+});
+
+test("deleted chats are removed from the database", () => {
+    let storage = createStorage(null, STORAGE_SQLITE);
+    storage.states.set(3, { state: "idle" });
+    storage = reload(storage);
+
+    storage.states.delete(3);
+    storage = reload(storage);
+    assert.strictEqual(storage.states.has(3), false);
+    storage.repository.close();
+});
+
+test("a failed write keeps the changes for the next flush", () => {
+    const logger = createLogger();
+    let storage = createStorage(logger, STORAGE_SQLITE);
+    const write = storage.repository.write;
+    storage.repository.write = () => {
+        throw new Error("disk full");
+    };
+    storage.settings.set(4, { language: "en" });
+    storage.flush();
+    assert.match(logger.messages.error[0], /disk full/);
+    assert.ok(storage.settings.dirty.has(4));
+
+    storage.repository.write = write;
+    storage = reload(storage);
+    assert.strictEqual(storage.settings.get(4).language, "en");
+    storage.repository.close();
+});
+
+test("memory storage starts empty and writes nothing", () => {
+    const storage = createStorage(null, STORAGE_MEMORY);
+    assert.strictEqual(storage.repository.backend, STORAGE_MEMORY);
+    storage.settings.set(5, { language: "en" });
+    storage.flush();
+    assert.strictEqual(createStorage(null, STORAGE_MEMORY).settings.size, 0);
+});
+
+test("storage falls back to memory when the native sqlite module is missing", () => {
+    const modulePath = require.resolve("better-sqlite3");
+    const cached = require.cache[modulePath];
+    require.cache[modulePath] = {
+        id: modulePath,
+        filename: modulePath,
+        loaded: true,
+        exports: function Database() {
+            throw new Error("Could not locate the bindings file");
+        },
+    };
+    const logger = createLogger();
+    try {
+        const storage = createStorage(logger, STORAGE_SQLITE);
+        assert.strictEqual(storage.repository.backend, STORAGE_MEMORY);
+        assert.match(logger.messages.error[0], /keeping data in memory: Could not locate the bindings file/);
+    } finally {
+        if (cached) {
+            require.cache[modulePath] = cached;
+        } else {
+            delete require.cache[modulePath];
+        }
+    }
+});
+
+test("session files are migrated to the database once", async () => {
+    const file = path.join(tmpDir, "migration.sqlite");
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    const archived = session(6, "2026-02-01T10:00:00.000Z");
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${getSessionId(archived)}.json`), JSON.stringify(archived));
+    fs.writeFileSync(path.join(SESSIONS_DIR, "broken.json"), "{");
+
+    const logger = createLogger();
+    let repository = createSqliteRepository(file);
+    assert.strictEqual(migrateSessionFiles(repository, logger), 1);
+    assert.match(logger.messages.warn[0], /broken\.json/);
+    assert.deepStrictEqual(await repository.loadArchivedSessions(6), [archived]);
+    repository.close();
+
+    // The files stay in place but are not read again
+    repository = createSqliteRepository(file);
+    assert.strictEqual(migrateSessionFiles(repository, logger), 0);
+    assert.strictEqual((await repository.loadArchivedSessions(6)).length, 1);
+    repository.close();
+    fs.rmSync(SESSIONS_DIR, { recursive: true, force: true });
+});
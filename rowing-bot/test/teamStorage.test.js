@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rowing-bot-teams-"));
+process.env.STORAGE_FILE = path.join(tmpDir, "rowing-bot.sqlite");
+process.chdir(tmpDir);
+
+const { createStorage, STORAGE_SQLITE } = require("../storage");
+const { createTeam, joinTeam, getMember, JOIN_JOINED } = require("../teams");
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Reopen the database as the bot does after a restart
+function reload(storage) {
+    storage.flush();
+    storage.repository.close();
+    return createStorage(null, STORAGE_SQLITE);
+}
+
+test("an athlete who joins by invite is still a member after a restart", () => {
+    let storage = createStorage(null, STORAGE_SQLITE);
+    assert.strictEqual(storage.repository.backend, STORAGE_SQLITE);
+    const { inviteCode } = createTeam(storage.teams, 1, "coach", "Club");
+    storage = reload(storage);
+
+    const { status, team } = joinTeam(storage.teams, inviteCode, 2, "athlete");
+    assert.strictEqual(status, JOIN_JOINED);
+    storage.settings.set(2, { teamId: team.id });
+    storage = reload(storage);
+
+    const restored = storage.teams.get(1);
+    assert.ok(getMember(restored, 2));
+    assert.strictEqual(storage.settings.get(2).teamId, 1);
+    storage.repository.close();
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+    createTeam,
+    findChatTeam,
+    joinTeam,
+    getMember,
+    removeMember,
+    addTeamResult,
+    updateTeamResult,
+    canAccessResult,
+    getVisibleResults,
+    ROLE_COACH,
+    ROLE_ATHLETE,
+    JOIN_INVALID,
+    JOIN_JOINED,
+    JOIN_ALREADY_MEMBER,
+    JOIN_OTHER_TEAM,
+} = require("../teams");
+
+const COACH = 1;
+const ATHLETE = 2;
+const OTHER_ATHLETE = 3;
+
+function result(name, timestamp) {
+    return { name, timestamp, distance: 2000, time: 420 };
+}
+
+// Team of COACH with ATHLETE and OTHER_ATHLETE, one result each
+function setupTeam() {
+    const teams = new Map();
+    const team = createTeam(teams, COACH, "coach", "Club");
+    joinTeam(teams, team.inviteCode, ATHLETE, "athlete");
+    joinTeam(teams, team.inviteCode, OTHER_ATHLETE, "other");
+    addTeamResult(team, ATHLETE, result("athlete", "t1"));
+    addTeamResult(team, OTHER_ATHLETE, result("other", "t2"));
+    return { teams, team };
+}
+
+test("the coach is the first member of a new team", () => {
+    const teams = new Map();
+    const team = createTeam(teams, COACH, "coach");
+    assert.strictEqual(teams.get(COACH), team);
+    assert.strictEqual(team.name, "coach");
+    assert.strictEqual(getMember(team, COACH).role, ROLE_COACH);
+});
+
+test("an invite adds the chat to the team as an athlete", () => {
+    const teams = new Map();
+    const team = createTeam(teams, COACH, "coach", "Club");
+    const joined = joinTeam(teams, team.inviteCode, ATHLETE, "athlete");
+    assert.strictEqual(joined.status, JOIN_JOINED);
+    assert.strictEqual(joined.team, team);
+    assert.strictEqual(joined.member.role, ROLE_ATHLETE);
+    assert.strictEqual(findChatTeam(teams, team.id, ATHLETE), team);
+});
+
+test("an unknown invite code joins nothing", () => {
+    const teams = new Map();
+    createTeam(teams, COACH, "coach", "Club");
+    const joined = joinTeam(teams, "nope", ATHLETE, "athlete");
+    assert.strictEqual(joined.status, JOIN_INVALID);
+    assert.strictEqual(joined.team, null);
+});
+
+test("joining the same team twice keeps one membership", () => {
+    const { teams, team } = setupTeam();
+    const joined = joinTeam(teams, team.inviteCode, ATHLETE, "athlete", team.id);
+    assert.strictEqual(joined.status, JOIN_ALREADY_MEMBER);
+    assert.strictEqual(team.members.filter((m) => m.chatId === ATHLETE).length, 1);
+});
+
+test("a member of one team cannot join a second one", () => {
+    const { teams, team } = setupTeam();
+    const other = createTeam(teams, 10, "other coach", "Other club");
+    const joined = joinTeam(teams, other.inviteCode, ATHLETE, "athlete", team.id);
+    assert.strictEqual(joined.status, JOIN_OTHER_TEAM);
+    assert.strictEqual(joined.team, team);
+    assert.strictEqual(getMember(other, ATHLETE), null);
+});
+
+test("a chat that left its team can join another one", () => {
+    const { teams, team } = setupTeam();
+    removeMember(team, ATHLETE);
+    assert.strictEqual(findChatTeam(teams, team.id, ATHLETE), null);
+    const other = createTeam(teams, 10, "other coach", "Other club");
+    const joined = joinTeam(teams, other.inviteCode, ATHLETE, "athlete", team.id);
+    assert.strictEqual(joined.status, JOIN_JOINED);
+    assert.strictEqual(joined.team, other);
+});
+
+test("the coach sees every result, an athlete only their own", () => {
+    const { team } = setupTeam();
+    assert.deepStrictEqual(
+        getVisibleResults(team, COACH).map(({ index }) => index),
+        [0, 1]
+    );
+    const visible = getVisibleResults(team, ATHLETE);
+    assert.deepStrictEqual(visible.map(({ index }) => index), [0]);
+    assert.strictEqual(visible[0].result.submittedBy, ATHLETE);
+});
+
+test("an athlete can only edit their own results", () => {
+    const { team } = setupTeam();
+    const [own, other] = team.results;
+    assert.ok(canAccessResult(team, COACH, own));
+    assert.ok(canAccessResult(team, COACH, other));
+    assert.ok(canAccessResult(team, ATHLETE, own));
+    assert.ok(!canAccessResult(team, ATHLETE, other));
+});
+
+test("a history edit updates the team copy of the result", () => {
+    const { team } = setupTeam();
+    const edited = { ...result("athlete", "t1"), time: 410 };
+    assert.ok(updateTeamResult(team, ATHLETE, "t1", edited));
+    assert.strictEqual(team.results[0].time, 410);
+    assert.strictEqual(team.results[0].submittedBy, ATHLETE);
+    assert.strictEqual(team.results[1].time, 420);
+});
+
+test("a history delete removes the team copy of the result", () => {
+    const { team } = setupTeam();
+    assert.ok(updateTeamResult(team, ATHLETE, "t1", null));
+    assert.deepStrictEqual(team.results.map((r) => r.submittedBy), [OTHER_ATHLETE]);
+});
+
+test("history changes never touch another member's result", () => {
+    const { team } = setupTeam();
+    assert.ok(!updateTeamResult(team, ATHLETE, "t2", null));
+    assert.strictEqual(team.results.length, 2);
+});
@@ -1,40 +1,72 @@
 // Вспомогательные функции для работы с временем и расчетами
+import { scaleModelTime, SCALING_LINEAR } from "./distanceScaling"
 
-export function parseTimeToSeconds(timeStr) {
-    try {
-        // Handle format MM:SS.ss
-        if (timeStr.includes(":")) {
-            const [minutes, seconds] = timeStr.split(":").map(Number)
-            if (isNaN(minutes) || isNaN(seconds)) {
-                return 0
-            }
-            return minutes * 60 + seconds
-        }
-        // Handle format MM.SS.ss (minutes.seconds.hundredths)
-        if (timeStr.split(".").length === 3) {
-            const parts = timeStr.split(".")
-            const minutes = parseInt(parts[0])
-            const seconds = parseFloat(parts[1] + "." + parts[2])
-            if (isNaN(minutes) || isNaN(seconds)) {
-                return 0
-            }
-            return minutes * 60 + seconds
-        }
-        // Handle format SS.ss - normalize decimal places
-        const seconds = parseFloat(timeStr)
-        if (isNaN(seconds)) {
-            return 0
-        }
-        return Math.round(seconds * 100) / 100
-    } catch (error) {
-        return 0
+// Ошибки разбора времени: код ошибки и текст для пользователя
+export const TIME_ERROR_FORMAT = "format"
+export const TIME_ERROR_SECONDS = "seconds"
+export const TIME_ERROR_MINUTES = "minutes"
+export const TIME_ERROR_RANGE = "range"
+
+// Допустимое время результата, секунды
+export const MIN_TIME = 10
+export const MAX_TIME = 3 * 3600
+
+export const timeErrorMessages = {
+    [TIME_ERROR_FORMAT]:
+        "Неверный формат времени. Примеры: 45.5, 7:45.55, 7:45,5, 1:02:15.3, 7.45.55",
+    [TIME_ERROR_SECONDS]: "Секунды должны быть от 00 до 59",
+    [TIME_ERROR_MINUTES]: "В формате Ч:ММ:СС минуты должны быть от 00 до 59",
+    [TIME_ERROR_RANGE]: `Время должно быть от ${MIN_TIME} секунд до ${MAX_TIME / 3600} часов`,
+}
+
+// Ч:ММ:СС.с, М:СС.сс, СС.с; секундомер: 7'45"5, 7.45.55, 1.02.15.3
+const TIME_PATTERNS = [
+    /^(?:(\d+):(\d{2}):|(\d+):)(\d{2})(?:\.(\d{1,3}))?$/,
+    /^(?:(\d+)\.(\d{2})\.|(\d+)\.)(\d{2})\.(\d{1,3})$/,
+]
+
+// Разбор времени: { seconds } или { error } с кодом TIME_ERROR_*
+export function parseTime(timeStr) {
+    const text = String(timeStr ?? "")
+        .trim()
+        .replace(/[’′']/g, ":")
+        .replace(/[″"]/g, ".")
+        .replace(/,/g, ".")
+
+    let hours = 0
+    let minutes = 0
+    let seconds
+    const secondsOnly = text.match(/^(\d+)(?:\.(\d{1,3}))?$/)
+    if (secondsOnly) {
+        seconds = parseFloat(text)
+    } else {
+        const match = TIME_PATTERNS.map((pattern) => text.match(pattern)).find(Boolean)
+        if (!match) return { error: TIME_ERROR_FORMAT }
+        const [, h, mWithHours, mOnly, s, fraction] = match
+        hours = h ? parseInt(h) : 0
+        minutes = parseInt(h ? mWithHours : mOnly)
+        seconds = parseFloat(`${s}.${fraction || 0}`)
+        if (seconds >= 60) return { error: TIME_ERROR_SECONDS }
+        if (h && minutes >= 60) return { error: TIME_ERROR_MINUTES }
     }
+
+    const total = Math.round((hours * 3600 + minutes * 60 + seconds) * 1000) / 1000
+    if (total < MIN_TIME || total > MAX_TIME) return { error: TIME_ERROR_RANGE }
+    return { seconds: total }
+}
+
+// Секунды или 0, если время не разобрано (для сохранённых результатов)
+export function parseTimeToSeconds(timeStr) {
+    const { seconds, error } = parseTime(timeStr)
+    return error ? 0 : seconds
 }
 
 export function formatTime(seconds) {
     try {
-        const minutes = Math.floor(seconds / 60)
-        const remainingSeconds = (seconds % 60).toFixed(2)
+        // Округление до сотых сразу, чтобы не получить "7:60.00"
+        const rounded = Math.round(seconds * 100) / 100
+        const minutes = Math.floor(rounded / 60)
+        const remainingSeconds = (rounded - minutes * 60).toFixed(2)
         return `${minutes}:${remainingSeconds.padStart(5, "0")}`
     } catch (error) {
         return "0:00.00"
@@ -50,9 +82,99 @@ export function avg(arr) {
     }
 }
 
-export function calculateModelPercentage(baseModelTime, distance, userTime) {
+export function calculateModelPercentage(
+    baseModelTime,
+    distance,
+    userTime,
+    boatClass,
+    scaling = SCALING_LINEAR
+) {
     if (!baseModelTime || !distance || !userTime) return 0;
-    const modelSpeed = 2000 / baseModelTime;
-    const userSpeed = distance / userTime;
-    return (userSpeed / modelSpeed) * 100;
-} 
\ No newline at end of file
+    const modelTime = scaleModelTime(baseModelTime, distance, boatClass, scaling);
+    return (modelTime / userTime) * 100;
+} 
+
+// Время на дистанции, соответствующее заданному проценту от модели
+export function calculateTargetTime(
+    baseModelTime,
+    distance,
+    percentage,
+    boatClass,
+    scaling = SCALING_LINEAR
+) {
+    if (!baseModelTime || !distance || !percentage) return 0;
+    const modelTime = scaleModelTime(baseModelTime, distance, boatClass, scaling);
+    return modelTime / (percentage / 100);
+}
+
+// Средний темп на 500м
+export function calculateSplit(seconds, distance) {
+    if (!seconds || !distance) return 0;
+    return (seconds / distance) * 500;
+}
+
+// Средняя скорость в м/с
+export function calculateSpeed(seconds, distance) {
+    if (!seconds || !distance) return 0;
+    return distance / seconds;
+}
+
+// Модельный темп на 500м для дистанции
+export function calculateModelSplit(
+    baseModelTime,
+    distance,
+    boatClass,
+    scaling = SCALING_LINEAR
+) {
+    const modelTime = scaleModelTime(baseModelTime, distance, boatClass, scaling);
+    return calculateSplit(modelTime, distance);
+}
+
+// Разница в секундах со знаком, например "+1.20" или "-0.85"
+export function formatDelta(seconds) {
+    const sign = seconds > 0 ? "+" : seconds < 0 ? "-" : "±";
+    return `${sign}${Math.abs(seconds).toFixed(2)}`;
+}
+
+// Таблица целевых времён и темпа для диапазона процентов
+export function buildTargetTable(
+    baseModelTime,
+    distance,
+    boatClass,
+    scaling = SCALING_LINEAR,
+    from = 85,
+    to = 105,
+    step = 1
+) {
+    const rows = [];
+    for (let percentage = from; percentage <= to; percentage += step) {
+        const time = calculateTargetTime(
+            baseModelTime,
+            distance,
+            percentage,
+            boatClass,
+            scaling
+        );
+        rows.push({ percentage, time, split: calculateSplit(time, distance) });
+    }
+    return rows;
+}
+
+// Мощность по темпу на 500м (формула Concept2: Вт = 2.80 / (темп / 500)^3)
+export function splitToWatts(split) {
+    if (!split) return 0;
+    return 2.8 / Math.pow(split / 500, 3);
+}
+
+// Темп на 500м по мощности
+export function wattsToSplit(watts) {
+    if (!watts) return 0;
+    return 500 * Math.cbrt(2.8 / watts);
+}
+
+// Время с поправкой на вес Concept2: (вес в фунтах / 270)^0.222 * время
+export function calculateWeightAdjustedTime(seconds, weightKg) {
+    if (!seconds || !weightKg) return 0;
+    const weightLb = weightKg * 2.20462;
+    return Math.pow(weightLb / 270, 0.222) * seconds;
+}
\ No newline at end of file
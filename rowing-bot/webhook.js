@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+
+// Webhook mode: Telegram POSTs every update to WEBHOOK_PATH on the bot's
+// Express server with the secret from setWebHook in a header. Locally the
+// route can be fed recorded updates:
+// curl -X POST -H "Content-Type: application/json" \
+//   -H "X-Telegram-Bot-Api-Secret-Token: $WEBHOOK_SECRET" \
+//   -d @update.json http://localhost:3000/telegram/webhook
+
+const MODE_WEBHOOK = "webhook";
+const MODE_POLLING = "polling";
+
+const DEFAULT_WEBHOOK_PATH = "/telegram/webhook";
+const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+
+// Telegram accepts 1-256 characters A-Z, a-z, 0-9, _ and -
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+// BOT_MODE picks the mode; without it a WEBHOOK_URL means webhook mode
+function getWebhookConfig(env = process.env) {
+    const mode = (env.BOT_MODE || (env.WEBHOOK_URL ? MODE_WEBHOOK : MODE_POLLING)).toLowerCase();
+    return {
+        mode,
+        url: env.WEBHOOK_URL ? env.WEBHOOK_URL.replace(/\/+$/, "") : null,
+        path: env.WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH,
+        secret: env.WEBHOOK_SECRET || "",
+    };
+}
+
+// Constant-time comparison, so the secret cannot be guessed by timing
+function isValidSecret(received, secret) {
+    if (typeof received !== "string") return false;
+    const a = Buffer.from(received);
+    const b = Buffer.from(secret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express handler: checks the secret and passes the update to the bot.
+// Telegram only needs a quick 200; the bot answers through the API.
+function createWebhookHandler(bot, secret, logger) {
+    return (req, res) => {
+        if (!isValidSecret(req.get(SECRET_HEADER), secret)) {
+            logger && logger.warn(`Webhook request with a wrong secret token from ${req.ip}`);
+            res.sendStatus(401);
+            return;
+        }
+        const update = req.body;
+        if (!update || typeof update.update_id !== "number") {
+            logger && logger.warn("Webhook request without an update");
+            res.sendStatus(400);
+            return;
+        }
+        try {
+            bot.processUpdate(update);
+        } catch (error) {
+            logger && logger.error(`Error processing update ${update.update_id}: ${error.message}`);
+        }
+        res.sendStatus(200);
+    };
+}
+
+module.exports = {
+    getWebhookConfig,
+    createWebhookHandler,
+    MODE_WEBHOOK,
+    MODE_POLLING,
+    SECRET_PATTERN,
+};
@@ -0,0 +1,62 @@
+// Стабильность и «усталость» спортсмена по серии отрезков
+//
+// На вход — проценты от модели в порядке отрезков (пустые пропускаются).
+// Индекс усталости — разница последнего и первого отрезка в процентных
+// пунктах: отрицательный — к концу серии спортсмен «подсел».
+// Тренд — наклон прямой по всем отрезкам, п.п. на отрезок.
+import { avg } from "./utils"
+
+export const TREND_UP = "up"
+export const TREND_DOWN = "down"
+export const TREND_FLAT = "flat"
+
+export const trendLabels = {
+    [TREND_UP]: "рост",
+    [TREND_DOWN]: "спад",
+    [TREND_FLAT]: "ровно",
+}
+
+// Наклон меньше порога по модулю считается ровной серией
+export const TREND_THRESHOLD = 0.1
+
+function linearSlope(values) {
+    const xs = values.map((_, i) => i)
+    const meanX = avg(xs)
+    const meanY = avg(values)
+    const numerator = xs.reduce((sum, x, i) => sum + (x - meanX) * (values[i] - meanY), 0)
+    const denominator = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0)
+    return denominator ? numerator / denominator : 0
+}
+
+function getTrend(slope) {
+    if (slope > TREND_THRESHOLD) return TREND_UP
+    if (slope < -TREND_THRESHOLD) return TREND_DOWN
+    return TREND_FLAT
+}
+
+// Возвращает null, если нет ни одного отрезка; номера отрезков с 1
+export function analyzeSegments(percentages) {
+    const pieces = percentages
+        .map((percentage, i) => ({ piece: i + 1, percentage }))
+        .filter((p) => p.percentage != null && isFinite(p.percentage))
+    if (pieces.length === 0) return null
+
+    const values = pieces.map((p) => p.percentage)
+    const mean = avg(values)
+    const best = pieces.reduce((a, b) => (b.percentage > a.percentage ? b : a))
+    const worst = pieces.reduce((a, b) => (b.percentage < a.percentage ? b : a))
+    const hasSeries = pieces.length > 1
+    const slope = hasSeries ? linearSlope(values) : null
+
+    return {
+        count: pieces.length,
+        best,
+        worst,
+        stdDev: hasSeries
+            ? Math.sqrt(avg(values.map((v) => (v - mean) ** 2)))
+            : null,
+        fadeIndex: hasSeries ? values[values.length - 1] - values[0] : null,
+        slope,
+        trend: hasSeries ? getTrend(slope) : null,
+    }
+}
@@ -0,0 +1,60 @@
+// Классы лодок и категории, в которых они разыгрываются
+//
+// Список классов задаёт порядок кнопок и пунктов меню. Какие классы доступны
+// в категории, определяет таблица модели: показываются только те, для
+// которых в ней есть модельное время.
+import { mastersOpenCategories } from "./masters"
+
+export const olympicBoatClasses = [
+    "1х",
+    "1х л/в",
+    "2-",
+    "2- л/в",
+    "2+",
+    "2х",
+    "2х л/в",
+    "4-",
+    "4х",
+    "4х л/в",
+    "4+",
+    "8+",
+    "8+ л/в",
+]
+
+// Прибрежная гребля (coastal)
+export const coastalBoatClasses = ["C1х", "C2х", "C4х+"]
+
+// Пара-гребля: PR1 — одиночка, PR2 — одиночка и смешанная двойка,
+// PR3 — двойки и смешанная четвёрка с рулевым
+export const paraBoatClasses = [
+    "PR1 1х",
+    "PR2 1х",
+    "PR2 2х",
+    "PR3 2-",
+    "PR3 2х",
+    "PR3 4+",
+]
+
+export const PARA_MEN = "Пара мужчины"
+export const PARA_WOMEN = "Пара женщины"
+export const PARA_MIXED = "Пара смешанные"
+
+export const paraCategories = [PARA_MEN, PARA_WOMEN, PARA_MIXED]
+
+export const allBoatClasses = [
+    ...olympicBoatClasses,
+    ...coastalBoatClasses,
+    ...paraBoatClasses,
+]
+
+// Классы лодок категории по таблице модели; у мастерс — как у открытой
+// категории. Неизвестные списку классы (свои модели) идут в конце.
+export function getCategoryBoatClasses(times, category) {
+    const boats = times[category] || times[mastersOpenCategories[category]]
+    if (!boats) return []
+    const known = allBoatClasses.filter((boat) => boats[boat])
+    const other = Object.keys(boats).filter(
+        (boat) => boats[boat] && !allBoatClasses.includes(boat)
+    )
+    return [...known, ...other]
+}
@@ -0,0 +1,51 @@
+// Экипаж из спортсменов: прогноз результата по их процентам от модели
+//
+// Процент экипажа — средний процент его гребцов (по одиночке или эргометру).
+// Прогнозное время — время, которое даёт этот процент от модели выбранного
+// класса лодки. Места (от носа к корме) на прогноз не влияют и нужны для
+// протокола.
+import { avg, calculateTargetTime, calculateSplit, calculateModelPercentage } from "./utils"
+
+// Число гребцов по классу лодки: "4х" → 4, "C2х" → 2, "PR3 4+" → 4
+export function getCrewSize(boatClass) {
+    const match = String(boatClass).match(/(\d)[^\d]*$/)
+    return match ? parseInt(match[1]) : 1
+}
+
+export function isCrewBoat(boatClass) {
+    return getCrewSize(boatClass) > 1
+}
+
+// members: [{ name, percentage }] по местам
+export function predictCrew(members, baseModelTime, distance, boatClass, scaling) {
+    const percentage = avg(members.map((m) => m.percentage))
+    const time = calculateTargetTime(baseModelTime, distance, percentage, boatClass, scaling)
+    return {
+        percentage,
+        time,
+        split: calculateSplit(time, distance),
+    }
+}
+
+// Фактический результат экипажа против прогноза
+export function compareCrewResult(
+    prediction,
+    actualSeconds,
+    baseModelTime,
+    distance,
+    boatClass,
+    scaling
+) {
+    const percentage = calculateModelPercentage(
+        baseModelTime,
+        distance,
+        actualSeconds,
+        boatClass,
+        scaling
+    )
+    return {
+        percentage,
+        percentageDelta: percentage - prediction.percentage,
+        timeDelta: actualSeconds - prediction.time,
+    }
+}
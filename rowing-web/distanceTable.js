@@ -8,8 +8,37 @@ export const distances = [
     "1750м",
     "2000м",
     "2500м",
+    "3000м",
+    "5000м",
+    "6000м",
 ]
 
+// Допустимые границы произвольной дистанции, м
+export const MIN_DISTANCE = 100
+export const MAX_DISTANCE = 12000
+
 export function getDistance(distanceStr) {
     return parseInt(distanceStr.replace("м", ""))
 }
+
+export function isValidDistance(distance) {
+    return (
+        Number.isInteger(distance) &&
+        distance >= MIN_DISTANCE &&
+        distance <= MAX_DISTANCE
+    )
+}
+
+// Произвольная дистанция: "5000", "5000м", "5000 m", "5 км", "5,5km".
+// Возвращает метры или null, если строка не разобрана или вне границ.
+export function parseDistance(text) {
+    const match = String(text)
+        .trim()
+        .toLowerCase()
+        .match(/^(\d+(?:[.,]\d+)?)\s*(м|m|км|km)?$/)
+    if (!match) return null
+    const value = parseFloat(match[1].replace(",", "."))
+    const isKm = match[2] === "км" || match[2] === "km"
+    const distance = Math.round(isKm ? value * 1000 : value)
+    return isValidDistance(distance) ? distance : null
+}
@@ -0,0 +1,63 @@
+// Рейтинг спортсменов разных категорий по проценту от модели
+//
+// Процент от модели уже учитывает категорию, класс лодки и дистанцию,
+// поэтому юниоров, женщин и легковесов можно ранжировать вместе.
+// Место — по среднему проценту, при равенстве — по лучшему отрезку.
+
+// results: [{ name, category, boat, distance, percentage }]
+// filters: { category, boat, distance } — пустые значения не фильтруют
+export function filterResults(results, filters = {}) {
+    return results.filter(
+        (r) =>
+            r.percentage != null &&
+            isFinite(r.percentage) &&
+            (!filters.category || r.category === filters.category) &&
+            (!filters.boat || r.boat === filters.boat) &&
+            (!filters.distance || r.distance === Number(filters.distance))
+    )
+}
+
+export function compareLeaderboardRows(a, b) {
+    return b.average - a.average || b.best - a.best
+}
+
+// Возвращает [{ rank, name, categories, boats, count, average, best }]
+export function buildLeaderboard(results, filters) {
+    const byName = new Map()
+    filterResults(results, filters).forEach((r) => {
+        if (!byName.has(r.name)) {
+            byName.set(r.name, { name: r.name, categories: [], boats: [], percentages: [] })
+        }
+        const row = byName.get(r.name)
+        if (!row.categories.includes(r.category)) row.categories.push(r.category)
+        if (!row.boats.includes(r.boat)) row.boats.push(r.boat)
+        row.percentages.push(r.percentage)
+    })
+
+    const rows = [...byName.values()]
+        .map(({ percentages, ...row }) => ({
+            ...row,
+            count: percentages.length,
+            average: percentages.reduce((a, b) => a + b, 0) / percentages.length,
+            best: Math.max(...percentages),
+        }))
+        .sort(compareLeaderboardRows)
+
+    // Одинаковые средний и лучший проценты делят место
+    rows.forEach((row, i) => {
+        const previous = rows[i - 1]
+        row.rank =
+            previous && compareLeaderboardRows(previous, row) === 0 ? previous.rank : i + 1
+    })
+    return rows
+}
+
+// Значения для фильтров из самих результатов
+export function getLeaderboardFilters(results) {
+    const unique = (values) => [...new Set(values)]
+    return {
+        categories: unique(results.map((r) => r.category)),
+        boats: unique(results.map((r) => r.boat)),
+        distances: unique(results.map((r) => r.distance)).sort((a, b) => a - b),
+    }
+}
@@ -0,0 +1,166 @@
+// Пользовательские таблицы модельного времени из JSON или CSV
+//
+// JSON: { "name": "Клубная модель", "times": { "Мужчина": { "1х": 405, "2х": "6:12.5" } } }
+//       Необязательно: "version", "effectiveFrom", "effectiveTo" (ГГГГ-ММ-ДД);
+//       файлы с одним названием и разными версиями образуют историю модели.
+// CSV:  первая строка — "Категория" и классы лодок, далее строка на категорию:
+//       Категория;1х;2х
+//       Мужчина;6:45.0;6:12.5
+// Время — секунды на 2000м или строка М:СС.сс; пустые ячейки пропускаются.
+import { parseTimeToSeconds } from "./utils"
+import { scaleModelTime, SCALING_LINEAR } from "./distanceScaling"
+import {
+    DEFAULT_VERSION,
+    DEFAULT_EFFECTIVE_FROM,
+    isValidEffectiveDate,
+} from "./modelVersions"
+
+export const MIN_MODEL_TIME = 60
+export const MAX_MODEL_TIME = 1200
+
+function toSeconds(value) {
+    if (typeof value === "number") return value
+    if (typeof value !== "string") return NaN
+    const trimmed = value.trim()
+    if (!trimmed) return NaN
+    // Десятичная запятая в CSV: 6:45,5
+    return parseTimeToSeconds(trimmed.replace(",", ".")) || NaN
+}
+
+// Проверка формы таблицы: категория → класс лодки → время 2000м в секундах
+export function validateModelTable(times) {
+    const errors = []
+    if (!times || typeof times !== "object" || Array.isArray(times)) {
+        return ["таблица должна быть объектом «категория → класс лодки → время»"]
+    }
+    const categories = Object.keys(times)
+    if (categories.length === 0) {
+        errors.push("в таблице нет ни одной категории")
+    }
+    categories.forEach((category) => {
+        const boats = times[category]
+        if (!boats || typeof boats !== "object" || Array.isArray(boats)) {
+            errors.push(`категория «${category}»: ожидается объект классов лодок`)
+            return
+        }
+        if (Object.keys(boats).length === 0) {
+            errors.push(`категория «${category}»: нет ни одного класса лодки`)
+        }
+        Object.entries(boats).forEach(([boat, time]) => {
+            if (
+                typeof time !== "number" ||
+                !isFinite(time) ||
+                time < MIN_MODEL_TIME ||
+                time > MAX_MODEL_TIME
+            ) {
+                errors.push(
+                    `${category}, ${boat}: время должно быть от ${MIN_MODEL_TIME} до ${MAX_MODEL_TIME} секунд`
+                )
+            }
+        })
+    })
+    return errors
+}
+
+function normalizeTimes(rawTimes) {
+    if (!rawTimes || typeof rawTimes !== "object" || Array.isArray(rawTimes)) {
+        return rawTimes
+    }
+    const times = {}
+    Object.entries(rawTimes).forEach(([category, boats]) => {
+        if (!boats || typeof boats !== "object" || Array.isArray(boats)) {
+            times[category] = boats
+            return
+        }
+        times[category] = {}
+        Object.entries(boats).forEach(([boat, value]) => {
+            times[category][boat] = toSeconds(value)
+        })
+    })
+    return times
+}
+
+function checked(name, times, meta = {}) {
+    const errors = validateModelTable(times)
+    if (!name || typeof name !== "string" || !name.trim()) {
+        errors.unshift("не указано название модели")
+    }
+    const {
+        version = DEFAULT_VERSION,
+        effectiveFrom = DEFAULT_EFFECTIVE_FROM,
+        effectiveTo = null,
+    } = meta
+    if (!isValidEffectiveDate(effectiveFrom)) {
+        errors.push("effectiveFrom должна быть датой ГГГГ-ММ-ДД")
+    }
+    if (effectiveTo != null && !isValidEffectiveDate(effectiveTo)) {
+        errors.push("effectiveTo должна быть датой ГГГГ-ММ-ДД или null")
+    } else if (effectiveTo != null && effectiveTo < effectiveFrom) {
+        errors.push("effectiveTo раньше effectiveFrom")
+    }
+    if (errors.length > 0) {
+        throw new Error(`Модель «${name || "?"}»: ${errors.join("; ")}`)
+    }
+    return {
+        name: name.trim(),
+        version: String(version),
+        effectiveFrom,
+        effectiveTo,
+        times,
+    }
+}
+
+export function parseModelTableJSON(text) {
+    let data
+    try {
+        data = JSON.parse(text)
+    } catch (error) {
+        throw new Error(`Некорректный JSON: ${error.message}`)
+    }
+    return checked(data && data.name, normalizeTimes(data && data.times), {
+        version: data && data.version,
+        effectiveFrom: data && data.effectiveFrom,
+        effectiveTo: data && data.effectiveTo,
+    })
+}
+
+export function parseModelTableCSV(text, name) {
+    const lines = text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+    if (lines.length < 2) {
+        throw new Error(`Модель «${name}»: нужна строка заголовка и хотя бы одна категория`)
+    }
+    // Разделитель ";" (Excel) или ","
+    const separator = lines[0].includes(";") ? ";" : ","
+    const [, ...boats] = lines[0].split(separator).map((cell) => cell.trim())
+    const times = {}
+    lines.slice(1).forEach((line) => {
+        const [category, ...cells] = line.split(separator).map((cell) => cell.trim())
+        times[category] = {}
+        boats.forEach((boat, i) => {
+            if (cells[i]) {
+                times[category][boat] = toSeconds(cells[i])
+            }
+        })
+    })
+    return checked(name, times)
+}
+
+export function getModelTimeFromTable(
+    times,
+    ageCategory,
+    distance,
+    boatClass,
+    scaling = SCALING_LINEAR
+) {
+    if (!times[ageCategory] || !times[ageCategory][boatClass]) {
+        throw new Error("Invalid category or boat class")
+    }
+
+    const baseModelTime = times[ageCategory][boatClass]
+
+    // Recalculate model time for the distance using the selected scaling
+    return scaleModelTime(baseModelTime, distance, boatClass, scaling)
+}
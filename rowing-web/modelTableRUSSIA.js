@@ -1,3 +1,6 @@
+import { scaleModelTime, SCALING_LINEAR } from "./distanceScaling"
+import { DEFAULT_VERSION, DEFAULT_EFFECTIVE_FROM } from "./modelVersions"
+
 export const modelTimesRUSSIA = {
     Мужчина: {
         "1х": 397, // Одиночка надо менять
@@ -11,6 +14,12 @@ export const modelTimesRUSSIA = {
         "4х л/в": 344, // Четверка парная легкий вес
         "4+": 358, // Четверка с рулевым
         "8+": 322, // Восьмерка с рулевым
+        "2+": 401, // Двойка с рулевым
+        "8+ л/в": 337, // Восьмерка с рулевым легкий вес
+        // Прибрежная гребля: оценка по классическим лодкам, уточняйте по своим данным
+        "C1х": 465, // Прибрежная одиночка
+        "C2х": 429, // Прибрежная двойка парная
+        "C4х+": 404, // Прибрежная четверка парная с рулевым
     },
     Женщины: {
         "1х": 435,
@@ -24,6 +33,9 @@ export const modelTimesRUSSIA = {
         "4х л/в": 392,
         "4+": 418,
         "8+": 359,
+        "C1х": 510,
+        "C2х": 474,
+        "C4х+": 447,
     },
     "Юниоры до 23": {
         "1х": 404,
@@ -96,9 +108,35 @@ export const modelTimesRUSSIA = {
         "4-": 442,
         "4х": 434,
     },
+    // Пара-гребля (2000м)
+    "Пара мужчины": {
+        "PR1 1х": 564,
+        "PR2 1х": 520,
+        "PR3 2-": 428,
+    },
+    "Пара женщины": {
+        "PR1 1х": 624,
+        "PR2 1х": 576,
+        "PR3 2-": 479,
+    },
+    "Пара смешанные": {
+        "PR2 2х": 484,
+        "PR3 2х": 446,
+        "PR3 4+": 417,
+    },
 }
 
-export function getModelTime(ageCategory, distance, boatClass, actualTime) {
+// Версии модели (см. modelVersions.js); modelTimesRUSSIA — действующая
+export const modelVersionsRUSSIA = [
+    {
+        version: DEFAULT_VERSION,
+        effectiveFrom: DEFAULT_EFFECTIVE_FROM,
+        effectiveTo: null,
+        times: modelTimesRUSSIA,
+    },
+]
+
+export function getModelTime(ageCategory, distance, boatClass, scaling = SCALING_LINEAR) {
     const categoryMap = {
         "Юноши до 19": "Юноши до 19",
         "Девушки до 19": "Девушки до 19",
@@ -122,11 +160,7 @@ export function getModelTime(ageCategory, distance, boatClass, actualTime) {
     }
 
     const baseModelTime = modelTimesRUSSIA[modelCategory][boatClass]
-    
-    // Recalculate model time based on average speed
-    const modelSpeed = 2000 / baseModelTime;
-    const modelTime = distance / modelSpeed;
-
-    return modelTime
-}
 
+    // Recalculate model time for the distance using the selected scaling
+    return scaleModelTime(baseModelTime, distance, boatClass, scaling)
+}
\ No newline at end of file
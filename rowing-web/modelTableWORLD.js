@@ -1,3 +1,6 @@
+import { scaleModelTime, SCALING_LINEAR } from "./distanceScaling"
+import { DEFAULT_VERSION, DEFAULT_EFFECTIVE_FROM } from "./modelVersions"
+
 export const modelTimesWORLD = {
     Мужчина: {
         "1х": 390.74, // Одиночка
@@ -11,6 +14,12 @@ export const modelTimesWORLD = {
         "4х л/в": 342.75, // Четверка парная легкий вес
         "4+": 358.96, // Четверка с рулевым
         "8+": 318.68, // Восьмерка с рулевым
+        "2+": 393.26, // Двойка с рулевым
+        "8+ л/в": 330.24, // Восьмерка с рулевым легкий вес
+        // Прибрежная гребля: оценка по классическим лодкам, уточняйте по своим данным
+        "C1х": 457, // Прибрежная одиночка
+        "C2х": 421, // Прибрежная двойка парная
+        "C4х+": 396, // Прибрежная четверка парная с рулевым
     },
     Женщины: {
         "1х": 427.71,
@@ -24,6 +33,9 @@ export const modelTimesWORLD = {
         "4х л/в": 375.95,
         "4+": 403.86,
         "8+": 352.99,
+        "C1х": 500,
+        "C2х": 465,
+        "C4х+": 438,
     },
     "Юниоры до 23": {
         "1х": 402.97,
@@ -69,9 +81,35 @@ export const modelTimesWORLD = {
         "4+": 412.84,
         "8+": 372.16,
     },
+    // Пара-гребля (2000м); значения сверяйте с действующими лучшими временами World Rowing
+    "Пара мужчины": {
+        "PR1 1х": 553.0,
+        "PR2 1х": 510.0,
+        "PR3 2-": 420.0,
+    },
+    "Пара женщины": {
+        "PR1 1х": 612.0,
+        "PR2 1х": 565.0,
+        "PR3 2-": 470.0,
+    },
+    "Пара смешанные": {
+        "PR2 2х": 475.0,
+        "PR3 2х": 437.0,
+        "PR3 4+": 409.0,
+    },
 }
 
-export function getModelTime(ageCategory, distance, boatClass, actualTime) {
+// Версии модели (см. modelVersions.js); modelTimesWORLD — действующая
+export const modelVersionsWORLD = [
+    {
+        version: DEFAULT_VERSION,
+        effectiveFrom: DEFAULT_EFFECTIVE_FROM,
+        effectiveTo: null,
+        times: modelTimesWORLD,
+    },
+]
+
+export function getModelTime(ageCategory, distance, boatClass, scaling = SCALING_LINEAR) {
     const categoryMap = {
         "Юноши до 19": "Юноши до 19",
         "Девушки до 19": "Девушки до 19",
@@ -92,10 +130,6 @@ export function getModelTime(ageCategory, distance, boatClass, actualTime) {
 
     const baseModelTime = modelTimesWORLD[modelCategory][boatClass]
 
-    // Recalculate model time based on average speed
-    const modelSpeed = 2000 / baseModelTime;
-    const modelTime = distance / modelSpeed;
-
-    return modelTime
-}
-
+    // Recalculate model time for the distance using the selected scaling
+    return scaleModelTime(baseModelTime, distance, boatClass, scaling)
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+// Прогноз результата на 2000м по отрезкам на других дистанциях
+//
+// Риггель: T2000 = T * (2000 / d)^k, k задаётся (по умолчанию 1.06).
+// Закон Пола: темп на 500м растёт на заданное число секунд (обычно 5)
+// при каждом удвоении дистанции.
+// По нескольким отрезкам прогноз — среднее, диапазон — от лучшего до худшего.
+import { avg, calculateSplit } from "./utils"
+
+export const PREDICTION_RIEGEL = "riegel"
+export const PREDICTION_PAUL = "paul"
+
+export const predictionMethods = {
+    [PREDICTION_RIEGEL]: "Риггель (степенной)",
+    [PREDICTION_PAUL]: "Закон Пола (темп на удвоение)",
+}
+
+export const PREDICTION_DISTANCE = 2000
+export const DEFAULT_RIEGEL_EXPONENT = 1.06
+export const DEFAULT_PAUL_SECONDS = 5
+
+// Значение параметра по умолчанию для метода
+export function getDefaultPredictionParameter(method) {
+    return method === PREDICTION_PAUL ? DEFAULT_PAUL_SECONDS : DEFAULT_RIEGEL_EXPONENT
+}
+
+// Время на 2000м по одному отрезку
+export function predictTime(
+    seconds,
+    distance,
+    method = PREDICTION_RIEGEL,
+    parameter = getDefaultPredictionParameter(method)
+) {
+    if (!seconds || !distance) return 0
+    if (method === PREDICTION_PAUL) {
+        const split =
+            calculateSplit(seconds, distance) +
+            parameter * Math.log2(PREDICTION_DISTANCE / distance)
+        return (split * PREDICTION_DISTANCE) / 500
+    }
+    return seconds * Math.pow(PREDICTION_DISTANCE / distance, parameter)
+}
+
+// pieces: [{ distance, seconds }]
+// Возвращает { time, min, max, pieces: [{ distance, seconds, predicted }] }
+export function predict2000(pieces, method = PREDICTION_RIEGEL, parameter) {
+    const predicted = pieces
+        .filter((p) => p.seconds > 0 && p.distance > 0)
+        .map((p) => ({
+            ...p,
+            predicted: predictTime(p.seconds, p.distance, method, parameter),
+        }))
+    if (predicted.length === 0) return null
+    const times = predicted.map((p) => p.predicted)
+    return {
+        time: avg(times),
+        min: Math.min(...times),
+        max: Math.max(...times),
+        pieces: predicted,
+    }
+}
@@ -0,0 +1,175 @@
+// Прогресс спортсмена: процент от модели по датам во всех сессиях.
+// results — сохранённые результаты бота или веба:
+// { name, timestamp, distance, boatClass, time, modelPercentage }
+// График строится в SVG: веб показывает его как есть, бот переводит в PNG.
+
+const seriesColors = ["#4f8cff", "#ff7f50", "#2ecc71", "#9b59b6", "#e1a800", "#e74c3c", "#1abc9c", "#34495e"]
+
+export function getAthleteResults(results, name) {
+    const key = name.trim().toLowerCase()
+    return results.filter((r) => r.name && r.name.trim().toLowerCase() === key)
+}
+
+// Точки графика по времени: [{ date, percentage, distance, boatClass, time }]
+// filters: { distance, boatClass } — пустые значения не фильтруют
+export function getProgressPoints(results, filters = {}) {
+    return results
+        .map((r) => ({
+            date: new Date(r.timestamp),
+            percentage: parseFloat(r.modelPercentage),
+            distance: Number(r.distance),
+            boatClass: r.boatClass,
+            time: r.time,
+        }))
+        .filter(
+            (p) =>
+                isFinite(p.percentage) &&
+                !isNaN(p.date.getTime()) &&
+                (!filters.distance || p.distance === Number(filters.distance)) &&
+                (!filters.boatClass || p.boatClass === filters.boatClass)
+        )
+        .sort((a, b) => a.date - b.date)
+}
+
+// Дистанции и классы лодок, которые есть в результатах
+export function getProgressFilters(results) {
+    const points = getProgressPoints(results)
+    return {
+        distances: [...new Set(points.map((p) => p.distance))].sort((a, b) => a - b),
+        boats: [...new Set(points.map((p) => p.boatClass))],
+    }
+}
+
+// { count, first, last, best, change } или null без точек; change — в п.п.
+export function summarizeProgress(points) {
+    if (points.length === 0) return null
+    const first = points[0]
+    const last = points[points.length - 1]
+    const best = points.reduce((a, b) => (b.percentage > a.percentage ? b : a))
+    return { count: points.length, first, last, best, change: last.percentage - first.percentage }
+}
+
+// Отдельная линия для каждой пары дистанция + класс лодки
+function groupSeries(points) {
+    const series = new Map()
+    points.forEach((p) => {
+        const key = `${p.distance}|${p.boatClass}`
+        if (!series.has(key)) {
+            series.set(key, { distance: p.distance, boatClass: p.boatClass, points: [] })
+        }
+        series.get(key).points.push(p)
+    })
+    return [...series.values()]
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+}
+
+function niceStep(range) {
+    return [0.5, 1, 2, 5, 10, 20, 50].find((step) => range / step <= 6) || 100
+}
+
+function formatChartDate(date) {
+    const pad = (n) => String(n).padStart(2, "0")
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${String(date.getFullYear()).slice(2)}`
+}
+
+const DAY = 24 * 60 * 60 * 1000
+const LEGEND_ITEM_WIDTH = 190
+
+// SVG-график процента от модели по датам.
+// options: { title, formatSeries(distance, boatClass), width, height, dark }
+export function renderProgressChart(points, options = {}) {
+    const {
+        title = "",
+        formatSeries = (distance, boatClass) => `${distance}м ${boatClass}`,
+        width = 800,
+        height = 450,
+        dark = false,
+    } = options
+    const colors = {
+        background: dark ? "#23272f" : "#ffffff",
+        text: dark ? "#ffffff" : "#2a3b5d",
+        grid: dark ? "#444444" : "#dbe6f6",
+    }
+    const series = groupSeries(points)
+    const legendPerRow = Math.max(1, Math.floor((width - 80) / LEGEND_ITEM_WIDTH))
+    const legendRows = Math.ceil(series.length / legendPerRow)
+    const margin = { top: 50, right: 40, bottom: 48 + legendRows * 22, left: 64 }
+    const plotWidth = width - margin.left - margin.right
+    const plotHeight = height - margin.top - margin.bottom
+
+    const percentages = points.map((p) => p.percentage)
+    const minPercentage = percentages.length ? Math.min(...percentages) : 90
+    const maxPercentage = percentages.length ? Math.max(...percentages) : 100
+    const step = niceStep(Math.max(maxPercentage - minPercentage, 1))
+    const yMin = Math.floor(minPercentage / step) * step - (minPercentage % step === 0 ? step : 0)
+    const yMax = Math.ceil(maxPercentage / step) * step + (maxPercentage % step === 0 ? step : 0)
+
+    const times = points.map((p) => p.date.getTime())
+    let tMin = times.length ? Math.min(...times) : Date.now()
+    let tMax = times.length ? Math.max(...times) : Date.now()
+    if (tMax - tMin < DAY) {
+        tMin -= DAY
+        tMax += DAY
+    }
+    // Крайние точки не прижимаются к осям
+    const padding = (tMax - tMin) * 0.04
+    tMin -= padding
+    tMax += padding
+
+    const x = (date) => margin.left + ((date.getTime() - tMin) / (tMax - tMin)) * plotWidth
+    const y = (percentage) => margin.top + ((yMax - percentage) / (yMax - yMin)) * plotHeight
+    const font = 'font-family="Segoe UI, DejaVu Sans, Arial, sans-serif"'
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="${colors.background}"/>`,
+        `<text x="${width / 2}" y="30" text-anchor="middle" ${font} font-size="18" font-weight="600" fill="${colors.text}">${escapeXml(title)}</text>`,
+    ]
+
+    for (let value = yMin; value <= yMax + step / 2; value += step) {
+        const lineY = y(value).toFixed(1)
+        parts.push(
+            `<line x1="${margin.left}" y1="${lineY}" x2="${width - margin.right}" y2="${lineY}" stroke="${colors.grid}"/>`,
+            `<text x="${margin.left - 8}" y="${lineY}" dy="4" text-anchor="end" ${font} font-size="12" fill="${colors.text}">${+value.toFixed(1)}%</text>`
+        )
+    }
+    const ticks = 5
+    for (let i = 0; i < ticks; i++) {
+        const date = new Date(tMin + ((tMax - tMin) * i) / (ticks - 1))
+        parts.push(
+            `<text x="${x(date).toFixed(1)}" y="${margin.top + plotHeight + 20}" text-anchor="middle" ${font} font-size="12" fill="${colors.text}">${formatChartDate(date)}</text>`
+        )
+    }
+    parts.push(
+        `<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="${colors.text}"/>`,
+        `<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}" stroke="${colors.text}"/>`
+    )
+
+    series.forEach((s, i) => {
+        const color = seriesColors[i % seriesColors.length]
+        const coordinates = s.points.map((p) => `${x(p.date).toFixed(1)},${y(p.percentage).toFixed(1)}`)
+        if (coordinates.length > 1) {
+            parts.push(`<polyline points="${coordinates.join(" ")}" fill="none" stroke="${color}" stroke-width="2"/>`)
+        }
+        coordinates.forEach((point) => {
+            const [cx, cy] = point.split(",")
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="4" fill="${color}"/>`)
+        })
+
+        const legendX = margin.left + (i % legendPerRow) * LEGEND_ITEM_WIDTH
+        const legendY = margin.top + plotHeight + 44 + Math.floor(i / legendPerRow) * 22
+        parts.push(
+            `<rect x="${legendX}" y="${legendY - 10}" width="12" height="12" fill="${color}"/>`,
+            `<text x="${legendX + 18}" y="${legendY}" ${font} font-size="13" fill="${colors.text}">${escapeXml(formatSeries(s.distance, s.boatClass))}</text>`
+        )
+    })
+
+    parts.push("</svg>")
+    return parts.join("\n")
+}
@@ -0,0 +1,115 @@
+import { parseResultLine } from "./resultLines"
+
+// Состав спортсменов: имя, пол, год рождения, категория и класс лодки
+// по умолчанию, вес. Спортсмен из состава не выбирает категорию и лодку заново.
+// { name, gender, birthYear, category, boatClass, weight }
+
+export const GENDER_MALE = "male"
+export const GENDER_FEMALE = "female"
+
+export const genderLabels = {
+    [GENDER_MALE]: "Мужской",
+    [GENDER_FEMALE]: "Женский",
+}
+
+// Латинские M и W — коды категорий, поэтому пол пишется словом или кириллицей
+const genderWords = {
+    [GENDER_MALE]: ["м", "муж", "мужской", "ч", "чол", "чоловік", "male", "man"],
+    [GENDER_FEMALE]: ["ж", "жен", "женский", "жін", "жінка", "female", "woman"],
+}
+
+// Категории по возрасту от младших к старшим: [предел, мужская, женская]
+const ageLimits = [
+    [15, "Юноши до 15", "Девушки до 15"],
+    [17, "Юноши до 17", "Девушки до 17"],
+    [19, "Юноши до 19", "Девушки до 19"],
+    [23, "Юниоры до 23", "Юниорки до 23"],
+]
+
+export const MIN_BIRTH_YEAR = 1920
+export const MIN_WEIGHT = 30
+export const MAX_WEIGHT = 150
+
+// Возраст в гребле — полных лет на 31 декабря текущего года
+export function getRosterAge(athlete, year = new Date().getFullYear()) {
+    return athlete.birthYear ? year - athlete.birthYear : null
+}
+
+export function getCategoryGender(category) {
+    if (/смешан/i.test(category)) return null
+    return /женщин|юниорк|девушк/i.test(category) ? GENDER_FEMALE : GENDER_MALE
+}
+
+// Младшая подходящая по возрасту категория из categories, иначе открытая.
+// Мастерс не подбирается: гандикап применяется, только если категория
+// указана явно
+export function suggestCategory(gender, age, categories) {
+    if (!gender) return null
+    const female = gender === GENDER_FEMALE
+    if (age != null) {
+        const junior = ageLimits
+            .filter(([limit]) => age < limit)
+            .map(([, men, women]) => (female ? women : men))
+            .find((category) => categories.includes(category))
+        if (junior) return junior
+    }
+    const open = female ? "Женщины" : "Мужчина"
+    return categories.includes(open) ? open : null
+}
+
+// Строка «Иванов м 1990 M1x 82.5»: имя, пол, год рождения, категория или
+// код World Rowing, класс лодки и вес в любом порядке. Категорию можно не
+// писать — она подбирается по полу и возрасту (мастерс — только явно). model — как в parseResultLine.
+// Возвращает { athlete } или { error: "name" | "category" | "boat" }.
+export function parseRosterLine(text, model, label = (key) => key, year = new Date().getFullYear()) {
+    const athlete = { gender: null, birthYear: null, weight: null }
+    const rest = text.trim().split(/\s+/).filter((word) => {
+        const lower = word.toLowerCase()
+        const gender = Object.keys(genderWords).find((key) => genderWords[key].includes(lower))
+        if (gender && !athlete.gender) {
+            athlete.gender = gender
+            return false
+        }
+        const number = parseFloat(lower.replace(",", ".").replace(/(кг|kg)$/, ""))
+        if (/^\d{4}$/.test(lower) && number >= MIN_BIRTH_YEAR && number <= year && !athlete.birthYear) {
+            athlete.birthYear = number
+            return false
+        }
+        if (/^\d+([.,]\d+)?(кг|kg)?$/.test(lower) && number >= MIN_WEIGHT && number <= MAX_WEIGHT && !athlete.weight) {
+            athlete.weight = number
+            return false
+        }
+        return true
+    })
+
+    const { parsed } = parseResultLine(rest.join(" "), model, label)
+    athlete.name = parsed.name
+    athlete.category = parsed.ageCategory || null
+    athlete.boatClass = parsed.boatClass || null
+    if (athlete.category && !athlete.gender) {
+        athlete.gender = getCategoryGender(athlete.category)
+    }
+    if (!athlete.category) {
+        athlete.category = suggestCategory(athlete.gender, getRosterAge(athlete, year), model.categories)
+    }
+
+    if (!athlete.name) return { error: "name", athlete }
+    if (!athlete.category) return { error: "category", athlete }
+    if (athlete.boatClass && !model.getBoats(athlete.category).includes(athlete.boatClass)) {
+        return { error: "boat", athlete }
+    }
+    return { athlete }
+}
+
+export function findRosterAthlete(roster, name) {
+    const key = name.trim().toLowerCase()
+    return roster.find((athlete) => athlete.name.toLowerCase() === key) || null
+}
+
+// Новый список: спортсмен с тем же именем заменяется
+export function addRosterAthlete(roster, athlete) {
+    const index = roster.findIndex((a) => a.name.toLowerCase() === athlete.name.toLowerCase())
+    return index === -1
+        ? [...roster, athlete]
+        : roster.map((a, i) => (i === index ? athlete : a))
+}
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { timeErrorMessages } from "../utils";
+import {
+  parseResultLine,
+  parseBulkLines,
+  LINE_ERROR_MISSING,
+  LINE_ERROR_TIME,
+  LINE_ERROR_BOAT,
+  LINE_ERROR_MASTERS_AGE,
+} from "../resultLines";
+
+const partLabels = {
+  category: "категория",
+  boat: "класс лодки",
+  distance: "дистанция",
+  time: "время",
+  name: "имя",
+};
+
+const describeLineError = ({ error, missing, timeError, parsed }) => {
+  switch (error) {
+    case LINE_ERROR_MISSING:
+      return `не хватает: ${missing.map(part => partLabels[part]).join(", ")}`;
+    case LINE_ERROR_TIME:
+      return timeErrorMessages[timeError];
+    case LINE_ERROR_MASTERS_AGE:
+      return "укажите возраст мастерс в коде категории, например MM45";
+    case LINE_ERROR_BOAT:
+      return `нет класса ${parsed.boatClass} для категории ${parsed.ageCategory}`;
+    default:
+      return "строка не разобрана";
+  }
+};
+
+// Строки одного спортсмена с той же категорией и лодкой — его отрезки
+const toAthletes = (results) => {
+  const athletes = new Map();
+  results.forEach(({ parsed }) => {
+    const key = [parsed.name, parsed.ageCategory, parsed.mastersAge, parsed.boatClass].join("|");
+    if (!athletes.has(key)) {
+      athletes.set(key, {
+        name: parsed.name,
+        category: parsed.ageCategory,
+        boat: parsed.boatClass,
+        weight: "",
+        age: parsed.mastersAge ?? "",
+        segments: [],
+      });
+    }
+    athletes.get(key).segments.push({ distance: parsed.distance, time: parsed.timeText });
+  });
+  return [...athletes.values()];
+};
+
+// Вставка результатов списком: «Иванов 1х 2000 7:02.4» — по одному в строке
+export default function BulkPastePanel({ styles, theme, categories, getBoats, isErg, onImport }) {
+  const [text, setText] = useState("");
+  const [defaultCategory, setDefaultCategory] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [added, setAdded] = useState(0);
+
+  const model = {
+    categories,
+    boats: [...new Set(categories.flatMap(getBoats))],
+    getBoats,
+    isErg,
+  };
+
+  const handleImport = () => {
+    const { results, errors } = parseBulkLines(
+      text,
+      (line, defaults) => parseResultLine(line, model, undefined, defaults),
+      { ageCategory: defaultCategory || null }
+    );
+    if (results.length > 0) {
+      onImport(toAthletes(results));
+    }
+    setAdded(results.length);
+    setErrors(errors);
+    // Оставить в поле только строки, которые нужно исправить
+    setText(errors.map(({ line }) => line).join("\n"));
+  };
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Вставить список результатов</h3>
+      <div style={styles.flexRow}>
+        <label style={labelStyle}>Категория по умолчанию: </label>
+        <select value={defaultCategory} onChange={e => setDefaultCategory(e.target.value)} style={styles.select}>
+          <option value="">Не задана</option>
+          {categories.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        placeholder={"Иванов 1х 2000 7:02.4\nПетров M1x 2000 6:58\nЮниоры до 23 2х 2000\nСидоров 6:40.5"}
+        title="Имя, категория (или код World Rowing: M1x, W2-, LM2x, JM18, MM45), класс лодки, дистанция и время в любом порядке. Строка без имени и времени задаёт значения для следующих строк."
+        value={text}
+        onChange={e => setText(e.target.value)}
+        rows={6}
+        style={{ ...styles.input, width: "100%", boxSizing: "border-box", fontFamily: "inherit" }}
+      />
+      <button style={{ ...styles.button, marginTop: 8 }} onClick={handleImport} disabled={!text.trim()}>
+        Добавить в таблицу
+      </button>
+      {added > 0 && (
+        <div style={{ ...labelStyle, fontWeight: 400, marginTop: 8 }}>{`Добавлено результатов: ${added}`}</div>
+      )}
+      {errors.length > 0 && (
+        <ul style={{ color: "#ff4f4f", fontSize: 14, marginTop: 8 }}>
+          {errors.map(lineError => (
+            <li key={lineError.number}>{`${lineError.number}. «${lineError.line}» — ${describeLineError(lineError)}`}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,137 @@
 import React, { useState } from "react";
-import { calculateModelPercentage, parseTimeToSeconds, formatTime, avg } from "../utils";
-import { modelTimesWORLD } from "../modelTableWORLD";
-import { modelTimesRUSSIA } from "../modelTableRUSSIA";
-import { distances } from "../distanceTable";
+import {
+  calculateModelPercentage,
+  parseTime,
+  parseTimeToSeconds,
+  timeErrorMessages,
+  formatTime,
+  avg,
+  calculateSplit,
+  calculateSpeed,
+  calculateModelSplit,
+  formatDelta,
+  splitToWatts,
+  calculateWeightAdjustedTime,
+} from "../utils";
+import { modelVersionsWORLD } from "../modelTableWORLD";
+import { modelVersionsRUSSIA } from "../modelTableRUSSIA";
+import { modelVersionsERG } from "../modelTableERG";
+import { getVersionForDate } from "../modelVersions";
+import { parseModelTableJSON, parseModelTableCSV } from "../modelTableCustom";
+import { distances, isValidDistance, MIN_DISTANCE, MAX_DISTANCE } from "../distanceTable";
+import { scalingModes, SCALING_LINEAR } from "../distanceScaling";
 import * as XLSX from "xlsx";
 import { saveAs } from "file-saver";
+import TargetPanel from "./TargetPanel";
+import CrewPanel from "./CrewPanel";
+import PredictionPanel from "./PredictionPanel";
+import LeaderboardPanel from "./LeaderboardPanel";
+import BulkPastePanel from "./BulkPastePanel";
+import RosterPanel from "./RosterPanel";
+import ProgressPage from "./ProgressPage";
+import { addProgressResults } from "./progressStorage";
+import { correctTimeForConditions, hasConditions, describeConditions, windDirections, WIND_HEAD } from "../conditions";
+import { mastersOpenCategories, isMastersCategory, lookupBaseModelTime, formatMastersCategory } from "../masters";
+import { getCategoryBoatClasses } from "../boatClasses";
+import { analyzeSegments, trendLabels } from "../analytics";
+import { buildLeaderboard } from "../leaderboard";
+
+// Пользовательские модели из models/*.json и models/*.csv подключаются при сборке
+const bundledModelFiles = import.meta.glob("../models/*.{json,csv}", { eager: true, query: "?raw", import: "default" });
+
+const parseModelFile = (fileName, text) => {
+  const baseName = fileName.split("/").pop();
+  return baseName.toLowerCase().endsWith(".csv")
+    ? parseModelTableCSV(text, baseName.replace(/\.csv$/i, ""))
+    : parseModelTableJSON(text);
+};
+
+const ERG_MODEL = "Эргометр (Concept2)";
+
+// Версии моделей по названию; в расчётах используется версия, действующая сегодня
+const builtInModelVersions = {
+  "Мировая модель": modelVersionsWORLD,
+  "Российская модель (Н.Н.)": modelVersionsRUSSIA,
+  [ERG_MODEL]: modelVersionsERG,
+};
+
+const addModelVersion = (versions = [], model) => [
+  ...versions.filter(v => v.version !== model.version),
+  model,
+];
+
+// Файл с названием встроенной модели добавляет ей версию (например, новый сезон)
+// Ошибки файлов из models/ показываются над выбором модели
+const bundledModelErrors = [];
+const bundledModelVersions = Object.entries(bundledModelFiles).reduce((acc, [fileName, text]) => {
+  try {
+    const model = parseModelFile(fileName, text);
+    if ((builtInModelVersions[model.name] || []).some(v => v.version === model.version)) {
+      throw new Error(`у модели «${model.name}» уже есть версия ${model.version}`);
+    }
+    acc[model.name] = addModelVersion(acc[model.name] || builtInModelVersions[model.name], model);
+  } catch (error) {
+    bundledModelErrors.push(`${fileName.split("/").pop()}: ${error.message}`);
+  }
+  return acc;
+}, {});
+
+// Мастерс-категории добавляются к моделям с открытыми категориями (кроме эргометра)
+const getCategories = (model, isErg) => [
+  ...new Set([
+    ...Object.keys(model),
+    ...(isErg ? [] : Object.keys(mastersOpenCategories).filter(cat => model[mastersOpenCategories[cat]])),
+  ]),
+];
+
+// Только классы лодок, для которых в категории есть модельное время
+const getBoats = (model, category) => getCategoryBoatClasses(model, category);
+
+// Причина, по которой время не разобрано; пустое поле — не ошибка
+const getTimeError = (time) => {
+  if (!String(time).trim()) return "";
+  const { error } = parseTime(time);
+  return error ? timeErrorMessages[error] : "";
+};
+
+// Стабильность серии отрезков: лучший и худший отрезок, разброс, усталость, тренд
+const seriesHeaders = ["Лучший отрезок", "Худший отрезок", "Ст. отклонение", "Усталость, п.п.", "Тренд"];
+
+const formatSeriesStats = (stats) => (stats && stats.count > 1 ? [
+  `${stats.best.piece} (${stats.best.percentage.toFixed(2)}%)`,
+  `${stats.worst.piece} (${stats.worst.percentage.toFixed(2)}%)`,
+  `${stats.stdDev.toFixed(2)}%`,
+  formatDelta(stats.fadeIndex),
+  `${trendLabels[stats.trend]} (${formatDelta(stats.slope)})`,
+] : seriesHeaders.map(() => ""));
+
+// Отрезки всех спортсменов для рейтинга; безымянные получают номер
+const toLeaderboardEntries = (results) => results.flatMap((r, i) =>
+  r.segs
+    .filter(s => s.percent != null)
+    .map(s => ({
+      name: r.name || `Спортсмен ${i + 1}`,
+      category: r.category,
+      boat: r.boat,
+      distance: s.distance,
+      percentage: s.percent,
+    }))
+);
+
+const emptyConditions = { windSpeed: "", windDirection: WIND_HEAD, streamSpeed: "", waterTemp: "" };
+
+// Условия из полей ввода (строки) в числа; пустые поля не учитываются
+const toConditions = (raw) => {
+  if (!raw) return null;
+  const num = (v) => (v === "" || v == null ? null : parseFloat(String(v).replace(",", ".")));
+  const conditions = {
+    windSpeed: num(raw.windSpeed),
+    windDirection: raw.windDirection,
+    streamSpeed: num(raw.streamSpeed),
+    waterTemp: num(raw.waterTemp),
+  };
+  return hasConditions(conditions) ? conditions : null;
+};
 
 const getStyles = (theme) => ({
   page: {
@@ -133,13 +260,22 @@ export default function Calculator() {
   const [theme, setTheme] = useState('light');
   const styles = getStyles(theme);
   const [modelType, setModelType] = useState("Мировая модель");
-  const modelTables = {
-    "Мировая модель": modelTimesWORLD,
-    "Российская модель (Н.Н.)": modelTimesRUSSIA,
+  const [uploadedModels, setUploadedModels] = useState({});
+  const [modelError, setModelError] = useState(bundledModelErrors.join("\n"));
+  const [scaling, setScaling] = useState(SCALING_LINEAR);
+  const modelVersionLists = {
+    ...builtInModelVersions,
+    ...bundledModelVersions,
+    ...uploadedModels,
   };
+  const modelTables = Object.fromEntries(
+    Object.entries(modelVersionLists).map(([type, versions]) => [type, getVersionForDate(versions).times])
+  );
   const currentModel = modelTables[modelType];
+  const currentVersion = getVersionForDate(modelVersionLists[modelType]);
+  const isErg = modelType === ERG_MODEL;
   const defaultCategory = Object.keys(currentModel)[0];
-  const defaultBoat = Object.keys(currentModel[defaultCategory])[0];
+  const defaultBoat = getBoats(currentModel, defaultCategory)[0];
   const defaultDistance = parseInt(distances[0]);
 
   const [athletes, setAthletes] = useState([
@@ -147,20 +283,25 @@ export default function Calculator() {
       name: "",
       category: defaultCategory,
       boat: defaultBoat,
+      weight: "",
+      age: "",
       segments: [
         { distance: defaultDistance, time: "" }
       ]
     }
   ]);
   const [results, setResults] = useState([]);
+  const [page, setPage] = useState(window.location.hash === "#progress" ? "progress" : "calculator");
+  const [progressSaved, setProgressSaved] = useState(null);
   const [maxSegments, setMaxSegments] = useState(1);
+  const withConditions = results.some(r => r.segs.some(s => s.conditions));
 
   // Обновлять категории и классы лодок при смене модели
   React.useEffect(() => {
     setAthletes(athletes => athletes.map(ath => ({
       ...ath,
       category: Object.keys(currentModel)[0],
-      boat: Object.keys(currentModel[Object.keys(currentModel)[0]])[0],
+      boat: getBoats(currentModel, Object.keys(currentModel)[0])[0],
     })));
   }, [currentModel]);
 
@@ -168,7 +309,7 @@ export default function Calculator() {
     setAthletes(athletes => athletes.map((ath, i) => {
       if (i !== idx) return ath;
       if (field === "category") {
-        const newBoat = Object.keys(currentModel[value])[0];
+        const newBoat = getBoats(currentModel, value)[0];
         return { ...ath, category: value, boat: newBoat };
       }
       return { ...ath, [field]: value };
@@ -194,6 +335,8 @@ export default function Calculator() {
         name: "",
         category: defaultCategory,
         boat: defaultBoat,
+        weight: "",
+        age: "",
         segments: [
           { distance: defaultDistance, time: "" }
         ]
@@ -201,6 +344,14 @@ export default function Calculator() {
     ]);
   };
 
+  // Вставленные и загруженные из состава спортсмены заменяют пустые строки таблицы
+  const importAthletes = (imported) => {
+    setAthletes(athletes => [
+      ...athletes.filter(ath => ath.name.trim() || ath.segments.some(seg => String(seg.time).trim())),
+      ...imported,
+    ]);
+  };
+
   const removeAthlete = (idx) => {
     setAthletes(athletes.filter((_, i) => i !== idx));
   };
@@ -225,23 +376,65 @@ export default function Calculator() {
     }));
   };
 
+  const handleModelUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const model = parseModelFile(file.name, text);
+        if ((builtInModelVersions[model.name] || []).some(v => v.version === model.version)) {
+          throw new Error(`У модели «${model.name}» уже есть версия ${model.version}`);
+        }
+        setUploadedModels(models => ({
+          ...models,
+          [model.name]: addModelVersion(models[model.name] || modelVersionLists[model.name], model),
+        }));
+        setModelType(model.name);
+        setModelError("");
+      } catch (error) {
+        setModelError(error.message);
+      }
+    });
+  };
+
   const handleCalc = () => {
     // Найти максимальное число отрезков
     const maxSeg = Math.max(...athletes.map(a => a.segments.length));
     setMaxSegments(maxSeg);
     // Для каждого спортсмена: массив процентов и секунд
-    const res = athletes.map(({ name, category, boat, segments }) => {
-      const baseModelTime = currentModel[category][boat];
-      const segs = segments.map(({ distance, time }) => {
-        const userTime = parseTimeToSeconds(time);
-        const percent = userTime > 0 ? calculateModelPercentage(baseModelTime, distance, userTime) : null;
+    const res = athletes.map(({ name, category, boat, weight, age, segments }) => {
+      const mastersAge = isMastersCategory(category) ? parseFloat(String(age).replace(",", ".")) : null;
+      // Без возраста у мастерс нет модельного времени
+      const baseModelTime = lookupBaseModelTime(currentModel, category, boat, mastersAge);
+      const weightKg = parseFloat(String(weight).replace(",", "."));
+      const segs = segments.map(({ distance: rawDistance, time, conditions: rawConditions }) => {
+        // Отрезок с дистанцией вне границ не считается
+        const distance = Number(rawDistance);
+        const validDistance = isValidDistance(distance);
+        const userTime = validDistance ? parseTimeToSeconds(time) : 0;
+        const percent = userTime > 0 && baseModelTime ? calculateModelPercentage(baseModelTime, distance, userTime, boat, scaling) : null;
+        const conditions = isErg ? null : toConditions(rawConditions);
+        const correctedTime = userTime > 0 && conditions ? correctTimeForConditions(userTime, distance, boat, conditions) : null;
         return {
           distance,
           time,
           percent,
-          seconds: userTime > 0 ? userTime : null
+          seconds: userTime > 0 ? userTime : null,
+          split: userTime > 0 ? calculateSplit(userTime, distance) : null,
+          speed: userTime > 0 ? calculateSpeed(userTime, distance) : null,
+          modelSplit: baseModelTime && validDistance ? calculateModelSplit(baseModelTime, distance, boat, scaling) : null,
+          watts: isErg && userTime > 0 ? splitToWatts(calculateSplit(userTime, distance)) : null,
+          adjustedTime: isErg && userTime > 0 && weightKg > 0 ? calculateWeightAdjustedTime(userTime, weightKg) : null,
+          conditions,
+          correctedPercent: correctedTime && baseModelTime ? calculateModelPercentage(baseModelTime, distance, correctedTime, boat, scaling) : null,
         };
       });
+      // Сравнение темпа с первым введённым отрезком
+      const firstSeg = segs.find(s => s.split != null);
+      segs.forEach(s => {
+        s.splitDelta = s.split != null && s !== firstSeg ? s.split - firstSeg.split : null;
+      });
       // Среднее время (по введённым)
       const validTimes = segs.filter(s => s.seconds != null).map(s => s.seconds);
       const avgTime = validTimes.length > 0 ? avg(validTimes) : null;
@@ -250,16 +443,63 @@ export default function Calculator() {
       const avgPercent = validPercents.length > 0 ? avg(validPercents) : null;
       return {
         name,
-        category,
+        category: formatMastersCategory(category, mastersAge),
+        // Ключ категории и возраст — для сохранения в прогресс
+        categoryKey: category,
+        mastersAge,
         boat,
+        weight: weightKg > 0 ? weightKg : null,
         segs,
         avgTime,
-        avgPercent
+        avgPercent,
+        stats: analyzeSegments(segs.map(s => s.percent)),
       };
     });
     setResults(res);
+    setProgressSaved(null);
+  };
+
+  // Отрезки с процентом попадают в историю прогресса спортсмена
+  const handleSaveProgress = () => {
+    const timestamp = new Date().toISOString();
+    const saved = results.flatMap(r => r.segs
+      .filter(s => r.name.trim() && s.percent != null)
+      .map(s => ({
+        name: r.name.trim(),
+        timestamp,
+        distance: s.distance,
+        boatClass: r.boat,
+        ageCategory: r.categoryKey,
+        mastersAge: r.mastersAge,
+        time: s.time,
+        modelPercentage: s.percent.toFixed(2),
+      }))
+    );
+    setProgressSaved(addProgressResults(saved));
   };
 
+  const openPage = (value) => {
+    setPage(value);
+    window.location.hash = value === "progress" ? "progress" : "";
+  };
+
+  const pageNav = (
+    <div style={{ ...styles.flexRow, justifyContent: "center" }}>
+      <button
+        style={{ ...styles.button, ...(page === "calculator" ? {} : { background: "#8fa9d6" }) }}
+        onClick={() => openPage("calculator")}
+      >
+        Калькулятор
+      </button>
+      <button
+        style={{ ...styles.button, ...(page === "progress" ? {} : { background: "#8fa9d6" }) }}
+        onClick={() => openPage("progress")}
+      >
+        Прогресс
+      </button>
+    </div>
+  );
+
   const handleExport = () => {
     // Заголовки
     const headers = ["Имя", "Категория", "Класс лодки"];
@@ -267,9 +507,24 @@ export default function Calculator() {
       headers.push(`Дистанция${i+1}`);
       headers.push(`Время${i+1}`);
       headers.push(`Модель${i+1}`);
+      headers.push(`Темп${i+1}`);
+      headers.push(`Скорость${i+1}`);
+      headers.push(`Модельный темп${i+1}`);
+      headers.push(`Δ темп${i+1}`);
+      if (isErg) {
+        headers.push(`Мощность${i+1}, Вт`);
+        headers.push(`Время с поправкой на вес${i+1}`);
+      }
+      if (withConditions) {
+        headers.push(`Условия${i+1}`);
+        headers.push(`Модель с поправкой${i+1}`);
+      }
     }
     headers.push("Среднее время");
     headers.push("Средняя модель");
+    if (maxSegments > 1) {
+      headers.push(...seriesHeaders);
+    }
     // Данные
     const wsData = [headers];
     results.forEach(r => {
@@ -279,28 +534,81 @@ export default function Calculator() {
           row.push(r.segs[i].distance);
           row.push(r.segs[i].time);
           row.push(r.segs[i].percent != null ? `${r.segs[i].percent.toFixed(2)}%` : "");
+          row.push(r.segs[i].split != null ? formatTime(r.segs[i].split) : "");
+          row.push(r.segs[i].speed != null ? r.segs[i].speed.toFixed(2) : "");
+          row.push(r.segs[i].modelSplit != null ? formatTime(r.segs[i].modelSplit) : "");
+          row.push(r.segs[i].splitDelta != null ? formatDelta(r.segs[i].splitDelta) : "");
+          if (isErg) {
+            row.push(r.segs[i].watts != null ? Math.round(r.segs[i].watts) : "");
+            row.push(r.segs[i].adjustedTime != null ? formatTime(r.segs[i].adjustedTime) : "");
+          }
+          if (withConditions) {
+            row.push(describeConditions(r.segs[i].conditions));
+            row.push(r.segs[i].correctedPercent != null ? `${r.segs[i].correctedPercent.toFixed(2)}%` : "");
+          }
         } else {
           row.push(""); row.push(""); row.push("");
+          row.push(""); row.push(""); row.push(""); row.push("");
+          if (isErg) {
+            row.push(""); row.push("");
+          }
+          if (withConditions) {
+            row.push(""); row.push("");
+          }
         }
       }
       row.push(r.avgTime != null ? formatTime(r.avgTime) : "");
       row.push(r.avgPercent != null ? `${r.avgPercent.toFixed(2)}%` : "");
+      if (maxSegments > 1) {
+        row.push(...formatSeriesStats(r.stats));
+      }
       wsData.push(row);
     });
     const ws = XLSX.utils.aoa_to_sheet(wsData);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, "Результаты");
+    const rankingData = [["Место", "Имя", "Категория", "Класс лодки", "Средняя модель", "Лучший результат", "Результатов"]];
+    buildLeaderboard(toLeaderboardEntries(results)).forEach(row => {
+      rankingData.push([
+        row.rank,
+        row.name,
+        row.categories.join(", "),
+        row.boats.join(", "),
+        `${row.average.toFixed(2)}%`,
+        `${row.best.toFixed(2)}%`,
+        row.count,
+      ]);
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rankingData), "Рейтинг");
     const wbout = XLSX.write(wb, { bookType: "xlsx", type: "array" });
     saveAs(new Blob([wbout], { type: "application/octet-stream" }), "results.xlsx");
   };
 
+  const themeToggle = (
+    <button style={styles.themeToggle} onClick={() => setTheme(theme === 'light' ? 'dark' : 'light')}>
+      {theme === 'light' ? '🌙 Тёмная тема' : '☀️ Светлая тема'}
+    </button>
+  );
+
+  if (page === "progress") {
+    return (
+      <div style={styles.page}>
+        {themeToggle}
+        <div style={styles.card}>
+          <h2 style={{ textAlign: "center", marginBottom: 28, color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Прогресс спортсменов</h2>
+          {pageNav}
+          <ProgressPage styles={styles} theme={theme} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={styles.page}>
-      <button style={styles.themeToggle} onClick={() => setTheme(theme === 'light' ? 'dark' : 'light')}>
-        {theme === 'light' ? '🌙 Тёмная тема' : '☀️ Светлая тема'}
-      </button>
+      {themeToggle}
       <div style={styles.card}>
         <h2 style={{ textAlign: "center", marginBottom: 28, color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Калькулятор модельного времени</h2>
+        {pageNav}
         <div style={{ ...styles.flexRow, ...styles.section }}>
           <div>
             <label style={{ color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 }}>Тип модели: </label>
@@ -309,10 +617,33 @@ export default function Calculator() {
                 <option key={type} value={type}>{type}</option>
               ))}
             </select>
+            <span style={{ color: theme === 'dark' ? '#fff' : '#2a3b5d', marginLeft: 8 }}>
+              версия {currentVersion.version} (с {currentVersion.effectiveFrom})
+            </span>
+          </div>
+          <div>
+            <label style={{ ...styles.button, display: "inline-block" }}>
+              Загрузить модель (JSON/CSV)
+              <input type="file" accept=".json,.csv" onChange={handleModelUpload} style={{ display: "none" }} />
+            </label>
+          </div>
+          <div>
+            <label style={{ color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 }}>Пересчёт на дистанцию: </label>
+            <select value={scaling} onChange={e => setScaling(e.target.value)} style={styles.select}>
+              {Object.entries(scalingModes).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
           </div>
         </div>
+        {modelError && <div style={{ color: "#ff4f4f", marginBottom: 12, whiteSpace: "pre-line" }}>{modelError}</div>}
         <hr style={{ margin: "20px 0" }} />
         <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Данные спортсменов</h3>
+        <datalist id="distance-presets">
+          {distances.map(d => (
+            <option key={d} value={parseInt(d)}>{d}</option>
+          ))}
+        </datalist>
         {athletes.map((ath, idx) => (
           <div key={idx} style={{ ...styles.section, ...styles.segmentBlock }}>
             <div style={styles.flexRow}>
@@ -327,7 +658,7 @@ export default function Calculator() {
                 onChange={e => handleAthleteChange(idx, "category", e.target.value)}
                 style={styles.select}
               >
-                {Object.keys(currentModel).map(cat => (
+                {getCategories(currentModel, isErg).map(cat => (
                   <option key={cat} value={cat}>{cat}</option>
                 ))}
               </select>
@@ -336,10 +667,27 @@ export default function Calculator() {
                 onChange={e => handleAthleteChange(idx, "boat", e.target.value)}
                 style={styles.select}
               >
-                {Object.keys(currentModel[ath.category]).map(boat => (
+                {getBoats(currentModel, ath.category).map(boat => (
                   <option key={boat} value={boat}>{boat}</option>
                 ))}
               </select>
+              {isMastersCategory(ath.category) && (
+                <input
+                  placeholder="Возраст / средний возраст экипажа"
+                  title="Категория A–K определяется по возрасту, для экипажа — по среднему"
+                  value={ath.age}
+                  onChange={e => handleAthleteChange(idx, "age", e.target.value)}
+                  style={{ ...styles.input, width: 120 }}
+                />
+              )}
+              {isErg && (
+                <input
+                  placeholder="Вес, кг"
+                  value={ath.weight}
+                  onChange={e => handleAthleteChange(idx, "weight", e.target.value)}
+                  style={{ ...styles.input, width: 90 }}
+                />
+              )}
               {athletes.length > 1 && (
                 <button onClick={() => removeAthlete(idx)} style={{ ...styles.button, ...styles.buttonDanger }}>✕</button>
               )}
@@ -348,24 +696,74 @@ export default function Calculator() {
               <b style={{ color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 }}>Отрезки:</b>
               {ath.segments.map((seg, segIdx) => (
                 <div key={segIdx} style={styles.flexRow}>
-                  <select
+                  <input
+                    type="number"
+                    list="distance-presets"
+                    min={MIN_DISTANCE}
+                    max={MAX_DISTANCE}
+                    step={1}
+                    placeholder="Дистанция, м"
+                    title={`Дистанция в метрах, от ${MIN_DISTANCE} до ${MAX_DISTANCE}`}
                     value={seg.distance}
-                    onChange={e => handleSegmentChange(idx, segIdx, "distance", Number(e.target.value))}
-                    style={styles.select}
-                  >
-                    {distances.map(d => (
-                      <option key={d} value={parseInt(d)}>{d}</option>
-                    ))}
-                  </select>
+                    onChange={e => handleSegmentChange(idx, segIdx, "distance", e.target.value)}
+                    style={{
+                      ...styles.input,
+                      width: 110,
+                      ...(isValidDistance(Number(seg.distance)) ? {} : { border: "1px solid #e74c3c" }),
+                    }}
+                  />
                   <input
                     placeholder="Время (например, 7:45.55)"
+                    title="Форматы: 45.5, 7:45.55, 7:45,5, 1:02:15.3, 7.45.55"
                     value={seg.time}
                     onChange={e => handleSegmentChange(idx, segIdx, "time", e.target.value)}
-                    style={styles.input}
+                    style={{ ...styles.input, ...(getTimeError(seg.time) ? { border: "1px solid #e74c3c" } : {}) }}
                   />
+                  {getTimeError(seg.time) && (
+                    <span style={{ color: "#ff4f4f", fontSize: 14 }}>{getTimeError(seg.time)}</span>
+                  )}
+                  {!isErg && (
+                    <button
+                      onClick={() => handleSegmentChange(idx, segIdx, "conditions", seg.conditions ? null : emptyConditions)}
+                      style={styles.button}
+                    >
+                      {seg.conditions ? "Без условий" : "Условия"}
+                    </button>
+                  )}
                   {ath.segments.length > 1 && (
                     <button onClick={() => removeSegment(idx, segIdx)} style={{ ...styles.button, ...styles.buttonDanger }}>✕</button>
                   )}
+                  {!isErg && seg.conditions && (
+                    <div style={{ ...styles.flexRow, width: "100%" }}>
+                      <input
+                        placeholder="Ветер, м/с"
+                        value={seg.conditions.windSpeed}
+                        onChange={e => handleSegmentChange(idx, segIdx, "conditions", { ...seg.conditions, windSpeed: e.target.value })}
+                        style={{ ...styles.input, width: 110 }}
+                      />
+                      <select
+                        value={seg.conditions.windDirection}
+                        onChange={e => handleSegmentChange(idx, segIdx, "conditions", { ...seg.conditions, windDirection: e.target.value })}
+                        style={styles.select}
+                      >
+                        {Object.entries(windDirections).map(([dir, label]) => (
+                          <option key={dir} value={dir}>{label}</option>
+                        ))}
+                      </select>
+                      <input
+                        placeholder="Течение, м/с (+ попутное)"
+                        value={seg.conditions.streamSpeed}
+                        onChange={e => handleSegmentChange(idx, segIdx, "conditions", { ...seg.conditions, streamSpeed: e.target.value })}
+                        style={{ ...styles.input, width: 200 }}
+                      />
+                      <input
+                        placeholder="Вода, °C"
+                        value={seg.conditions.waterTemp}
+                        onChange={e => handleSegmentChange(idx, segIdx, "conditions", { ...seg.conditions, waterTemp: e.target.value })}
+                        style={{ ...styles.input, width: 100 }}
+                      />
+                    </div>
+                  )}
                 </div>
               ))}
               <button onClick={() => addSegment(idx)} style={styles.button}>Добавить отрезок</button>
@@ -373,6 +771,23 @@ export default function Calculator() {
           </div>
         ))}
         <button onClick={addAthlete} style={styles.button}>Добавить спортсмена</button>
+        <BulkPastePanel
+          styles={styles}
+          theme={theme}
+          categories={getCategories(currentModel, isErg)}
+          getBoats={category => getBoats(currentModel, category)}
+          isErg={isErg}
+          onImport={importAthletes}
+        />
+        <RosterPanel
+          styles={styles}
+          theme={theme}
+          categories={getCategories(currentModel, isErg)}
+          getBoats={category => getBoats(currentModel, category)}
+          isErg={isErg}
+          defaultDistance={defaultDistance}
+          onLoad={importAthletes}
+        />
         <br />
         <button style={{ ...styles.button, marginTop: 10, width: 180 }} onClick={handleCalc}>Рассчитать</button>
         {results.length > 0 && (
@@ -388,10 +803,22 @@ export default function Calculator() {
                     {Array.from({ length: maxSegments }).map((_, i) => [
                       <th key={`d${i}`} style={styles.th}>{`Дистанция${i+1}`}</th>,
                       <th key={`t${i}`} style={styles.th}>{`Время${i+1}`}</th>,
-                      <th key={`p${i}`} style={styles.th}>{`Модель${i+1}`}</th>
+                      <th key={`p${i}`} style={styles.th}>{`Модель${i+1}`}</th>,
+                      <th key={`s${i}`} style={styles.th}>{`Темп${i+1}`}</th>,
+                      <th key={`v${i}`} style={styles.th}>{`Скорость${i+1}`}</th>,
+                      <th key={`m${i}`} style={styles.th}>{`Модельный темп${i+1}`}</th>,
+                      ...(maxSegments > 1 ? [<th key={`c${i}`} style={styles.th}>{`Δ темп${i+1}`}</th>] : []),
+                      ...(isErg ? [
+                        <th key={`w${i}`} style={styles.th}>{`Мощность${i+1}`}</th>,
+                        <th key={`a${i}`} style={styles.th}>{`С поправкой на вес${i+1}`}</th>
+                      ] : []),
+                      ...(withConditions ? [<th key={`k${i}`} style={styles.th}>{`Модель с поправкой${i+1}`}</th>] : [])
                     ])}
                     <th style={styles.th}>Среднее время</th>
                     <th style={styles.th}>Средняя модель</th>
+                    {maxSegments > 1 && seriesHeaders.map(h => (
+                      <th key={h} style={styles.th}>{h}</th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
@@ -403,22 +830,62 @@ export default function Calculator() {
                       {Array.from({ length: maxSegments }).map((_, j) => r.segs[j] ? [
                         <td key={`d${j}`} style={styles.td}>{r.segs[j].distance}</td>,
                         <td key={`t${j}`} style={styles.td}>{r.segs[j].time}</td>,
-                        <td key={`p${j}`} style={styles.td}>{r.segs[j].percent != null ? `${r.segs[j].percent.toFixed(2)}%` : ""}</td>
+                        <td key={`p${j}`} style={styles.td}>{r.segs[j].percent != null ? `${r.segs[j].percent.toFixed(2)}%` : ""}</td>,
+                        <td key={`s${j}`} style={styles.td}>{r.segs[j].split != null ? formatTime(r.segs[j].split) : ""}</td>,
+                        <td key={`v${j}`} style={styles.td}>{r.segs[j].speed != null ? `${r.segs[j].speed.toFixed(2)} м/с` : ""}</td>,
+                        <td key={`m${j}`} style={styles.td}>{r.segs[j].modelSplit != null ? formatTime(r.segs[j].modelSplit) : ""}</td>,
+                        ...(maxSegments > 1 ? [<td key={`c${j}`} style={styles.td}>{r.segs[j].splitDelta != null ? formatDelta(r.segs[j].splitDelta) : ""}</td>] : []),
+                        ...(isErg ? [
+                          <td key={`w${j}`} style={styles.td}>{r.segs[j].watts != null ? `${Math.round(r.segs[j].watts)} Вт` : ""}</td>,
+                          <td key={`a${j}`} style={styles.td}>{r.segs[j].adjustedTime != null ? formatTime(r.segs[j].adjustedTime) : ""}</td>
+                        ] : []),
+                        ...(withConditions ? [
+                          <td key={`k${j}`} style={styles.td} title={describeConditions(r.segs[j].conditions)}>{r.segs[j].correctedPercent != null ? `${r.segs[j].correctedPercent.toFixed(2)}%` : ""}</td>
+                        ] : [])
                       ] : [
                         <td key={`d${j}`} style={styles.td}></td>,
                         <td key={`t${j}`} style={styles.td}></td>,
-                        <td key={`p${j}`} style={styles.td}></td>
+                        <td key={`p${j}`} style={styles.td}></td>,
+                        <td key={`s${j}`} style={styles.td}></td>,
+                        <td key={`v${j}`} style={styles.td}></td>,
+                        <td key={`m${j}`} style={styles.td}></td>,
+                        ...(maxSegments > 1 ? [<td key={`c${j}`} style={styles.td}></td>] : []),
+                        ...(isErg ? [
+                          <td key={`w${j}`} style={styles.td}></td>,
+                          <td key={`a${j}`} style={styles.td}></td>
+                        ] : []),
+                        ...(withConditions ? [<td key={`k${j}`} style={styles.td}></td>] : [])
                       ])}
                       <td style={styles.td}>{r.avgTime != null ? formatTime(r.avgTime) : ""}</td>
                       <td style={styles.td}>{r.avgPercent != null ? `${r.avgPercent.toFixed(2)}%` : ""}</td>
+                      {maxSegments > 1 && formatSeriesStats(r.stats).map((value, k) => (
+                        <td key={`stat${k}`} style={styles.td}>{value}</td>
+                      ))}
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
             <button style={{ ...styles.button, marginTop: 16 }} onClick={handleExport}>Экспорт в Excel</button>
+            <button
+              style={{ ...styles.button, marginTop: 16 }}
+              onClick={handleSaveProgress}
+              title="Результаты спортсменов с именем попадут на страницу «Прогресс»"
+            >
+              Сохранить в прогресс
+            </button>
+            {progressSaved != null && (
+              <span style={{ color: theme === 'dark' ? '#fff' : '#2a3b5d' }}>{`Сохранено результатов: ${progressSaved}`}</span>
+            )}
           </div>
         )}
+        <LeaderboardPanel styles={styles} theme={theme} entries={toLeaderboardEntries(results)} />
+        {!isErg && (
+          <CrewPanel styles={styles} theme={theme} currentModel={currentModel} scaling={scaling} results={results} />
+        )}
+        <hr style={{ margin: "20px 0" }} />
+        <TargetPanel styles={styles} theme={theme} currentModel={currentModel} scaling={scaling} />
+        <PredictionPanel styles={styles} theme={theme} currentModel={currentModel} />
       </div>
     </div>
   );
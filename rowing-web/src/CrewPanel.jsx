@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { formatTime, formatDelta, parseTime, timeErrorMessages } from "../utils";
+import { getCategoryBoatClasses } from "../boatClasses";
+import { getCrewSize, isCrewBoat, predictCrew, compareCrewResult } from "../crew";
+import { isValidDistance } from "../distanceTable";
+
+// Экипаж из спортсменов таблицы: прогноз по их средним процентам от модели
+export default function CrewPanel({ styles, theme, currentModel, scaling, results }) {
+  const athletes = results.filter(r => r.avgPercent != null);
+  const categories = Object.keys(currentModel).filter(cat =>
+    getCategoryBoatClasses(currentModel, cat).some(isCrewBoat)
+  );
+  const [category, setCategory] = useState(categories[0] || "");
+  const [boat, setBoat] = useState("");
+  const [distance, setDistance] = useState(2000);
+  const [seats, setSeats] = useState([]);
+  const [actualTime, setActualTime] = useState("");
+
+  if (athletes.length < 2 || categories.length === 0) return null;
+
+  // Сбросить категорию и лодку, если их нет в выбранной модели
+  const validCategory = categories.includes(category) ? category : categories[0];
+  const boats = getCategoryBoatClasses(currentModel, validCategory).filter(isCrewBoat);
+  const validBoat = boats.includes(boat) ? boat : boats[0];
+  const size = getCrewSize(validBoat);
+  const seatIndexes = Array.from({ length: size }, (_, i) => seats[i] ?? "");
+  const members = seatIndexes.filter(i => i !== "").map(i => athletes[i]).filter(Boolean);
+  const isComplete = members.length === size && new Set(seatIndexes).size === size;
+
+  const baseModelTime = currentModel[validCategory][validBoat];
+  const meters = Number(distance);
+  const prediction = isComplete && isValidDistance(meters)
+    ? predictCrew(members.map(m => ({ name: m.name, percentage: m.avgPercent })), baseModelTime, meters, validBoat, scaling)
+    : null;
+  const actual = actualTime.trim() ? parseTime(actualTime) : null;
+  const comparison = prediction && actual && !actual.error
+    ? compareCrewResult(prediction, actual.seconds, baseModelTime, meters, validBoat, scaling)
+    : null;
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Экипаж</h3>
+      <div style={styles.flexRow}>
+        <select value={validCategory} onChange={e => setCategory(e.target.value)} style={styles.select}>
+          {categories.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <select value={validBoat} onChange={e => setBoat(e.target.value)} style={styles.select}>
+          {boats.map(b => (
+            <option key={b} value={b}>{b}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          placeholder="Дистанция, м"
+          value={distance}
+          onChange={e => setDistance(e.target.value)}
+          style={{ ...styles.input, width: 110 }}
+        />
+      </div>
+      <div style={styles.flexRow}>
+        {seatIndexes.map((value, seat) => (
+          <label key={seat} style={labelStyle}>
+            {`${seat + 1}: `}
+            <select
+              value={value}
+              onChange={e => setSeats(Object.assign([...seatIndexes], { [seat]: e.target.value === "" ? "" : Number(e.target.value) }))}
+              style={styles.select}
+            >
+              <option value="">—</option>
+              {athletes.map((a, i) => (
+                <option key={i} value={i}>{`${a.name || `Спортсмен ${i + 1}`} (${a.avgPercent.toFixed(2)}%)`}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      {!isComplete && (
+        <div style={labelStyle}>{`Выберите ${size} разных спортсменов по местам от носа к корме`}</div>
+      )}
+      {prediction && (
+        <>
+          <div style={labelStyle}>
+            {`Прогноз: ${formatTime(prediction.time)} (${prediction.percentage.toFixed(2)}% от модели), темп на 500м ${formatTime(prediction.split)}`}
+          </div>
+          <div style={styles.flexRow}>
+            <input
+              placeholder="Фактическое время экипажа"
+              value={actualTime}
+              onChange={e => setActualTime(e.target.value)}
+              style={styles.input}
+            />
+            {actual && actual.error && (
+              <span style={{ color: "#ff4f4f", fontSize: 14 }}>{timeErrorMessages[actual.error]}</span>
+            )}
+          </div>
+          {comparison && (
+            <div style={labelStyle}>
+              {`Факт: ${comparison.percentage.toFixed(2)}% от модели; разница с прогнозом ${formatDelta(comparison.timeDelta)} с, ${formatDelta(comparison.percentageDelta)}%`}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
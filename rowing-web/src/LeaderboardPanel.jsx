@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { buildLeaderboard, getLeaderboardFilters } from "../leaderboard";
+
+const columns = [
+  { key: "rank", label: "Место" },
+  { key: "name", label: "Имя" },
+  { key: "average", label: "Средняя модель" },
+  { key: "best", label: "Лучший результат" },
+  { key: "count", label: "Результатов" },
+];
+
+// Рейтинг спортсменов всех категорий по проценту от модели
+export default function LeaderboardPanel({ styles, theme, entries }) {
+  const [filters, setFilters] = useState({ category: "", boat: "", distance: "" });
+  const [sort, setSort] = useState({ key: "rank", desc: false });
+
+  if (entries.length === 0) return null;
+
+  const options = getLeaderboardFilters(entries);
+  const rows = buildLeaderboard(entries, filters).sort((a, b) => {
+    const order = typeof a[sort.key] === "string"
+      ? a[sort.key].localeCompare(b[sort.key])
+      : a[sort.key] - b[sort.key];
+    return sort.desc ? -order : order;
+  });
+
+  const changeFilter = (field, value) => setFilters(filters => ({ ...filters, [field]: value }));
+  const toggleSort = (key) => setSort(sort => ({ key, desc: sort.key === key ? !sort.desc : false }));
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Рейтинг</h3>
+      <div style={styles.flexRow}>
+        <select value={filters.category} onChange={e => changeFilter("category", e.target.value)} style={styles.select}>
+          <option value="">Все категории</option>
+          {options.categories.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <select value={filters.boat} onChange={e => changeFilter("boat", e.target.value)} style={styles.select}>
+          <option value="">Все классы</option>
+          {options.boats.map(boat => (
+            <option key={boat} value={boat}>{boat}</option>
+          ))}
+        </select>
+        <select value={filters.distance} onChange={e => changeFilter("distance", e.target.value)} style={styles.select}>
+          <option value="">Все дистанции</option>
+          {options.distances.map(d => (
+            <option key={d} value={d}>{`${d}м`}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {columns.map(({ key, label }) => (
+                <th key={key} style={{ ...styles.th, cursor: "pointer" }} onClick={() => toggleSort(key)}>
+                  {`${label}${sort.key === key ? (sort.desc ? " ▼" : " ▲") : ""}`}
+                </th>
+              ))}
+              <th style={styles.th}>Категория</th>
+              <th style={styles.th}>Класс лодки</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.name}>
+                <td style={styles.td}>{row.rank}</td>
+                <td style={styles.td}>{row.name}</td>
+                <td style={styles.td}>{`${row.average.toFixed(2)}%`}</td>
+                <td style={styles.td}>{`${row.best.toFixed(2)}%`}</td>
+                <td style={styles.td}>{row.count}</td>
+                <td style={styles.td}>{row.categories.join(", ")}</td>
+                <td style={styles.td}>{row.boats.join(", ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
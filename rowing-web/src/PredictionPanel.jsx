@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { calculateModelPercentage, calculateSplit, formatTime, parseTime, timeErrorMessages } from "../utils";
+import { getCategoryBoatClasses } from "../boatClasses";
+import { isValidDistance } from "../distanceTable";
+import {
+  predict2000,
+  predictTime,
+  predictionMethods,
+  PREDICTION_RIEGEL,
+  PREDICTION_DISTANCE,
+  getDefaultPredictionParameter,
+} from "../prediction";
+
+const emptyPiece = { distance: 6000, time: "" };
+
+// Прогноз на 2000м по отрезкам на других дистанциях
+export default function PredictionPanel({ styles, theme, currentModel }) {
+  const firstCategory = Object.keys(currentModel)[0];
+  const [category, setCategory] = useState(firstCategory);
+  const [boat, setBoat] = useState(getCategoryBoatClasses(currentModel, firstCategory)[0]);
+  const [method, setMethod] = useState(PREDICTION_RIEGEL);
+  const [parameter, setParameter] = useState(getDefaultPredictionParameter(PREDICTION_RIEGEL));
+  const [pieces, setPieces] = useState([emptyPiece]);
+
+  // Сбросить категорию и лодку, если их нет в выбранной модели
+  const validCategory = currentModel[category] ? category : firstCategory;
+  const boats = getCategoryBoatClasses(currentModel, validCategory);
+  const validBoat = boats.includes(boat) ? boat : boats[0];
+  const baseModelTime = currentModel[validCategory][validBoat];
+
+  const parsed = pieces.map(p => {
+    const distance = Number(p.distance);
+    const { seconds, error } = p.time.trim() ? parseTime(p.time) : {};
+    return { distance: isValidDistance(distance) ? distance : 0, seconds: error ? 0 : seconds, error };
+  });
+  const methodParameter = Number(parameter) || undefined;
+  const prediction = predict2000(parsed, method, methodParameter);
+  // На 2000м модельное время не зависит от способа пересчёта
+  const percentageOf = (seconds) =>
+    calculateModelPercentage(baseModelTime, PREDICTION_DISTANCE, seconds, validBoat).toFixed(2);
+
+  const changePiece = (idx, field, value) => {
+    setPieces(pieces => pieces.map((p, i) => (i === idx ? { ...p, [field]: value } : p)));
+  };
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Прогноз на 2000м</h3>
+      <div style={styles.flexRow}>
+        <select
+          value={validCategory}
+          onChange={e => {
+            setCategory(e.target.value);
+            setBoat(getCategoryBoatClasses(currentModel, e.target.value)[0]);
+          }}
+          style={styles.select}
+        >
+          {Object.keys(currentModel).map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <select value={validBoat} onChange={e => setBoat(e.target.value)} style={styles.select}>
+          {boats.map(b => (
+            <option key={b} value={b}>{b}</option>
+          ))}
+        </select>
+        <select
+          value={method}
+          onChange={e => {
+            setMethod(e.target.value);
+            setParameter(getDefaultPredictionParameter(e.target.value));
+          }}
+          style={styles.select}
+        >
+          {Object.entries(predictionMethods).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <label style={labelStyle}>{method === PREDICTION_RIEGEL ? "k" : "с на удвоение"}</label>
+        <input
+          type="number"
+          step={method === PREDICTION_RIEGEL ? 0.01 : 0.5}
+          value={parameter}
+          onChange={e => setParameter(e.target.value)}
+          style={{ ...styles.input, width: 80 }}
+        />
+      </div>
+      {pieces.map((piece, idx) => (
+        <div key={idx} style={styles.flexRow}>
+          <input
+            type="number"
+            placeholder="Дистанция, м"
+            value={piece.distance}
+            onChange={e => changePiece(idx, "distance", e.target.value)}
+            style={{ ...styles.input, width: 110 }}
+          />
+          <input
+            placeholder="Время (например, 22:30.5)"
+            value={piece.time}
+            onChange={e => changePiece(idx, "time", e.target.value)}
+            style={styles.input}
+          />
+          {parsed[idx].error && (
+            <span style={{ color: "#ff4f4f", fontSize: 14 }}>{timeErrorMessages[parsed[idx].error]}</span>
+          )}
+          {parsed[idx].seconds > 0 && parsed[idx].distance > 0 && (
+            <span style={labelStyle}>
+              {`→ ${formatTime(predictTime(parsed[idx].seconds, parsed[idx].distance, method, methodParameter))}`}
+            </span>
+          )}
+          {pieces.length > 1 && (
+            <button onClick={() => setPieces(pieces.filter((_, i) => i !== idx))} style={{ ...styles.button, ...styles.buttonDanger }}>✕</button>
+          )}
+        </div>
+      ))}
+      <button onClick={() => setPieces([...pieces, emptyPiece])} style={styles.button}>Добавить отрезок</button>
+      {prediction && (
+        <div style={{ ...labelStyle, marginTop: 12 }}>
+          <div>
+            {`Прогноз: ${formatTime(prediction.time)} (${percentageOf(prediction.time)}% от модели), темп на 500м ${formatTime(calculateSplit(prediction.time, PREDICTION_DISTANCE))}`}
+          </div>
+          {prediction.pieces.length > 1 && (
+            <div>
+              {`Диапазон: ${formatTime(prediction.min)} – ${formatTime(prediction.max)} (${percentageOf(prediction.max)}% – ${percentageOf(prediction.min)}%)`}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
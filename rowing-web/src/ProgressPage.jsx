@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { saveAs } from "file-saver";
+import { formatDelta } from "../utils";
+import {
+  getAthleteResults,
+  getProgressPoints,
+  getProgressFilters,
+  summarizeProgress,
+  renderProgressChart,
+} from "../progress";
+import { loadProgressResults, addProgressResults, saveProgressResults, exportProgressResults } from "./progressStorage";
+
+const formatPoint = (point) =>
+  `${point.date.toISOString().slice(0, 10)} — ${point.percentage.toFixed(2)}% (${point.time})`;
+
+// Файл сессии бота ({ results: [...] }) или массив результатов
+const parseImportedResults = (text) => {
+  const data = JSON.parse(text);
+  const results = Array.isArray(data) ? data : data.results;
+  if (!Array.isArray(results)) {
+    throw new Error("В файле нет списка результатов");
+  }
+  return results;
+};
+
+// Прогресс спортсмена по всем сохранённым результатам: тот же график, что
+// присылает бот по /progress
+export default function ProgressPage({ styles, theme }) {
+  const [results, setResults] = useState(loadProgressResults);
+  const [name, setName] = useState("");
+  const [filters, setFilters] = useState({ distance: "", boatClass: "" });
+  const [message, setMessage] = useState("");
+
+  const names = [...new Set(results.map(r => r.name).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const selectedName = names.includes(name) ? name : names[0] || "";
+  const athleteResults = selectedName ? getAthleteResults(results, selectedName) : [];
+  const options = getProgressFilters(athleteResults);
+  const points = getProgressPoints(athleteResults, filters);
+  const summary = summarizeProgress(points);
+  const title = [selectedName, filters.distance && `${filters.distance}м`, filters.boatClass].filter(Boolean).join(", ");
+  const chart = renderProgressChart(points, { title, dark: theme === 'dark' });
+
+  const changeFilter = (field, value) => setFilters(filters => ({ ...filters, [field]: value }));
+
+  // У другого спортсмена может не быть выбранной дистанции или лодки
+  const selectAthlete = (value) => {
+    setName(value);
+    setFilters({ distance: "", boatClass: "" });
+  };
+
+  const handleImport = (e) => {
+    Array.from(e.target.files).forEach(file => {
+      const reader = new FileReader();
+      reader.onload = (evt) => {
+        try {
+          const added = addProgressResults(parseImportedResults(evt.target.result));
+          setResults(loadProgressResults());
+          setMessage(`${file.name}: добавлено результатов ${added}`);
+        } catch (error) {
+          setMessage(`${file.name}: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+    });
+    e.target.value = "";
+  };
+
+  const handleExport = () => {
+    saveAs(
+      new Blob([exportProgressResults(results)], { type: "application/json" }),
+      `progress_${new Date().toISOString().slice(0, 10)}.json`
+    );
+  };
+
+  const removeAthlete = () => {
+    const removed = new Set(athleteResults);
+    const rest = results.filter(r => !removed.has(r));
+    saveProgressResults(rest);
+    setResults(rest);
+    selectAthlete("");
+  };
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <div style={styles.flexRow}>
+        <label style={{ ...styles.button, display: "inline-block" }}>
+          Загрузить результаты бота (JSON)
+          <input type="file" accept=".json" multiple onChange={handleImport} style={{ display: "none" }} />
+        </label>
+        {results.length > 0 && (
+          <button onClick={handleExport} style={styles.button}>Скачать результаты (JSON)</button>
+        )}
+        {message && <span style={{ ...labelStyle, fontWeight: 400 }}>{message}</span>}
+      </div>
+      <div style={{ ...labelStyle, fontWeight: 400 }}>
+        Прогресс хранится только в этом браузере и не связан с /progress бота: очистка данных сайта удалит его.
+        Скачайте результаты, чтобы сохранить историю или перенести её на другое устройство.
+      </div>
+      {names.length === 0 ? (
+        <div style={{ ...labelStyle, fontWeight: 400 }}>
+          Сохранённых результатов пока нет. Рассчитайте результаты и нажмите «Сохранить в прогресс» или загрузите файл сессии бота.
+        </div>
+      ) : (
+        <>
+          <div style={styles.flexRow}>
+            <label style={labelStyle}>Спортсмен: </label>
+            <select value={selectedName} onChange={e => selectAthlete(e.target.value)} style={styles.select}>
+              {names.map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+            <select value={filters.distance} onChange={e => changeFilter("distance", e.target.value)} style={styles.select}>
+              <option value="">Все дистанции</option>
+              {options.distances.map(d => (
+                <option key={d} value={d}>{`${d}м`}</option>
+              ))}
+            </select>
+            <select value={filters.boatClass} onChange={e => changeFilter("boatClass", e.target.value)} style={styles.select}>
+              <option value="">Все классы</option>
+              {options.boats.map(boat => (
+                <option key={boat} value={boat}>{boat}</option>
+              ))}
+            </select>
+            <button onClick={removeAthlete} style={{ ...styles.button, ...styles.buttonDanger }}>Удалить историю</button>
+          </div>
+          <img
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart)}`}
+            alt={`Прогресс: ${title}`}
+            style={{ width: "100%", borderRadius: 8 }}
+          />
+          {summary ? (
+            <ul style={{ ...labelStyle, fontWeight: 400 }}>
+              <li>{`Результатов: ${summary.count}`}</li>
+              <li>{`Первый: ${formatPoint(summary.first)}`}</li>
+              <li>{`Последний: ${formatPoint(summary.last)}`}</li>
+              <li>{`Лучший: ${formatPoint(summary.best)}`}</li>
+              <li>{`Изменение: ${formatDelta(summary.change)} п.п.`}</li>
+            </ul>
+          ) : (
+            <div style={{ ...labelStyle, fontWeight: 400 }}>Нет результатов с такими условиями</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
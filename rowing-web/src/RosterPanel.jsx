@@ -0,0 +1,172 @@
+import { useState, useEffect } from "react";
+import { isMastersCategory } from "../masters";
+import {
+  GENDER_MALE,
+  GENDER_FEMALE,
+  genderLabels,
+  getRosterAge,
+  getCategoryGender,
+  suggestCategory,
+  addRosterAthlete,
+  MIN_BIRTH_YEAR,
+  MIN_WEIGHT,
+  MAX_WEIGHT,
+} from "../roster";
+
+// Состав хранится в браузере и переживает перезагрузку страницы
+const ROSTER_STORAGE_KEY = "rowing-roster";
+
+const loadRoster = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ROSTER_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const emptyForm = { name: "", gender: GENDER_MALE, birthYear: "", category: "", boatClass: "", weight: "" };
+
+const describeAthlete = (athlete) => [
+  athlete.category,
+  athlete.boatClass,
+  genderLabels[athlete.gender],
+  athlete.birthYear && `${athlete.birthYear} г.р.`,
+  athlete.weight && `${athlete.weight} кг`,
+].filter(Boolean).join(", ");
+
+// Состав спортсменов с категорией и лодкой по умолчанию; «В таблицу» добавляет
+// карточку спортсмена, уже заполненную под текущую модель
+export default function RosterPanel({ styles, theme, categories, getBoats, isErg, defaultDistance, onLoad }) {
+  const [roster, setRoster] = useState(loadRoster);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(roster));
+  }, [roster]);
+
+  const currentYear = new Date().getFullYear();
+  const formBoats = form.category ? getBoats(form.category) : [];
+
+  const handleFormChange = (field, value) => {
+    setForm(form => (field === "category" ? { ...form, category: value, boatClass: "" } : { ...form, [field]: value }));
+  };
+
+  const handleAdd = () => {
+    const name = form.name.trim();
+    const birthYear = form.birthYear ? parseInt(form.birthYear) : null;
+    const weight = form.weight ? parseFloat(String(form.weight).replace(",", ".")) : null;
+    if (!name) {
+      setError("Укажите имя спортсмена");
+      return;
+    }
+    if (birthYear != null && (isNaN(birthYear) || birthYear < MIN_BIRTH_YEAR || birthYear > currentYear)) {
+      setError(`Год рождения — от ${MIN_BIRTH_YEAR} до ${currentYear}`);
+      return;
+    }
+    if (weight != null && (isNaN(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT)) {
+      setError(`Вес — от ${MIN_WEIGHT} до ${MAX_WEIGHT} кг`);
+      return;
+    }
+    const athlete = { name, gender: form.gender, birthYear, weight, boatClass: form.boatClass || null };
+    athlete.category = form.category || suggestCategory(athlete.gender, getRosterAge(athlete), categories);
+    if (!athlete.category) {
+      setError("Не удалось подобрать категорию — выберите её");
+      return;
+    }
+    setRoster(roster => addRosterAthlete(roster, athlete));
+    setForm(emptyForm);
+    setError("");
+  };
+
+  const removeFromRoster = (idx) => {
+    setRoster(roster => roster.filter((_, i) => i !== idx));
+  };
+
+  // Карточка таблицы: категория, которой нет в модели, подбирается по полу
+  // и возрасту; на эргометре лодка определяет только лёгкий вес
+  const toGridAthlete = (athlete) => {
+    const age = getRosterAge(athlete);
+    const gender = athlete.gender || getCategoryGender(athlete.category);
+    const category = categories.includes(athlete.category)
+      ? athlete.category
+      : suggestCategory(gender, age, categories) || categories[0];
+    const boats = getBoats(category);
+    const lightweight = Boolean(athlete.boatClass && athlete.boatClass.includes("л/в"));
+    const boat = boats.includes(athlete.boatClass)
+      ? athlete.boatClass
+      : (isErg && boats.find(b => b.includes("л/в") === lightweight)) || boats[0];
+    return {
+      name: athlete.name,
+      category,
+      boat,
+      weight: athlete.weight ?? "",
+      age: isMastersCategory(category) && age ? age : "",
+      segments: [{ distance: defaultDistance, time: "" }],
+    };
+  };
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Состав спортсменов</h3>
+      <div style={styles.flexRow}>
+        <input
+          placeholder="Имя"
+          value={form.name}
+          onChange={e => handleFormChange("name", e.target.value)}
+          style={styles.input}
+        />
+        <select value={form.gender} onChange={e => handleFormChange("gender", e.target.value)} style={styles.select}>
+          {[GENDER_MALE, GENDER_FEMALE].map(gender => (
+            <option key={gender} value={gender}>{genderLabels[gender]}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          placeholder="Год рождения"
+          min={MIN_BIRTH_YEAR}
+          max={currentYear}
+          value={form.birthYear}
+          onChange={e => handleFormChange("birthYear", e.target.value)}
+          style={{ ...styles.input, width: 130 }}
+        />
+        <select value={form.category} onChange={e => handleFormChange("category", e.target.value)} style={styles.select}>
+          <option value="">Категория по возрасту</option>
+          {categories.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <select value={form.boatClass} onChange={e => handleFormChange("boatClass", e.target.value)} style={styles.select}>
+          <option value="">Класс лодки</option>
+          {formBoats.map(boat => (
+            <option key={boat} value={boat}>{boat}</option>
+          ))}
+        </select>
+        <input
+          placeholder="Вес, кг"
+          value={form.weight}
+          onChange={e => handleFormChange("weight", e.target.value)}
+          style={{ ...styles.input, width: 90 }}
+        />
+        <button style={styles.button} onClick={handleAdd}>Сохранить</button>
+      </div>
+      {error && <div style={{ color: "#ff4f4f", fontSize: 14, marginTop: 8 }}>{error}</div>}
+      {roster.length > 0 && (
+        <>
+          <ul style={{ ...labelStyle, fontWeight: 400, paddingLeft: 20 }}>
+            {roster.map((athlete, idx) => (
+              <li key={athlete.name} style={{ marginBottom: 6 }}>
+                <b>{athlete.name}</b>{` — ${describeAthlete(athlete)} `}
+                <button style={styles.button} onClick={() => onLoad([toGridAthlete(athlete)])}>В таблицу</button>
+                <button onClick={() => removeFromRoster(idx)} style={{ ...styles.button, ...styles.buttonDanger }}>✕</button>
+              </li>
+            ))}
+          </ul>
+          <button style={styles.button} onClick={() => onLoad(roster.map(toGridAthlete))}>Загрузить всех</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { buildTargetTable, formatTime } from "../utils";
+import { distances } from "../distanceTable";
+import { getCategoryBoatClasses } from "../boatClasses";
+
+// Обратный расчёт: процент от модели → целевое время и темп на 500м
+export default function TargetPanel({ styles, theme, currentModel, scaling }) {
+  const firstCategory = Object.keys(currentModel)[0];
+  const [category, setCategory] = useState(firstCategory);
+  const [boat, setBoat] = useState(getCategoryBoatClasses(currentModel, firstCategory)[0]);
+  const [distance, setDistance] = useState(2000);
+  const [from, setFrom] = useState(85);
+  const [to, setTo] = useState(105);
+
+  // Сбросить категорию и лодку, если их нет в выбранной модели
+  const validCategory = currentModel[category] ? category : firstCategory;
+  const boats = getCategoryBoatClasses(currentModel, validCategory);
+  const validBoat = boats.includes(boat) ? boat : boats[0];
+  const baseModelTime = currentModel[validCategory][validBoat];
+  const rows = from > 0 && to >= from && to - from <= 100
+    ? buildTargetTable(baseModelTime, distance, validBoat, scaling, from, to)
+    : [];
+
+  const labelStyle = { color: theme === 'dark' ? '#fff' : '#2a3b5d', fontWeight: 500 };
+
+  return (
+    <div style={styles.section}>
+      <h3 style={{ color: theme === 'dark' ? "#fff" : "#2a3b5d" }}>Целевое время</h3>
+      <div style={styles.flexRow}>
+        <select
+          value={validCategory}
+          onChange={e => {
+            setCategory(e.target.value);
+            setBoat(getCategoryBoatClasses(currentModel, e.target.value)[0]);
+          }}
+          style={styles.select}
+        >
+          {Object.keys(currentModel).map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <select value={validBoat} onChange={e => setBoat(e.target.value)} style={styles.select}>
+          {boats.map(b => (
+            <option key={b} value={b}>{b}</option>
+          ))}
+        </select>
+        <select value={distance} onChange={e => setDistance(Number(e.target.value))} style={styles.select}>
+          {distances.map(d => (
+            <option key={d} value={parseInt(d)}>{d}</option>
+          ))}
+        </select>
+        <label style={labelStyle}>от</label>
+        <input
+          type="number"
+          value={from}
+          onChange={e => setFrom(Number(e.target.value))}
+          style={{ ...styles.input, width: 80 }}
+        />
+        <label style={labelStyle}>до</label>
+        <input
+          type="number"
+          value={to}
+          onChange={e => setTo(Number(e.target.value))}
+          style={{ ...styles.input, width: 80 }}
+        />
+        <label style={labelStyle}>%</label>
+      </div>
+      {rows.length > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Модель</th>
+                <th style={styles.th}>Время</th>
+                <th style={styles.th}>Темп на 500м</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.percentage}>
+                  <td style={styles.td}>{`${row.percentage}%`}</td>
+                  <td style={styles.td}>{formatTime(row.time)}</td>
+                  <td style={styles.td}>{formatTime(row.split)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
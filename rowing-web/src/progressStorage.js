@@ -0,0 +1,32 @@
+// История результатов для страницы прогресса. Хранится только в этом браузере
+// в том же виде, что и результаты бота: { name, timestamp, distance, boatClass, time, modelPercentage }
+const PROGRESS_STORAGE_KEY = "rowing-progress";
+
+export const loadProgressResults = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Один и тот же результат за день сохраняется один раз
+const resultKey = (r) => `${String(r.timestamp).slice(0, 10)}|${r.name}|${r.distance}|${r.boatClass}|${r.time}`;
+
+// Добавляет результаты без повторов, возвращает число новых
+export const addProgressResults = (added) => {
+  const results = loadProgressResults();
+  const keys = new Set(results.map(resultKey));
+  const fresh = added.filter(r => r.name && !keys.has(resultKey(r)) && keys.add(resultKey(r)));
+  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify([...results, ...fresh]));
+  return fresh.length;
+};
+
+export const saveProgressResults = (results) => {
+  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(results));
+};
+
+// Файл в формате сессии бота ({ results: [...] }): его можно загрузить обратно
+// на странице прогресса в этом или другом браузере
+export const exportProgressResults = (results = loadProgressResults()) =>
+  JSON.stringify({ startTime: new Date().toISOString(), results }, null, 2);